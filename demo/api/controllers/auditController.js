@@ -0,0 +1,53 @@
+// External dependencies
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const AuditLog = require('../models/AuditLog');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+
+/**
+ * @file auditController.js
+ * Express router for reading the audit log (`audit:view`, held by super admins).
+ */
+
+/**
+ * GET /api/audit-logs
+ * List audit entries, newest first. Filter by action, actor, affected user and date range.
+ * @route GET /api/audit-logs
+ * @access Protected (audit:view)
+ */
+router.get('/', validarUsuario, validarPermiso('audit:view'), [
+  query('action').optional().isString(),
+  query('actor').optional().isString(),
+  query('affectedUser').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.actor) filter['actor.uid'] = req.query.actor;
+    if (req.query.affectedUser) filter['affectedUser.uid'] = req.query.affectedUser;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 100)
+      .lean();
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching audit log', details: err.message });
+  }
+});
+
+module.exports = router;
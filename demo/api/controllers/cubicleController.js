@@ -1,13 +1,49 @@
 // Group external imports first, then internal
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 
 // Internal dependencies
 const Cubicle = require('../models/Cubicle');
 const Reservation = require('../models/Reservation');
-const { validarUsuario, validarAdmin } = require('../middleware/auth');
-const { getAdminUids } = require('../utils/adminUtils');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  SLOT_NAMES,
+  BookingError,
+  resolveWindow,
+  overlapQuery,
+  buildUserInfo,
+  createReservation,
+  findConflicts,
+  cancelMatching,
+  getCubicleAvailability
+} = require('../services/ReservationService');
+const { buildPolicyContext } = require('../services/PolicyService');
+const { recordAudit, auditOverrides } = require('../services/AuditService');
+const { findPlacementError } = require('../services/FloorPlanService');
+const { AMENITY_FLAGS, searchCubicles } = require('../services/CubicleSearchService');
+const { getStatisticsForUser } = require('../services/StatisticsService');
+const {
+  TICKET_CATEGORIES,
+  openErrorTicket,
+  resolveRunningTickets
+} = require('../services/MaintenanceService');
+const {
+  cubicleFilterForSite,
+  findSiteOf,
+  getSiteTimezone
+} = require('../services/SiteService');
+const { getUserAccess, hasPermission } = require('../services/RoleService');
+
+// Cubicle details only users holding `cubicles:manage` may change through PUT /cubicles/:id
+const CUBICLE_METADATA_FIELDS = ['section', 'row', 'col', 'serial', 'name', 'description', 'amenities'];
+// Amenities a cubicle can be given: a monitor count and yes/no flags
+const AMENITY_FIELDS = ['monitors', ...AMENITY_FLAGS];
+// Booking window fields accepted alongside a status change
+const WINDOW_FIELDS = ['date', 'slot', 'startTime', 'endTime'];
+// Reason for marking a cubicle `error`, recorded on its maintenance ticket
+const MAINTENANCE_FIELDS = ['category', 'comment'];
 
 /**
  * @file cubicleController.js
@@ -15,92 +51,128 @@ const { getAdminUids } = require('../utils/adminUtils');
  */
 
 /**
- * Helper to emit statistics update
+ * Validators for the amenities of a cubicle create or update
  */
-async function emitStatisticsUpdate(io) {
-  const stats = await getStatistics();
-  io.emit('statisticsUpdate', stats);
-}
+const amenityValidators = [
+  body('amenities').optional().isObject(),
+  body('amenities.monitors').optional().isInt({ min: 0 }).toInt(),
+  ...AMENITY_FLAGS.map(flag => body(`amenities.${flag}`).optional().isBoolean().toBoolean())
+];
 
 /**
- * Helper to get statistics (used for websocket updates)
+ * Reject amenities the cubicle model does not know
  */
-async function getStatistics() {
-  const cubicles = await Cubicle.find();
-  const reservations = await Reservation.find();
-  const total = cubicles.length;
-  const reserved = cubicles.filter(c => c.status === 'reserved').length;
-  const available = cubicles.filter(c => c.status === 'available').length;
-  const error = cubicles.filter(c => c.status === 'error').length;
-
-  // General stats
-  const general = {
-    percentReserved: total ? Math.round((reserved / total) * 100) : 0,
-    percentAvailable: total ? Math.round((available / total) * 100) : 0,
-    percentError: total ? Math.round((error / total) * 100) : 0,
-  };
-
-  // Per-user stats
-  const userMap = {};
-  reservations.forEach(r => {
-    if (r.user && r.user.email) {
-      userMap[r.user.email] = (userMap[r.user.email] || 0) + 1;
-    }
-  });
-  const userStats = Object.entries(userMap).map(([user, reservedCount]) => ({
-    user,
-    reserved: reservedCount,
-    percent: reserved ? Math.round((reservedCount / reserved) * 100) : 0
-  }));
-  userStats.sort((a, b) => b.reserved - a.reserved);
-
-  // Comparison metrics
-  let topUser = userStats[0] || null;
-  let bottomUser = userStats.length > 1 ? userStats[userStats.length - 1] : null;
-  const comparisons = [];
-  if (topUser) comparisons.push({ metric: 'Top User', value: `${topUser.user} (${topUser.percent}%)` });
-  if (bottomUser) comparisons.push({ metric: 'Lowest User', value: `${bottomUser.user} (${bottomUser.percent}%)` });
-  comparisons.push({ metric: 'Total Users', value: userStats.length });
-  comparisons.push({ metric: 'Total Reservations', value: reserved });
-
-  return { general, users: userStats, comparisons };
+function rejectUnknownAmenities(req, res, next) {
+  const unknown = Object.keys(req.body.amenities || {}).filter(field => !AMENITY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown amenities: ${unknown.join(', ')}` });
+  }
+  next();
 }
 
 /**
  * GET /cubicles
- * Get all cubicles (admin or user).
+ * Get all cubicles (admin or user) with their status for a time window.
+ * The window defaults to today's full-day slot. With `site`, only that site's
+ * cubicles are returned and the day is resolved in the site's timezone.
  * @route GET /cubicles
  * @access Protected (user)
  */
-router.get('/', validarUsuario, async (req, res) => {
+router.get('/', validarUsuario, [
+  query('site').optional().isMongoId(),
+  query('date').optional().isISO8601(),
+  query('slot').optional().isIn(SLOT_NAMES),
+  query('startTime').optional().isISO8601(),
+  query('endTime').optional().isISO8601()
+], (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}, async (req, res) => {
   try {
-    const cubicles = await Cubicle.find();
+    const window = resolveWindow(req.query, await getSiteTimezone(req.query.site));
+    const cubicles = await getCubicleAvailability(window, await cubicleFilterForSite(req.query.site));
     res.json(cubicles);
   } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     res.status(500).json({ error: 'Error fetching cubicles', details: err.message });
   }
 });
 
+/**
+ * GET /cubicles/search
+ * Search cubicles by amenities (`minMonitors` and flags such as `standingDesk=true`)
+ * and, with `from`/`to` days (plus `slot`) or `startTime`/`endTime`, by being
+ * free for the whole time. Days are resolved in the timezone of `site`.
+ * @route GET /cubicles/search
+ * @access Protected (user)
+ */
+router.get('/search', validarUsuario, [
+  query('site').optional().isMongoId(),
+  query('section').optional().isString().notEmpty(),
+  query('minMonitors').optional().isInt({ min: 0 }),
+  ...AMENITY_FLAGS.map(flag => query(flag).optional().isBoolean()),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('slot').optional().isIn(SLOT_NAMES),
+  query('startTime').optional().isISO8601(),
+  query('endTime').optional().isISO8601()
+], (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}, async (req, res) => {
+  try {
+    const { site, section, from, to, slot, startTime, endTime } = req.query;
+    // Query values are strings: flags are required when 'true' or '1'
+    const amenities = { minMonitors: parseInt(req.query.minMonitors) || 0 };
+    AMENITY_FLAGS.forEach(flag => { amenities[flag] = ['true', '1'].includes(req.query[flag]); });
+    const cubicles = await searchCubicles(
+      { amenities, site, section, from, to, slot, startTime, endTime },
+      await getSiteTimezone(site)
+    );
+    res.json(cubicles);
+  } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    res.status(500).json({ error: 'Error searching cubicles', details: err.message });
+  }
+});
+
 /**
  * POST /cubicles
- * Create a new cubicle (admin only).
+ * Create a new cubicle. Its section must exist in the floor plan and the
+ * row/col must fit the section and be free.
  * @route POST /cubicles
- * @access Protected (admin)
+ * @access Protected (cubicles:manage at the section's site)
  */
-router.post('/', validarUsuario, validarAdmin, [
+router.post('/', validarUsuario, validarPermiso('cubicles:manage'), [
   body('section').isString().notEmpty(),
-  body('row').isInt({ min: 1 }),
-  body('col').isInt({ min: 1 }),
+  body('row').isInt({ min: 1 }).toInt(),
+  body('col').isInt({ min: 1 }).toInt(),
   body('serial').isString().notEmpty(),
   body('name').isString().notEmpty(),
+  ...amenityValidators
 ], (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
   next();
-}, async (req, res) => {
+}, rejectUnknownAmenities, async (req, res) => {
   try {
+    const placementError = await findPlacementError(req.body);
+    if (placementError) return res.status(400).json({ error: placementError });
+    if (!hasPermission(req.access, 'cubicles:manage', await findSiteOf({ section: req.body.section }))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
     const cubicle = new Cubicle(req.body);
     await cubicle.save();
     res.status(201).json(cubicle);
@@ -112,39 +184,136 @@ router.post('/', validarUsuario, validarAdmin, [
 /**
  * PUT /cubicles/:id
  * Update a cubicle's state (admin or user).
- * Handles reservation upsert and deletion logic.
+ * `reserved` books the requested time window and `available` cancels the
+ * bookings overlapping it; `error` is stored on the cubicle itself and opens
+ * a maintenance ticket (with an optional `category` and `comment`) that
+ * returning the cubicle to `available` resolves.
+ * Users may only release their own bookings. At the cubicle's site,
+ * `cubicles:status` is needed to set or clear `error`, `cubicles:manage` to
+ * change cubicle details and `bookings:override` to release other users'
+ * bookings, which is audited. The window is resolved in the site's timezone.
  * @route PUT /cubicles/:id
- * @access Protected (user)
+ * @access Protected (user; cubicles:status for error status, cubicles:manage for details)
  */
 router.put('/:id', validarUsuario, [
   param('id').isMongoId(),
-  body('status').optional().isIn(['available', 'reserved', 'error'])
+  body('status').optional().isIn(['available', 'reserved', 'error']),
+  body('date').optional().isISO8601(),
+  body('slot').optional().isIn(SLOT_NAMES),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601(),
+  body('section').optional().isString().notEmpty(),
+  body('row').optional().isInt({ min: 1 }).toInt(),
+  body('col').optional().isInt({ min: 1 }).toInt(),
+  body('serial').optional().isString().notEmpty(),
+  body('name').optional().isString().notEmpty(),
+  body('description').optional().isString(),
+  body('category').optional().isIn(TICKET_CATEGORIES),
+  body('comment').optional().isString().isLength({ max: 1000 }),
+  ...amenityValidators
 ], (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
+  const unknown = Object.keys(req.body).filter(field =>
+    field !== 'status' && ![...WINDOW_FIELDS, ...CUBICLE_METADATA_FIELDS, ...MAINTENANCE_FIELDS].includes(field)
+  );
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+  }
   next();
-}, async (req, res) => {
+}, rejectUnknownAmenities, idempotent, async (req, res) => {
   try {
-    const cubicle = await Cubicle.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!cubicle) return res.status(404).json({ error: 'Cubicle not found' });
+    const { status } = req.body;
+    const actor = { uid: req.user.uid, email: req.user.email };
+    const existing = await Cubicle.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Cubicle not found' });
+    const site = await findSiteOf({ section: existing.section });
+    const access = await getUserAccess(req.user.uid);
+
+    const updates = {};
+    CUBICLE_METADATA_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    // Amenities are updated one by one so the ones left out keep their value
+    if (updates.amenities) {
+      Object.entries(updates.amenities).forEach(([amenity, value]) => {
+        updates[`amenities.${amenity}`] = value;
+      });
+      delete updates.amenities;
+    }
+    // Only the error flag lives on the cubicle; reservations define availability
+    const errorChange = status === 'error' || (status === 'available' && existing.status === 'error');
+    if (errorChange) updates.status = status;
+
+    if (!hasPermission(access, 'cubicles:manage', site) && Object.keys(updates).some(field => field !== 'status')) {
+      return res.status(403).json({ error: 'Only admins can change cubicle details' });
+    }
+    if (!hasPermission(access, 'cubicles:status', site) && errorChange) {
+      return res.status(403).json({
+        error: status === 'error'
+          ? 'Only facility managers and admins can mark a cubicle as out of service'
+          : 'Only facility managers and admins can return a cubicle to service'
+      });
+    }
+    if (['section', 'row', 'col'].some(field => updates[field] !== undefined)) {
+      const placementError = await findPlacementError({
+        section: updates.section ?? existing.section,
+        row: updates.row ?? existing.row,
+        col: updates.col ?? existing.col
+      }, existing._id);
+      if (placementError) return res.status(400).json({ error: placementError });
+    }
+    if (updates.section !== undefined && updates.section !== existing.section &&
+        !hasPermission(access, 'cubicles:manage', await findSiteOf({ section: updates.section }))) {
+      return res.status(403).json({ error: 'Cubicles can only be moved to sections of sites you administer' });
+    }
+
+    const window = resolveWindow(req.body, await getSiteTimezone(site));
+
     // Reservation logic
-    if (req.body.status === 'available') {
-      // Remove reservation if cubicle is made available
-      await Reservation.deleteOne({ cubicle: cubicle._id });
-    } else if (req.body.status === 'reserved') {
-      // Upsert reservation for this cubicle
-      const userInfo = {
-        uid: req.user.uid,
-        email: req.user.email,
-        displayName: req.user.name || req.user.displayName || null
-      };
-      await Reservation.findOneAndUpdate(
-        { cubicle: cubicle._id },
-        { cubicle: cubicle._id, user: userInfo, date: new Date() },
-        { upsert: true, new: true }
-      );
+    if (status === 'reserved') {
+      await createReservation({
+        cubicleId: existing._id,
+        user: buildUserInfo(req.user),
+        window,
+        policy: await buildPolicyContext(req.user)
+      });
+    } else if (status === 'available' && !errorChange) {
+      const bookings = await findConflicts(existing._id, window);
+      const othersBookings = bookings.filter(r => !r.user || r.user.uid !== req.user.uid);
+      if (!hasPermission(access, 'bookings:override', site) && othersBookings.length > 0) {
+        return res.status(403).json({ error: 'You can only release your own reservations' });
+      }
+      // Cancel the bookings in the requested window (kept for history)
+      const released = await cancelMatching({ _id: { $in: bookings.map(r => r._id) } }, actor);
+      await auditOverrides({
+        action: 'reservation.release',
+        actor,
+        reservations: released,
+        target: { type: 'cubicle', id: String(existing._id) },
+        details: { startTime: window.startTime, endTime: window.endTime }
+      });
+    }
+
+    let cubicle = existing;
+    if (Object.keys(updates).length > 0) {
+      cubicle = await Cubicle.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+      await recordAudit({
+        action: 'cubicle.update',
+        actor,
+        target: { type: 'cubicle', id: String(existing._id) },
+        details: {
+          changes: updates,
+          previous: Object.fromEntries(Object.keys(updates).map(field => [field, existing.get(field)]))
+        }
+      });
+    }
+    if (status === 'error' && existing.status !== 'error') {
+      await openErrorTicket(cubicle, { category: req.body.category, comment: req.body.comment, user: buildUserInfo(req.user) });
+    } else if (status === 'available' && errorChange) {
+      await resolveRunningTickets(existing._id, actor);
     }
 
     // Emit statistics update
@@ -161,18 +330,25 @@ router.put('/:id', validarUsuario, [
 
     res.json(cubicle);
   } catch (err) {
+    if (err instanceof BookingError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     res.status(400).json({ error: 'Error updating cubicle', details: err.message });
   }
 });
 
 /**
  * GET /cubicles/:id/reservation
- * Get reservation and user for a cubicle.
+ * Get reservation and user for a cubicle in a time window (defaults to today).
  * @route GET /cubicles/:id/reservation
  * @access Protected (user)
  */
 router.get('/:id/reservation', validarUsuario, [
-  param('id').isMongoId()
+  param('id').isMongoId(),
+  query('date').optional().isISO8601(),
+  query('slot').optional().isIn(SLOT_NAMES),
+  query('startTime').optional().isISO8601(),
+  query('endTime').optional().isISO8601()
 ], (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -181,15 +357,21 @@ router.get('/:id/reservation', validarUsuario, [
   next();
 }, async (req, res) => {
   try {
-    const reservation = await Reservation.findOne({ cubicle: req.params.id }).lean();
+    const window = resolveWindow(req.query, await getSiteTimezone(await findSiteOf({ cubicle: req.params.id })));
+    const reservation = await Reservation.findOne({ cubicle: req.params.id, ...overlapQuery(window) }).lean();
     if (!reservation) {
       // No reservation found for this cubicle
       console.log('[GET /cubicles/:id/reservation] No reservation found for cubicle', req.params.id);
       return res.json(null);
     }
-    // Reservation found, return only the user field for frontend simplicity
+    // Reservation found, return the user and booked window
     console.log('[GET /cubicles/:id/reservation] Reservation found:', reservation);
-    res.json({ user: reservation.user });
+    res.json({
+      user: reservation.user,
+      startTime: reservation.startTime,
+      endTime: reservation.endTime,
+      slot: reservation.slot
+    });
   } catch (err) {
     console.error('[GET /cubicles/:id/reservation] Error:', err);
     res.status(500).json({ error: 'Error fetching reservation', details: err.message });
@@ -198,11 +380,11 @@ router.get('/:id/reservation', validarUsuario, [
 
 /**
  * DELETE /cubicles/:id
- * Delete a cubicle (admin only).
+ * Delete a cubicle.
  * @route DELETE /cubicles/:id
- * @access Protected (admin)
+ * @access Protected (cubicles:manage at the cubicle's site)
  */
-router.delete('/:id', validarUsuario, validarAdmin, [
+router.delete('/:id', validarUsuario, validarPermiso('cubicles:manage'), [
   param('id').isMongoId()
 ], (req, res, next) => {
   const errors = validationResult(req);
@@ -212,8 +394,12 @@ router.delete('/:id', validarUsuario, validarAdmin, [
   next();
 }, async (req, res) => {
   try {
-    const result = await Cubicle.findByIdAndDelete(req.params.id);
-    if (!result) return res.status(404).json({ error: 'Cubicle not found' });
+    const cubicle = await Cubicle.findById(req.params.id);
+    if (!cubicle) return res.status(404).json({ error: 'Cubicle not found' });
+    if (!hasPermission(req.access, 'cubicles:manage', await findSiteOf({ section: cubicle.section }))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    await cubicle.deleteOne();
     res.json({ message: 'Cubicle deleted' });
   } catch (err) {
     res.status(400).json({ error: 'Error deleting cubicle', details: err.message });
@@ -222,54 +408,24 @@ router.delete('/:id', validarUsuario, validarAdmin, [
 
 /**
  * GET /cubicles/statistics
- * Returns statistics for cubicle usage, per-user usage, error, and available states.
+ * Live cubicle statistics (see StatisticsService for the response schema),
+ * for every site or one (?site=<building id>). The per-user figures are
+ * only included for users holding `statistics:users` at the site.
  * @route GET /cubicles/statistics
  * @access Protected (user)
  */
-router.get('/statistics', validarUsuario, async (req, res) => {
+router.get('/statistics', validarUsuario, [
+  query('site').optional().isMongoId()
+], async (req, res) => {
   try {
-    const cubicles = await Cubicle.find();
-    const reservations = await Reservation.find();
-    const total = cubicles.length;
-    const reserved = cubicles.filter(c => c.status === 'reserved').length;
-    const available = cubicles.filter(c => c.status === 'available').length;
-    const error = cubicles.filter(c => c.status === 'error').length;
-
-    // General stats
-    const general = {
-      percentReserved: total ? Math.round((reserved / total) * 100) : 0,
-      percentAvailable: total ? Math.round((available / total) * 100) : 0,
-      percentError: total ? Math.round((error / total) * 100) : 0,
-    };
-
-    // Per-user stats
-    const userMap = {};
-    reservations.forEach(r => {
-      if (r.user && r.user.email) {
-        userMap[r.user.email] = (userMap[r.user.email] || 0) + 1;
-      }
-    });
-    const userStats = Object.entries(userMap).map(([user, reservedCount]) => ({
-      user,
-      reserved: reservedCount,
-      percent: reserved ? Math.round((reservedCount / reserved) * 100) : 0
-    }));
-    userStats.sort((a, b) => b.reserved - a.reserved);
-
-    // Comparison metrics
-    let topUser = userStats[0] || null;
-    let bottomUser = userStats.length > 1 ? userStats[userStats.length - 1] : null;
-    const comparisons = [];
-    if (topUser) comparisons.push({ metric: 'Top User', value: `${topUser.user} (${topUser.percent}%)` });
-    if (bottomUser) comparisons.push({ metric: 'Lowest User', value: `${bottomUser.user} (${bottomUser.percent}%)` });
-    comparisons.push({ metric: 'Total Users', value: userStats.length });
-    comparisons.push({ metric: 'Total Reservations', value: reserved });
-
-    res.json({ general, users: userStats, comparisons });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    res.json(await getStatisticsForUser(req.user.uid, req.query.site));
   } catch (err) {
     res.status(500).json({ error: 'Error fetching statistics', details: err.message });
   }
 });
 
-router.emitStatisticsUpdate = emitStatisticsUpdate;
 module.exports = router;
@@ -0,0 +1,338 @@
+// External dependencies
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Section = require('../models/Section');
+const Cubicle = require('../models/Cubicle');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const { getFloorPlan } = require('../services/FloorPlanService');
+const { hasPermission, invalidateAccess } = require('../services/RoleService');
+
+/**
+ * @file floorPlanController.js
+ * Express router for the Building → Floor → Section floor plan.
+ * Anyone signed in can read the plan. Super admins (`buildings:manage`)
+ * create and delete buildings (sites) and choose their site admins; site
+ * admins (`floorPlan:manage`) manage the floors and sections of their own site.
+ */
+
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * Pick the given fields from a request body
+ */
+function pickFields(reqBody, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (reqBody[field] !== undefined) picked[field] = reqBody[field];
+  });
+  return picked;
+}
+
+/**
+ * Reply 403 unless the user holds `floorPlan:manage` at the site (a building
+ * or building ID).
+ * @returns {Promise<boolean>} Whether the request was rejected
+ */
+async function rejectUnlessSiteAdmin(req, res, site) {
+  if (hasPermission(req.access, 'floorPlan:manage', site)) return false;
+  res.status(403).json({ error: 'Access denied: not an admin of this site' });
+  return true;
+}
+
+/**
+ * Building of a floor, or null if the floor does not exist
+ */
+async function buildingOfFloor(floorId) {
+  const floor = await Floor.findById(floorId, 'building').lean();
+  return floor && floor.building;
+}
+
+/**
+ * Send a save error, reporting duplicate names, levels and codes as conflicts
+ */
+function sendSaveError(res, label, err) {
+  if (err.code === 11000) {
+    return res.status(409).json({ error: `${label} already exists`, details: err.message });
+  }
+  res.status(400).json({ error: `Error saving ${label.toLowerCase()}`, details: err.message });
+}
+
+/**
+ * GET /api/floor-plan
+ * Get all buildings with their floors and sections.
+ * @route GET /api/floor-plan
+ * @access Protected (authenticated users)
+ */
+router.get('/', validarUsuario, async (req, res) => {
+  try {
+    res.json(await getFloorPlan());
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching floor plan', details: err.message });
+  }
+});
+
+/**
+ * Validators shared by building create and update
+ */
+const buildingValidators = [
+  body('address').optional().isString(),
+  body('timezone').optional().isString().notEmpty(),
+  body('admins').optional().isArray(),
+  body('admins.*').isString().notEmpty()
+];
+
+/**
+ * POST /api/floor-plan/buildings
+ * Create a building (site) with its timezone and site admins.
+ * @route POST /api/floor-plan/buildings
+ * @access Protected (buildings:manage)
+ */
+router.post('/buildings', validarUsuario, validarPermiso('buildings:manage'), [
+  body('name').isString().trim().notEmpty(),
+  ...buildingValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const building = await Building.create(pickFields(req.body, ['name', 'address', 'timezone', 'admins']));
+    // Its admins are site admins of it from now on
+    invalidateAccess();
+    res.status(201).json(building);
+  } catch (err) {
+    sendSaveError(res, 'Building', err);
+  }
+});
+
+/**
+ * PUT /api/floor-plan/buildings/:id
+ * Update a building's name, address or timezone. Only super admins can change its site admins.
+ * @route PUT /api/floor-plan/buildings/:id
+ * @access Protected (floorPlan:manage)
+ */
+router.put('/buildings/:id', validarUsuario, validarPermiso('floorPlan:manage'), [
+  param('id').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...buildingValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const building = await Building.findById(req.params.id);
+    if (!building) return res.status(404).json({ error: 'Building not found' });
+    if (await rejectUnlessSiteAdmin(req, res, building)) return;
+    if (req.body.admins !== undefined && !hasPermission(req.access, 'buildings:manage')) {
+      return res.status(403).json({ error: 'Only super admins can change site admins' });
+    }
+    building.set(pickFields(req.body, ['name', 'address', 'timezone', 'admins']));
+    await building.save();
+    if (req.body.admins !== undefined) invalidateAccess();
+    res.json(building);
+  } catch (err) {
+    sendSaveError(res, 'Building', err);
+  }
+});
+
+/**
+ * DELETE /api/floor-plan/buildings/:id
+ * Delete a building that has no floors left.
+ * @route DELETE /api/floor-plan/buildings/:id
+ * @access Protected (buildings:manage)
+ */
+router.delete('/buildings/:id', validarUsuario, validarPermiso('buildings:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (await Floor.exists({ building: req.params.id })) {
+      return res.status(409).json({ error: 'Delete the floors of this building first' });
+    }
+    const result = await Building.findByIdAndDelete(req.params.id);
+    if (!result) return res.status(404).json({ error: 'Building not found' });
+    invalidateAccess();
+    res.json({ message: 'Building deleted' });
+  } catch (err) {
+    res.status(400).json({ error: 'Error deleting building', details: err.message });
+  }
+});
+
+/**
+ * POST /api/floor-plan/floors
+ * Add a floor to a building.
+ * @route POST /api/floor-plan/floors
+ * @access Protected (floorPlan:manage)
+ */
+router.post('/floors', validarUsuario, validarPermiso('floorPlan:manage'), [
+  body('building').isMongoId(),
+  body('name').isString().trim().notEmpty(),
+  body('level').isInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!(await Building.exists({ _id: req.body.building }))) {
+      return res.status(404).json({ error: 'Building not found' });
+    }
+    if (await rejectUnlessSiteAdmin(req, res, req.body.building)) return;
+    const floor = await Floor.create(pickFields(req.body, ['building', 'name', 'level']));
+    res.status(201).json(floor);
+  } catch (err) {
+    sendSaveError(res, 'Floor', err);
+  }
+});
+
+/**
+ * PUT /api/floor-plan/floors/:id
+ * Rename a floor or change its level.
+ * @route PUT /api/floor-plan/floors/:id
+ * @access Protected (floorPlan:manage)
+ */
+router.put('/floors/:id', validarUsuario, validarPermiso('floorPlan:manage'), [
+  param('id').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  body('level').optional().isInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const floor = await Floor.findById(req.params.id);
+    if (!floor) return res.status(404).json({ error: 'Floor not found' });
+    if (await rejectUnlessSiteAdmin(req, res, floor.building)) return;
+    floor.set(pickFields(req.body, ['name', 'level']));
+    await floor.save();
+    res.json(floor);
+  } catch (err) {
+    sendSaveError(res, 'Floor', err);
+  }
+});
+
+/**
+ * DELETE /api/floor-plan/floors/:id
+ * Delete a floor that has no sections left.
+ * @route DELETE /api/floor-plan/floors/:id
+ * @access Protected (floorPlan:manage)
+ */
+router.delete('/floors/:id', validarUsuario, validarPermiso('floorPlan:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const floor = await Floor.findById(req.params.id);
+    if (!floor) return res.status(404).json({ error: 'Floor not found' });
+    if (await rejectUnlessSiteAdmin(req, res, floor.building)) return;
+    if (await Section.exists({ floor: floor._id })) {
+      return res.status(409).json({ error: 'Delete the sections of this floor first' });
+    }
+    await floor.deleteOne();
+    res.json({ message: 'Floor deleted' });
+  } catch (err) {
+    res.status(400).json({ error: 'Error deleting floor', details: err.message });
+  }
+});
+
+/**
+ * POST /api/floor-plan/sections
+ * Add a section to a floor. Cubicles are then created in it via POST /api/cubicles.
+ * @route POST /api/floor-plan/sections
+ * @access Protected (floorPlan:manage)
+ */
+router.post('/sections', validarUsuario, validarPermiso('floorPlan:manage'), [
+  body('floor').isMongoId(),
+  body('code').isString().trim().notEmpty(),
+  body('name').optional().isString(),
+  body('rows').isInt({ min: 1 }),
+  body('cols').isInt({ min: 1 }),
+  body('position').optional().isInt({ min: 0 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const building = await buildingOfFloor(req.body.floor);
+    if (!building) return res.status(404).json({ error: 'Floor not found' });
+    if (await rejectUnlessSiteAdmin(req, res, building)) return;
+    const section = await Section.create({
+      name: `Section ${req.body.code}`,
+      ...pickFields(req.body, ['floor', 'code', 'name', 'rows', 'cols', 'position'])
+    });
+    res.status(201).json(section);
+  } catch (err) {
+    sendSaveError(res, 'Section', err);
+  }
+});
+
+/**
+ * PUT /api/floor-plan/sections/:id
+ * Update a section. A new code is carried over to its cubicles; the section
+ * cannot shrink below the cubicles placed in it.
+ * @route PUT /api/floor-plan/sections/:id
+ * @access Protected (floorPlan:manage at the section's site, and at the new floor's site when moving it)
+ */
+router.put('/sections/:id', validarUsuario, validarPermiso('floorPlan:manage'), [
+  param('id').isMongoId(),
+  body('floor').optional().isMongoId(),
+  body('code').optional().isString().trim().notEmpty(),
+  body('name').optional().isString(),
+  body('rows').optional().isInt({ min: 1 }),
+  body('cols').optional().isInt({ min: 1 }),
+  body('position').optional().isInt({ min: 0 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+    if (await rejectUnlessSiteAdmin(req, res, await buildingOfFloor(section.floor))) return;
+    if (req.body.floor) {
+      const building = await buildingOfFloor(req.body.floor);
+      if (!building) return res.status(404).json({ error: 'Floor not found' });
+      if (await rejectUnlessSiteAdmin(req, res, building)) return;
+    }
+
+    const previousCode = section.code;
+    section.set(pickFields(req.body, ['floor', 'code', 'name', 'rows', 'cols', 'position']));
+
+    const outside = await Cubicle.exists({
+      section: previousCode,
+      $or: [{ row: { $gt: section.rows } }, { col: { $gt: section.cols } }]
+    });
+    if (outside) {
+      return res.status(409).json({
+        error: `Section ${previousCode} has cubicles outside ${section.rows} rows and ${section.cols} columns`
+      });
+    }
+
+    await section.save();
+    if (section.code !== previousCode) {
+      await Cubicle.updateMany({ section: previousCode }, { $set: { section: section.code } });
+      const emitStatisticsUpdate = req.app.get('emitStatisticsUpdate');
+      if (emitStatisticsUpdate) await emitStatisticsUpdate();
+    }
+    res.json(section);
+  } catch (err) {
+    sendSaveError(res, 'Section', err);
+  }
+});
+
+/**
+ * DELETE /api/floor-plan/sections/:id
+ * Delete a section that has no cubicles left.
+ * @route DELETE /api/floor-plan/sections/:id
+ * @access Protected (floorPlan:manage)
+ */
+router.delete('/sections/:id', validarUsuario, validarPermiso('floorPlan:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+    if (await rejectUnlessSiteAdmin(req, res, await buildingOfFloor(section.floor))) return;
+    if (await Cubicle.exists({ section: section.code })) {
+      return res.status(409).json({ error: `Delete the cubicles of section ${section.code} first` });
+    }
+    await section.deleteOne();
+    res.json({ message: 'Section deleted' });
+  } catch (err) {
+    res.status(400).json({ error: 'Error deleting section', details: err.message });
+  }
+});
+
+module.exports = router;
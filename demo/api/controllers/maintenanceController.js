@@ -0,0 +1,239 @@
+// External dependencies
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const Cubicle = require('../models/Cubicle');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const { BookingError, buildUserInfo } = require('../services/ReservationService');
+const {
+  TICKET_CATEGORIES,
+  reportIssue,
+  assignTicket,
+  scheduleOutOfService,
+  resolveTicket
+} = require('../services/MaintenanceService');
+const { cubicleFilterForSite, findSiteOf } = require('../services/SiteService');
+const { hasSitePermission } = require('../services/RoleService');
+
+/**
+ * @file maintenanceController.js
+ * Express router for maintenance tickets. Anyone signed in can report a
+ * problem on a cubicle; facility managers and admins of the cubicle's site
+ * (`maintenance:manage`) assign and resolve tickets and take cubicles out of
+ * service for a window.
+ */
+
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * Send a BookingError as its HTTP response, or a 500 for anything else
+ */
+function sendTicketError(res, err, fallbackMessage) {
+  if (err instanceof BookingError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+}
+
+/**
+ * Push fresh statistics after a cubicle went out of or back into service
+ */
+async function emitStatistics(req) {
+  const emitStatisticsUpdate = req.app.get('emitStatisticsUpdate');
+  if (emitStatisticsUpdate) await emitStatisticsUpdate();
+}
+
+/**
+ * Build middleware that loads the ticket named by :id into req.ticket.
+ * Users holding `maintenance:manage` at the cubicle's site may always access
+ * it; with `adminOnly` unset the user who reported it may read it too.
+ */
+function loadTicket({ adminOnly = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const ticket = await MaintenanceTicket.findById(req.params.id);
+      if (!ticket) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      const isReporter = !adminOnly && ticket.reportedBy && ticket.reportedBy.uid === req.user.uid;
+      if (!isReporter && !(await hasSitePermission(req.user.uid, 'maintenance:manage', await findSiteOf({ cubicle: ticket.cubicle })))) {
+        return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+      }
+      req.ticket = ticket;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Error fetching ticket', details: err.message });
+    }
+  };
+}
+
+/**
+ * GET /api/maintenance/tickets
+ * List maintenance tickets, newest first. Super admins see every ticket,
+ * facility managers and site admins those of the `site` they name; everyone
+ * else sees the tickets they reported.
+ * @route GET /api/maintenance/tickets
+ * @access Protected (user)
+ */
+router.get('/tickets', validarUsuario, [
+  query('site').optional().isMongoId(),
+  query('cubicle').optional().isMongoId(),
+  query('status').optional().isIn(['open', 'assigned', 'resolved'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { site, cubicle, status } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (cubicle) filter.cubicle = cubicle;
+
+    const seesSite = await hasSitePermission(req.user.uid, 'maintenance:manage', site);
+    if (!seesSite) {
+      filter['reportedBy.uid'] = req.user.uid;
+    }
+    if (site) {
+      const cubicleIds = await Cubicle.find(await cubicleFilterForSite(site)).distinct('_id');
+      filter.$and = [{ cubicle: { $in: cubicleIds } }];
+    }
+
+    const tickets = await MaintenanceTicket.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('cubicle', 'serial section row col');
+    res.json(tickets);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching tickets', details: err.message });
+  }
+});
+
+/**
+ * GET /api/maintenance/tickets/:id
+ * Get a ticket with its history.
+ * @route GET /api/maintenance/tickets/:id
+ * @access Protected (reporter or maintenance:manage)
+ */
+router.get('/tickets/:id', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadTicket(), async (req, res) => {
+  try {
+    res.json(await req.ticket.populate('cubicle', 'serial section row col'));
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching ticket', details: err.message });
+  }
+});
+
+/**
+ * POST /api/maintenance/tickets
+ * Report a problem on a cubicle. Users holding `maintenance:manage` at its
+ * site may also pass `startTime` (and optionally `endTime`) to take the
+ * cubicle out of service right away.
+ * @route POST /api/maintenance/tickets
+ * @access Protected (user; maintenance:manage for an out-of-service window)
+ */
+router.post('/tickets', validarUsuario, [
+  body('cubicleId').isMongoId(),
+  body('category').isIn(TICKET_CATEGORIES),
+  body('comment').optional().isString().isLength({ max: 1000 }),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { cubicleId, category, comment, startTime, endTime } = req.body;
+    if (endTime && !startTime) {
+      return res.status(400).json({ error: '`endTime` requires a `startTime`' });
+    }
+    if (startTime && !(await hasSitePermission(req.user.uid, 'maintenance:manage', await findSiteOf({ cubicle: cubicleId })))) {
+      return res.status(403).json({ error: 'Only facility managers and admins can take a cubicle out of service' });
+    }
+
+    const user = buildUserInfo(req.user);
+    let ticket = await reportIssue({ cubicleId, category, comment, user });
+    let flagged = [];
+    if (startTime) {
+      ({ ticket, flagged } = await scheduleOutOfService(ticket, {
+        startTime: new Date(startTime),
+        endTime: endTime ? new Date(endTime) : undefined
+      }, user));
+      await emitStatistics(req);
+    }
+    res.status(201).json({ ticket, flagged: flagged.length });
+  } catch (err) {
+    sendTicketError(res, err, 'Error reporting problem');
+  }
+});
+
+/**
+ * POST /api/maintenance/tickets/:id/assign
+ * Assign a ticket to the person fixing it.
+ * @route POST /api/maintenance/tickets/:id/assign
+ * @access Protected (maintenance:manage)
+ */
+router.post('/tickets/:id/assign', validarUsuario, validarPermiso('maintenance:manage'), [
+  param('id').isMongoId(),
+  body('assignee.uid').isString().notEmpty(),
+  body('assignee.email').optional().isEmail(),
+  body('assignee.displayName').optional().isString()
+], handleValidationErrors, loadTicket({ adminOnly: true }), async (req, res) => {
+  try {
+    const { uid, email, displayName } = req.body.assignee;
+    res.json(await assignTicket(req.ticket, { uid, email, displayName }, req.user));
+  } catch (err) {
+    sendTicketError(res, err, 'Error assigning ticket');
+  }
+});
+
+/**
+ * POST /api/maintenance/tickets/:id/out-of-service
+ * Take the ticket's cubicle out of service from `startTime` until `endTime`
+ * (or until the ticket is resolved). Bookings in the window are flagged and
+ * their owners notified.
+ * @route POST /api/maintenance/tickets/:id/out-of-service
+ * @access Protected (maintenance:manage)
+ */
+router.post('/tickets/:id/out-of-service', validarUsuario, validarPermiso('maintenance:manage'), [
+  param('id').isMongoId(),
+  body('startTime').isISO8601(),
+  body('endTime').optional().isISO8601()
+], handleValidationErrors, loadTicket({ adminOnly: true }), async (req, res) => {
+  try {
+    const { ticket, flagged } = await scheduleOutOfService(req.ticket, {
+      startTime: new Date(req.body.startTime),
+      endTime: req.body.endTime ? new Date(req.body.endTime) : undefined
+    }, req.user);
+    await emitStatistics(req);
+    res.json({ ticket, flagged: flagged.length });
+  } catch (err) {
+    sendTicketError(res, err, 'Error scheduling maintenance');
+  }
+});
+
+/**
+ * POST /api/maintenance/tickets/:id/resolve
+ * Resolve a ticket, returning its cubicle to service.
+ * @route POST /api/maintenance/tickets/:id/resolve
+ * @access Protected (maintenance:manage)
+ */
+router.post('/tickets/:id/resolve', validarUsuario, validarPermiso('maintenance:manage'), [
+  param('id').isMongoId(),
+  body('resolution').isString().trim().notEmpty()
+], handleValidationErrors, loadTicket({ adminOnly: true }), async (req, res) => {
+  try {
+    const ticket = await resolveTicket(req.ticket, req.body.resolution, req.user);
+    await emitStatistics(req);
+    res.json(ticket);
+  } catch (err) {
+    sendTicketError(res, err, 'Error resolving ticket');
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,8 @@ const NotificationService = require('../services/NotificationService');
 const NotificationSettings = require('../models/NotificationSettings');
 const NotificationHistory = require('../models/NotificationHistory');
 const admin = require('../firebaseAdmin');
-const { validarUsuario, validarAdmin } = require('../middleware/auth');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const { hasPermission } = require('../services/RoleService');
 
 class NotificationController {
   // Get notification settings for a user
@@ -115,10 +116,18 @@ class NotificationController {
   static async sendBulkNotifications(req, res) {
     try {
       const { uid } = req.user;
-      const { type = 'bulk', message } = req.body;
+      const { type = 'bulk', message, site } = req.body;
+
+      // Site admins may only notify users about their own site
+      if (!hasPermission(req.access, 'notifications:send', site)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: not an admin of this site'
+        });
+      }
       
       const notificationService = new NotificationService();
-      const result = await notificationService.sendBulkNotifications(type, message, uid);
+      const result = await notificationService.sendBulkNotifications(type, message, uid, site);
       
       res.status(200).json({
         success: true,
@@ -135,11 +144,11 @@ class NotificationController {
     }
   }
 
-  // Get all users with their cubicle sequences
+  // Get all users with their cubicle sequences, optionally only at one site (?site=)
   static async getUsersWithCubicles(req, res) {
     try {
       const notificationService = new NotificationService();
-      const users = await notificationService.getUsersWithCubicleSequences();
+      const users = await notificationService.getUsersWithCubicleSequences(req.query.site);
       
       res.status(200).json({
         success: true,
@@ -318,10 +327,10 @@ router.get('/settings', validarUsuario, NotificationController.getSettings);
 router.put('/settings', validarUsuario, NotificationController.updateSettings);
 router.post('/send', validarUsuario, NotificationController.sendNotification);
 router.post('/send-individual', validarUsuario, NotificationController.sendIndividualNotification);
-router.post('/send-bulk', validarUsuario, validarAdmin, NotificationController.sendBulkNotifications);
+router.post('/send-bulk', validarUsuario, validarPermiso('notifications:send'), NotificationController.sendBulkNotifications);
 router.get('/users-with-cubicles', validarUsuario, NotificationController.getUsersWithCubicles);
 router.get('/history', validarUsuario, NotificationController.getHistory);
 router.post('/test', validarUsuario, NotificationController.testNotification);
-router.get('/statistics', validarUsuario, validarAdmin, NotificationController.getStatistics);
+router.get('/statistics', validarUsuario, validarPermiso('notifications:stats'), NotificationController.getStatistics);
 
 module.exports = router;
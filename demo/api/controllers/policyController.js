@@ -0,0 +1,153 @@
+// External dependencies
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const BookingPolicy = require('../models/BookingPolicy');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+
+/**
+ * @file policyController.js
+ * Express router for booking policy management endpoints (`policies:manage`, held by super admins).
+ */
+
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * Validators shared by policy create and update
+ */
+const policyValidators = [
+  body('description').optional().isString(),
+  body('enabled').optional().isBoolean(),
+  body('sections').optional().isArray(),
+  body('sections.*').isString(),
+  body('users').optional().isArray(),
+  body('users.*').isString(),
+  body('rules').optional().isObject(),
+  body('rules.maxActiveReservations').optional({ nullable: true }).isInt({ min: 1 }),
+  body('rules.maxHorizonDays').optional({ nullable: true }).isInt({ min: 0 }),
+  body('rules.minNoticeMinutes').optional({ nullable: true }).isInt({ min: 0 }),
+  body('rules.blackoutDates').optional().isArray(),
+  body('rules.blackoutDates.*.start').isISO8601(),
+  body('rules.blackoutDates.*.end').isISO8601(),
+  body('rules.allowedGroups').optional().isArray(),
+  body('rules.allowedGroups.*').isString()
+];
+
+/**
+ * Pick the writable policy fields from a request body
+ */
+function policyFieldsFromBody(reqBody) {
+  const fields = {};
+  ['name', 'description', 'enabled', 'sections', 'users', 'rules'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+  });
+  return fields;
+}
+
+/**
+ * GET /api/policies
+ * List all booking policies.
+ * @route GET /api/policies
+ * @access Protected (policies:manage)
+ */
+router.get('/', validarUsuario, validarPermiso('policies:manage'), async (req, res) => {
+  try {
+    const policies = await BookingPolicy.find().sort({ createdAt: -1 });
+    res.json(policies);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching policies', details: err.message });
+  }
+});
+
+/**
+ * GET /api/policies/:id
+ * Get a booking policy.
+ * @route GET /api/policies/:id
+ * @access Protected (policies:manage)
+ */
+router.get('/:id', validarUsuario, validarPermiso('policies:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findById(req.params.id);
+    if (!policy) return res.status(404).json({ error: 'Policy not found' });
+    res.json(policy);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching policy', details: err.message });
+  }
+});
+
+/**
+ * POST /api/policies
+ * Create a booking policy.
+ * @route POST /api/policies
+ * @access Protected (policies:manage)
+ */
+router.post('/', validarUsuario, validarPermiso('policies:manage'), [
+  body('name').isString().notEmpty(),
+  ...policyValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const policy = new BookingPolicy({
+      ...policyFieldsFromBody(req.body),
+      createdBy: { uid: req.user.uid, email: req.user.email }
+    });
+    await policy.save();
+    res.status(201).json(policy);
+  } catch (err) {
+    res.status(400).json({ error: 'Error creating policy', details: err.message });
+  }
+});
+
+/**
+ * PUT /api/policies/:id
+ * Update a booking policy.
+ * @route PUT /api/policies/:id
+ * @access Protected (policies:manage)
+ */
+router.put('/:id', validarUsuario, validarPermiso('policies:manage'), [
+  param('id').isMongoId(),
+  body('name').optional().isString().notEmpty(),
+  ...policyValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findById(req.params.id);
+    if (!policy) return res.status(404).json({ error: 'Policy not found' });
+    policy.set(policyFieldsFromBody(req.body));
+    await policy.save();
+    res.json(policy);
+  } catch (err) {
+    res.status(400).json({ error: 'Error updating policy', details: err.message });
+  }
+});
+
+/**
+ * DELETE /api/policies/:id
+ * Delete a booking policy.
+ * @route DELETE /api/policies/:id
+ * @access Protected (policies:manage)
+ */
+router.delete('/:id', validarUsuario, validarPermiso('policies:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await BookingPolicy.findByIdAndDelete(req.params.id);
+    if (!result) return res.status(404).json({ error: 'Policy not found' });
+    res.json({ message: 'Policy deleted' });
+  } catch (err) {
+    res.status(400).json({ error: 'Error deleting policy', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+// External dependencies
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const ReportDefinition = require('../models/ReportDefinition');
+const CustomReportRun = require('../models/CustomReportRun');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const { exportLimiter } = require('../middleware/rateLimiter');
+const { REPORT_PERIODS } = require('../services/ReportService');
+const { RESERVATION_STATUSES } = require('../services/ReservationService');
+const { AMENITY_FLAGS } = require('../services/CubicleSearchService');
+const { EXPORT_FORMATS, exportCustomReport } = require('../services/ReportExportService');
+const {
+  CUSTOM_METRICS,
+  CUSTOM_DIMENSIONS,
+  MAX_GROUP_BY,
+  runDefinition,
+  runCustomReport
+} = require('../services/CustomReportService');
+const { hasSitePermission, sitesWithPermission } = require('../services/RoleService');
+const { parseCron } = require('../utils/cronUtils');
+
+/**
+ * @file reportDefinitionController.js
+ * Express router for custom report definitions: saved metrics, group-by
+ * dimensions, filters, period and schedule, and the runs of each definition
+ * (users holding `reports:manage` at the definition's site).
+ */
+
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * Validators shared by definition create, update and preview
+ */
+const definitionValidators = [
+  body('description').optional().isString(),
+  body('site').optional({ nullable: true }).isMongoId(),
+  body('metrics').optional().isArray({ min: 1 }),
+  body('metrics.*').isIn(CUSTOM_METRICS.map(m => m.key)),
+  body('groupBy').optional().isArray({ max: MAX_GROUP_BY }),
+  body('groupBy.*').isIn(CUSTOM_DIMENSIONS.map(d => d.key)),
+  body('groupBy').optional().custom(groupBy => new Set(groupBy).size === groupBy.length)
+    .withMessage('groupBy must not repeat a dimension'),
+  body('filters').optional().isObject(),
+  body('filters.sections').optional().isArray(),
+  body('filters.sections.*').isString(),
+  body('filters.amenities').optional().isArray(),
+  body('filters.amenities.*').isIn(AMENITY_FLAGS),
+  body('filters.statuses').optional().isArray(),
+  body('filters.statuses.*').isIn(RESERVATION_STATUSES),
+  body('filters.weekdays').optional().isArray(),
+  body('filters.weekdays.*').isInt({ min: 0, max: 6 }),
+  body('filters.users').optional().isArray(),
+  body('filters.users.*').isString(),
+  body('period').optional().isObject(),
+  body('period.type').optional().isIn(REPORT_PERIODS),
+  body('period.offset').optional().isInt({ max: 0 }),
+  body('period.startDate').if(body('period.type').equals('custom')).isISO8601(),
+  body('period.endDate').if(body('period.type').equals('custom')).isISO8601()
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.period.startDate))
+    .withMessage('period.endDate must not be before period.startDate'),
+  body('schedule').optional().isObject(),
+  body('schedule.enabled').optional().isBoolean(),
+  body('schedule.cron').optional({ nullable: true }).isString().custom(expression => {
+    parseCron(expression);
+    return true;
+  }),
+  body('schedule').optional().custom(schedule => !schedule.enabled || Boolean(schedule.cron))
+    .withMessage('An enabled schedule needs a cron expression')
+];
+
+/**
+ * Pick the writable definition fields from a request body
+ */
+function definitionFieldsFromBody(reqBody) {
+  const fields = {};
+  ['name', 'description', 'site', 'metrics', 'groupBy', 'filters', 'period'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+  });
+  if (reqBody.schedule !== undefined) {
+    fields.schedule = { cron: reqBody.schedule.cron || undefined, enabled: Boolean(reqBody.schedule.enabled) };
+  }
+  return fields;
+}
+
+/**
+ * Definition filter for the sites at which an access holds `reports:manage`;
+ * super admins see all.
+ */
+function reportSitesFilter(access) {
+  const sites = sitesWithPermission(access, 'reports:manage');
+  return sites ? { site: { $in: sites } } : {};
+}
+
+/**
+ * GET /api/report-definitions/options
+ * The metrics, dimensions and filter values a definition may use.
+ * @route GET /api/report-definitions/options
+ * @access Protected (reports:manage)
+ */
+router.get('/options', validarUsuario, validarPermiso('reports:manage'), (req, res) => {
+  res.json({
+    metrics: CUSTOM_METRICS,
+    dimensions: CUSTOM_DIMENSIONS,
+    maxGroupBy: MAX_GROUP_BY,
+    amenities: AMENITY_FLAGS,
+    statuses: RESERVATION_STATUSES,
+    periods: REPORT_PERIODS
+  });
+});
+
+/**
+ * GET /api/report-definitions
+ * List the report definitions of the sites the user manages reports of.
+ * @route GET /api/report-definitions
+ * @access Protected (reports:manage)
+ */
+router.get('/', validarUsuario, validarPermiso('reports:manage'), async (req, res) => {
+  try {
+    const definitions = await ReportDefinition.find(reportSitesFilter(req.access))
+      .sort({ name: 1 });
+    res.json(definitions);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report definitions', details: err.message });
+  }
+});
+
+/**
+ * POST /api/report-definitions/preview
+ * Run a definition without saving it or its results.
+ * @route POST /api/report-definitions/preview
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.post('/preview', validarUsuario, validarPermiso('reports:manage'), [
+  body('metrics').isArray({ min: 1 }),
+  ...definitionValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', req.body.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    res.json(await runDefinition(definitionFieldsFromBody(req.body)));
+  } catch (err) {
+    res.status(500).json({ error: 'Error running report definition', details: err.message });
+  }
+});
+
+/**
+ * GET /api/report-definitions/runs/:runId
+ * Get the results of a run.
+ * @route GET /api/report-definitions/runs/:runId
+ * @access Protected (reports:manage at the run's site)
+ */
+router.get('/runs/:runId', validarUsuario, [
+  param('runId').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const run = await CustomReportRun.findById(req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Report run not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', run.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report run', details: err.message });
+  }
+});
+
+/**
+ * GET /api/report-definitions/runs/:runId/export
+ * Export the results of a run as Excel, PDF, CSV or JSON.
+ * @route GET /api/report-definitions/runs/:runId/export
+ * @access Protected (reports:manage at the run's site)
+ * @query {string} [format] - xlsx (default), pdf, csv or json
+ */
+router.get('/runs/:runId/export', exportLimiter, validarUsuario, [
+  param('runId').isMongoId(),
+  query('format').optional().isIn(EXPORT_FORMATS)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const run = await CustomReportRun.findById(req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Report run not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', run.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+
+    const { body, contentType, filename } = await exportCustomReport(run, { format: req.query.format || 'xlsx' });
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.send(body);
+  } catch (err) {
+    res.status(500).json({ error: 'Error exporting report run', details: err.message });
+  }
+});
+
+/**
+ * GET /api/report-definitions/:id
+ * Get a report definition.
+ * @route GET /api/report-definitions/:id
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.get('/:id', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: 'Report definition not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', definition.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    res.json(definition);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report definition', details: err.message });
+  }
+});
+
+/**
+ * POST /api/report-definitions
+ * Create a report definition.
+ * @route POST /api/report-definitions
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.post('/', validarUsuario, validarPermiso('reports:manage'), [
+  body('name').isString().notEmpty(),
+  body('metrics').isArray({ min: 1 }),
+  ...definitionValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', req.body.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    const definition = new ReportDefinition({
+      ...definitionFieldsFromBody(req.body),
+      createdBy: { uid: req.user.uid, email: req.user.email }
+    });
+    await definition.save();
+    res.status(201).json(definition);
+  } catch (err) {
+    res.status(400).json({ error: 'Error creating report definition', details: err.message });
+  }
+});
+
+/**
+ * PUT /api/report-definitions/:id
+ * Update a report definition. Changing the schedule starts it afresh, so
+ * runs missed before the change are not made up for.
+ * @route PUT /api/report-definitions/:id
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.put('/:id', validarUsuario, validarPermiso('reports:manage'), [
+  param('id').isMongoId(),
+  body('name').optional().isString().notEmpty(),
+  ...definitionValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: 'Report definition not found' });
+    const { schedule, ...fields } = definitionFieldsFromBody(req.body);
+    const sites = fields.site !== undefined ? [definition.site, fields.site] : [definition.site];
+    for (const site of sites) {
+      if (!(await hasSitePermission(req.user.uid, 'reports:manage', site))) {
+        return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+      }
+    }
+
+    definition.set(fields);
+    if (schedule && (schedule.cron !== definition.schedule.cron || schedule.enabled !== definition.schedule.enabled)) {
+      definition.set('schedule', { ...schedule, lastRunAt: undefined });
+    }
+    await definition.save();
+    res.json(definition);
+  } catch (err) {
+    res.status(400).json({ error: 'Error updating report definition', details: err.message });
+  }
+});
+
+/**
+ * DELETE /api/report-definitions/:id
+ * Delete a report definition and its runs.
+ * @route DELETE /api/report-definitions/:id
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.delete('/:id', validarUsuario, validarPermiso('reports:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: 'Report definition not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', definition.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    await CustomReportRun.deleteMany({ definition: definition._id });
+    await definition.deleteOne();
+    res.json({ message: 'Report definition deleted' });
+  } catch (err) {
+    res.status(400).json({ error: 'Error deleting report definition', details: err.message });
+  }
+});
+
+/**
+ * POST /api/report-definitions/:id/run
+ * Run a report definition now and store its results.
+ * @route POST /api/report-definitions/:id/run
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.post('/:id/run', validarUsuario, validarPermiso('reports:manage'), [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: 'Report definition not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', definition.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    const run = await runCustomReport(definition, {
+      generatedBy: { uid: req.user.uid, email: req.user.email }
+    });
+    res.status(201).json(run);
+  } catch (err) {
+    res.status(500).json({ error: 'Error running report definition', details: err.message });
+  }
+});
+
+/**
+ * GET /api/report-definitions/:id/runs
+ * List the latest runs of a definition, without their rows.
+ * @route GET /api/report-definitions/:id/runs
+ * @access Protected (reports:manage at the definition's site)
+ */
+router.get('/:id/runs', validarUsuario, [
+  param('id').isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: 'Report definition not found' });
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', definition.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    const runs = await CustomReportRun.find({ definition: definition._id }, '-rows')
+      .sort({ generatedAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report runs', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,550 @@
+// External dependencies
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Internal dependencies
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const GroupBooking = require('../models/GroupBooking');
+const { validarUsuario } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  SLOT_NAMES,
+  RESERVATION_STATUSES,
+  BookingError,
+  resolveWindow,
+  buildUserInfo,
+  cancelReservation,
+  checkIn
+} = require('../services/ReservationService');
+const {
+  FREQUENCIES,
+  createSeries,
+  updateSeries,
+  skipOccurrence,
+  cancelSeries
+} = require('../services/ReservationSeriesService');
+const {
+  WAITLIST_SCOPES,
+  joinWaitlist,
+  claimOffer,
+  leaveWaitlist
+} = require('../services/WaitlistService');
+const {
+  MAX_GROUP_SIZE,
+  createGroupBooking,
+  updateGroupBooking,
+  cancelGroupBooking
+} = require('../services/GroupBookingService');
+const { buildPolicyContext } = require('../services/PolicyService');
+const { recordAudit } = require('../services/AuditService');
+const {
+  findSiteOf,
+  getSiteTimezone,
+  reservationFilterForSite
+} = require('../services/SiteService');
+const { hasSitePermission } = require('../services/RoleService');
+
+/**
+ * @file reservationController.js
+ * Express router for reservation lifecycle endpoints (list, check-in, cancel)
+ * recurring reservation series, team group bookings and the waitlist.
+ */
+
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * Build middleware that loads the document named by :id and makes sure the
+ * caller owns it (or holds `bookings:override` at the site its cubicle or
+ * section is in).
+ * The document is stored on req.owned and its label on req.ownedType.
+ */
+function loadOwned(Model, label) {
+  return async (req, res, next) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+      if (!doc) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      const isOwner = doc.user && doc.user.uid === req.user.uid;
+      const isAdmin = !isOwner && await hasSitePermission(req.user.uid, 'bookings:override', await findSiteOf({
+        cubicle: doc.cubicle || (doc.offer && doc.offer.cubicle),
+        section: doc.section
+      }));
+      if (!isOwner && !isAdmin) {
+        return res.status(403).json({ error: `Not authorized to modify this ${label.toLowerCase()}` });
+      }
+      req.owned = doc;
+      req.ownedType = label.toLowerCase();
+      next();
+    } catch (err) {
+      res.status(500).json({ error: `Error fetching ${label.toLowerCase()}`, details: err.message });
+    }
+  };
+}
+
+const loadOwnReservation = loadOwned(Reservation, 'Reservation');
+const loadOwnSeries = loadOwned(ReservationSeries, 'Series');
+const loadOwnWaitlistEntry = loadOwned(WaitlistEntry, 'Waitlist entry');
+const loadOwnGroup = loadOwned(GroupBooking, 'Group booking');
+
+/**
+ * Audit an admin acting on another user's reservation, series, group or waitlist entry
+ */
+async function auditOverride(req, action, details = {}) {
+  const owner = req.owned.user;
+  if (!owner || owner.uid === req.user.uid) return;
+  await recordAudit({
+    action,
+    actor: { uid: req.user.uid, email: req.user.email },
+    target: { type: req.ownedType, id: String(req.owned._id) },
+    affectedUser: owner,
+    details
+  });
+}
+
+/**
+ * Send a BookingError as its HTTP response, or a 500 for anything else
+ */
+function sendBookingError(res, err, fallbackMessage) {
+  if (err instanceof BookingError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  res.status(500).json({ error: fallbackMessage, details: err.message });
+}
+
+/**
+ * Validators shared by series create and edit
+ */
+const seriesValidators = [
+  body('cubicleId').optional().isMongoId(),
+  body('slot').optional().isIn(['full-day', 'morning', 'afternoon']),
+  body('frequency').optional().isIn(FREQUENCIES),
+  body('daysOfWeek').optional().isArray(),
+  body('daysOfWeek.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('startDate').optional().isISO8601(),
+  body('until').optional().isISO8601(),
+  body('count').optional().isInt({ min: 1 }).toInt(),
+  body('exceptions').optional().isArray(),
+  body('exceptions.*').isISO8601()
+];
+
+/**
+ * Map a series request body onto series fields. Dates are turned into days
+ * by the series service, in the timezone of the cubicle's site.
+ */
+function seriesFieldsFromBody(reqBody) {
+  const fields = {};
+  ['slot', 'frequency', 'daysOfWeek', 'startDate', 'count', 'exceptions'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+  });
+  if (reqBody.cubicleId !== undefined) fields.cubicle = reqBody.cubicleId;
+  if (reqBody.until !== undefined) fields.until = reqBody.until || undefined;
+  return fields;
+}
+
+/**
+ * Emit a statistics update after a lifecycle change
+ */
+async function notifyStatisticsChanged(req) {
+  const emitStatisticsUpdate = req.app.get('emitStatisticsUpdate');
+  if (emitStatisticsUpdate) {
+    try {
+      await emitStatisticsUpdate();
+    } catch (err) {
+      console.error('[RESERVATION] Error emitting statistics update:', err);
+    }
+  }
+}
+
+/**
+ * GET /reservations
+ * List the current user's reservations, newest first, optionally only those at one site.
+ * @route GET /reservations
+ * @access Protected (user)
+ */
+router.get('/', validarUsuario, [
+  query('site').optional().isMongoId(),
+  query('status').optional().isIn(RESERVATION_STATUSES),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const filter = { 'user.uid': req.user.uid, ...await reservationFilterForSite(req.query.site) };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.startTime = {};
+      if (req.query.from) filter.startTime.$gte = new Date(req.query.from);
+      if (req.query.to) filter.startTime.$lte = new Date(req.query.to);
+    }
+    const reservations = await Reservation.find(filter)
+      .sort({ startTime: -1 })
+      .populate('cubicle', 'section row col serial name')
+      .lean();
+    res.json(reservations);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching reservations', details: err.message });
+  }
+});
+
+/**
+ * POST /reservations/:id/check-in
+ * Check in to a booked reservation.
+ * @route POST /reservations/:id/check-in
+ * @access Protected (owner or admin)
+ */
+router.post('/:id/check-in', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnReservation, async (req, res) => {
+  try {
+    const reservation = await checkIn(req.owned);
+    await auditOverride(req, 'reservation.check-in');
+    await notifyStatisticsChanged(req);
+    res.json(reservation);
+  } catch (err) {
+    sendBookingError(res, err, 'Error checking in');
+  }
+});
+
+/**
+ * POST /reservations/:id/cancel
+ * Cancel a booked or checked-in reservation.
+ * @route POST /reservations/:id/cancel
+ * @access Protected (owner or admin)
+ */
+router.post('/:id/cancel', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnReservation, async (req, res) => {
+  try {
+    const reservation = await cancelReservation(req.owned, { uid: req.user.uid, email: req.user.email });
+    await auditOverride(req, 'reservation.cancel');
+    await notifyStatisticsChanged(req);
+    res.json(reservation);
+  } catch (err) {
+    sendBookingError(res, err, 'Error cancelling reservation');
+  }
+});
+
+/**
+ * GET /reservations/series
+ * List the current user's recurring series.
+ * @route GET /reservations/series
+ * @access Protected (user)
+ */
+router.get('/series', validarUsuario, async (req, res) => {
+  try {
+    const series = await ReservationSeries.find({ 'user.uid': req.user.uid })
+      .sort({ createdAt: -1 })
+      .populate('cubicle', 'section row col serial name')
+      .lean();
+    res.json(series);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching series', details: err.message });
+  }
+});
+
+/**
+ * POST /reservations/series
+ * Create a recurring series and book its occurrences.
+ * Occurrences that clash with existing bookings are skipped and returned in `conflicts`.
+ * @route POST /reservations/series
+ * @access Protected (user)
+ */
+router.post('/series', validarUsuario, [
+  body('cubicleId').isMongoId(),
+  body('frequency').isIn(FREQUENCIES),
+  ...seriesValidators
+], handleValidationErrors, idempotent, async (req, res) => {
+  try {
+    const result = await createSeries({
+      ...seriesFieldsFromBody(req.body),
+      user: buildUserInfo(req.user)
+    }, await buildPolicyContext(req.user));
+    await notifyStatisticsChanged(req);
+    res.status(201).json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error creating series');
+  }
+});
+
+/**
+ * PUT /reservations/series/:id
+ * Edit a whole series. Upcoming occurrences the new definition drops are cancelled and the days it adds are booked.
+ * @route PUT /reservations/series/:id
+ * @access Protected (owner or admin)
+ */
+router.put('/series/:id', validarUsuario, [
+  param('id').isMongoId(),
+  ...seriesValidators
+], handleValidationErrors, loadOwnSeries, async (req, res) => {
+  try {
+    const result = await updateSeries(req.owned, seriesFieldsFromBody(req.body), {
+      uid: req.user.uid,
+      email: req.user.email
+    }, await buildPolicyContext(req.user));
+    await auditOverride(req, 'series.update', { changes: seriesFieldsFromBody(req.body) });
+    await notifyStatisticsChanged(req);
+    res.json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error updating series');
+  }
+});
+
+/**
+ * POST /reservations/series/:id/skip
+ * Skip a single occurrence of a series.
+ * @route POST /reservations/series/:id/skip
+ * @access Protected (owner or admin)
+ */
+router.post('/series/:id/skip', validarUsuario, [
+  param('id').isMongoId(),
+  body('date').isISO8601()
+], handleValidationErrors, loadOwnSeries, async (req, res) => {
+  try {
+    const result = await skipOccurrence(req.owned, req.body.date, { uid: req.user.uid, email: req.user.email });
+    await auditOverride(req, 'series.skip', { date: req.body.date, cancelled: result.cancelled });
+    await notifyStatisticsChanged(req);
+    res.json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error skipping occurrence');
+  }
+});
+
+/**
+ * DELETE /reservations/series/:id
+ * Cancel a series and its upcoming occurrences.
+ * @route DELETE /reservations/series/:id
+ * @access Protected (owner or admin)
+ */
+router.delete('/series/:id', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnSeries, async (req, res) => {
+  try {
+    const result = await cancelSeries(req.owned, { uid: req.user.uid, email: req.user.email });
+    await auditOverride(req, 'series.cancel', { cancelled: result.cancelled });
+    await notifyStatisticsChanged(req);
+    res.json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error cancelling series');
+  }
+});
+
+/**
+ * Validators for the booking window of a group
+ */
+const groupWindowValidators = [
+  body('date').optional().isISO8601(),
+  body('slot').optional().isIn(SLOT_NAMES),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601()
+];
+
+/**
+ * GET /reservations/groups
+ * List the group bookings made by the current user.
+ * @route GET /reservations/groups
+ * @access Protected (user)
+ */
+router.get('/groups', validarUsuario, async (req, res) => {
+  try {
+    const groups = await GroupBooking.find({ 'user.uid': req.user.uid })
+      .sort({ startTime: -1 })
+      .populate('cubicles', 'section row col serial name')
+      .lean();
+    res.json(groups);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching group bookings', details: err.message });
+  }
+});
+
+/**
+ * POST /reservations/groups
+ * Book `size` adjacent cubicles for a named group, all or nothing, at the given `site`
+ * (by default the site of `section`). The window is read in the site's timezone.
+ * The preferred section is tried first; a `409` with code NO_ADJACENT_BLOCK means no block is free.
+ * @route POST /reservations/groups
+ * @access Protected (user)
+ */
+router.post('/groups', validarUsuario, [
+  body('name').isString().trim().notEmpty(),
+  body('size').isInt({ min: 1, max: MAX_GROUP_SIZE }).toInt(),
+  body('site').optional().isMongoId(),
+  body('section').optional().isString(),
+  ...groupWindowValidators
+], handleValidationErrors, idempotent, async (req, res) => {
+  try {
+    const site = req.body.site || await findSiteOf({ section: req.body.section });
+    if (!site) {
+      return res.status(400).json({ error: 'A site, or a section of the floor plan, is required' });
+    }
+    const result = await createGroupBooking({
+      name: req.body.name,
+      size: req.body.size,
+      site: site._id || site,
+      preferredSection: req.body.section,
+      user: buildUserInfo(req.user),
+      window: resolveWindow(req.body, await getSiteTimezone(site)),
+      policy: await buildPolicyContext(req.user)
+    });
+    await notifyStatisticsChanged(req);
+    res.status(201).json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error creating group booking');
+  }
+});
+
+/**
+ * PUT /reservations/groups/:id
+ * Rename a group, or change its size, section or time, which rebooks the whole group.
+ * @route PUT /reservations/groups/:id
+ * @access Protected (owner or admin)
+ */
+router.put('/groups/:id', validarUsuario, [
+  param('id').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  body('size').optional().isInt({ min: 1, max: MAX_GROUP_SIZE }).toInt(),
+  body('section').optional({ nullable: true }).isString(),
+  ...groupWindowValidators
+], handleValidationErrors, loadOwnGroup, async (req, res) => {
+  try {
+    const result = await updateGroupBooking(req.owned, {
+      name: req.body.name,
+      size: req.body.size,
+      preferredSection: req.body.section,
+      date: req.body.date,
+      slot: req.body.slot,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime
+    }, { uid: req.user.uid, email: req.user.email }, await buildPolicyContext(req.user));
+    await auditOverride(req, 'group.update', { size: result.group.size, section: result.group.section });
+    await notifyStatisticsChanged(req);
+    res.json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error updating group booking');
+  }
+});
+
+/**
+ * DELETE /reservations/groups/:id
+ * Cancel a group booking and all its reservations.
+ * @route DELETE /reservations/groups/:id
+ * @access Protected (owner or admin)
+ */
+router.delete('/groups/:id', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnGroup, async (req, res) => {
+  try {
+    const result = await cancelGroupBooking(req.owned, { uid: req.user.uid, email: req.user.email });
+    await auditOverride(req, 'group.cancel', { cancelled: result.cancelled });
+    await notifyStatisticsChanged(req);
+    res.json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error cancelling group booking');
+  }
+});
+
+/**
+ * GET /reservations/waitlist
+ * List the current user's waitlist entries, newest first.
+ * @route GET /reservations/waitlist
+ * @access Protected (user)
+ */
+router.get('/waitlist', validarUsuario, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ 'user.uid': req.user.uid })
+      .sort({ createdAt: -1 })
+      .populate('cubicle', 'section row col serial name')
+      .populate('offer.cubicle', 'section row col serial name')
+      .lean();
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching waitlist', details: err.message });
+  }
+});
+
+/**
+ * POST /reservations/waitlist
+ * Join the waitlist for a specific cubicle, any cubicle in a section, or any cubicle
+ * (of one site when `site` is given), for a booking window (date + slot, or startTime/endTime).
+ * @route POST /reservations/waitlist
+ * @access Protected (user)
+ */
+router.post('/waitlist', validarUsuario, [
+  body('scope').isIn(WAITLIST_SCOPES),
+  body('cubicleId').if(body('scope').equals('cubicle')).isMongoId(),
+  body('section').if(body('scope').equals('section')).isString().notEmpty(),
+  body('site').optional().isMongoId(),
+  body('date').optional().isISO8601(),
+  body('slot').optional().isIn(SLOT_NAMES),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601()
+], handleValidationErrors, idempotent, async (req, res) => {
+  try {
+    const entry = await joinWaitlist({
+      user: buildUserInfo(req.user),
+      scope: req.body.scope,
+      cubicleId: req.body.cubicleId,
+      section: req.body.section,
+      site: req.body.site,
+      window: resolveWindow(req.body, await getSiteTimezone(await findSiteOf({
+        cubicle: req.body.cubicleId,
+        section: req.body.section
+      }) || req.body.site))
+    });
+    await notifyStatisticsChanged(req);
+    res.status(201).json(entry);
+  } catch (err) {
+    sendBookingError(res, err, 'Error joining waitlist');
+  }
+});
+
+/**
+ * POST /reservations/waitlist/:id/claim
+ * Claim a waitlist offer, booking the held cubicle.
+ * @route POST /reservations/waitlist/:id/claim
+ * @access Protected (owner or admin)
+ */
+router.post('/waitlist/:id/claim', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnWaitlistEntry, idempotent, async (req, res) => {
+  try {
+    const result = await claimOffer(req.owned, await buildPolicyContext(req.user));
+    await auditOverride(req, 'waitlist.claim', { reservation: String(result.reservation._id) });
+    await notifyStatisticsChanged(req);
+    res.status(201).json(result);
+  } catch (err) {
+    sendBookingError(res, err, 'Error claiming offer');
+  }
+});
+
+/**
+ * DELETE /reservations/waitlist/:id
+ * Leave the waitlist. A pending offer is passed on to the next person in line.
+ * @route DELETE /reservations/waitlist/:id
+ * @access Protected (owner or admin)
+ */
+router.delete('/waitlist/:id', validarUsuario, [
+  param('id').isMongoId()
+], handleValidationErrors, loadOwnWaitlistEntry, async (req, res) => {
+  try {
+    const entry = await leaveWaitlist(req.owned);
+    await auditOverride(req, 'waitlist.cancel');
+    await notifyStatisticsChanged(req);
+    res.json(entry);
+  } catch (err) {
+    sendBookingError(res, err, 'Error leaving waitlist');
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,82 @@
 // External dependencies
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
 
 // Internal dependencies
 const admin = require('../firebaseAdmin');
-const { validarUsuario, validarAdmin } = require('../middleware/auth');
-const { getAdminUids } = require('../utils/adminUtils');
+const Building = require('../models/Building');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getUserAccess,
+  listUserRoles,
+  setUserRole
+} = require('../services/RoleService');
 
 /**
  * @file usersController.js
- * Express router for user management endpoints (admin only).
+ * Express router for user management endpoints (`users:manage`, held by
+ * super admins), and for the signed-in user's own role and permissions.
  */
 
+/**
+ * Validation error handler shared by the routes below
+ */
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+}
+
+/**
+ * GET /users/me
+ * Get the signed-in user's role, the sites it applies to and the permissions
+ * it grants. Clients use it to decide what to show.
+ * @route GET /users/me
+ * @access Protected (user)
+ */
+router.get('/me', validarUsuario, async (req, res) => {
+  try {
+    const access = await getUserAccess(req.user.uid);
+    res.json({ ...access, email: req.user.email });
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching your role', details: err.message });
+  }
+});
+
+/**
+ * GET /users/roles
+ * List the roles with their permissions, and the users who were given one.
+ * Users listed as a building's admins are site admins of it without one.
+ * @route GET /users/roles
+ * @access Protected (users:manage)
+ */
+router.get('/roles', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
+  try {
+    res.json({
+      roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+      users: await listUserRoles()
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching roles', details: err.message });
+  }
+});
+
 /**
  * GET /users/:uid
- * Get user info from Firebase Authentication.
- * Only admins can access this endpoint.
+ * Get user info from Firebase Authentication, with the user's role.
  * @route GET /users/:uid
- * @access Protected (admin)
+ * @access Protected (users:manage)
  */
-router.get('/:uid', validarUsuario, validarAdmin, async (req, res) => {
+router.get('/:uid', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
   try {
     const userRecord = await admin.auth().getUser(req.params.uid);
-    // Check if UID is in admin list or has admin claim
-    const adminUids = getAdminUids();
-    const isAdmin = adminUids.includes(userRecord.uid) || (userRecord.customClaims && userRecord.customClaims.admin);
-    res.json({ ...userRecord, isAdmin });
+    const { role, sites, permissions } = await getUserAccess(userRecord.uid);
+    res.json({ ...userRecord, role, sites, permissions, isAdmin: role === 'super-admin' });
   } catch (err) {
     res.status(404).json({ error: 'User not found', details: err.message });
   }
@@ -34,11 +85,10 @@ router.get('/:uid', validarUsuario, validarAdmin, async (req, res) => {
 /**
  * DELETE /users/:uid
  * Delete a user from Firebase Authentication.
- * Only admins can access this endpoint.
  * @route DELETE /users/:uid
- * @access Protected (admin)
+ * @access Protected (users:manage)
  */
-router.delete('/:uid', validarUsuario, validarAdmin, async (req, res) => {
+router.delete('/:uid', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
   try {
     await admin.auth().deleteUser(req.params.uid);
     res.json({ success: true, message: 'User deleted' });
@@ -50,11 +100,10 @@ router.delete('/:uid', validarUsuario, validarAdmin, async (req, res) => {
 /**
  * PATCH /users/:uid
  * Update user info (displayName, email, password, etc.).
- * Only admins can update any user. Users can update their own info (add logic as needed).
  * @route PATCH /users/:uid
- * @access Protected (admin)
+ * @access Protected (users:manage)
  */
-router.patch('/:uid', validarUsuario, validarAdmin, async (req, res) => {
+router.patch('/:uid', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
   try {
     const updateData = req.body;
     const userRecord = await admin.auth().updateUser(req.params.uid, updateData);
@@ -64,28 +113,84 @@ router.patch('/:uid', validarUsuario, validarAdmin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /users/:uid/role
+ * Give a user a role. Facility managers and site admins need the `sites`
+ * (building IDs) they look after. Users cannot change their own role.
+ * The change is audited and applies within ACCESS_CACHE_MS on other API instances.
+ * @route PUT /users/:uid/role
+ * @access Protected (users:manage)
+ */
+router.put('/:uid/role', validarUsuario, validarPermiso('users:manage'), [
+  param('uid').isString().notEmpty(),
+  body('role').isIn(ROLES),
+  body('sites').optional().isArray(),
+  body('sites.*').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  const { uid } = req.params;
+  const { role, sites = [] } = req.body;
+  if (uid === req.user.uid) {
+    return res.status(403).json({ error: 'You cannot change your own role' });
+  }
+  const scoped = role === 'facility-manager' || role === 'site-admin';
+  if (scoped && sites.length === 0) {
+    return res.status(400).json({ error: 'Facility managers and site admins need the sites they look after' });
+  }
+  try {
+    if (scoped && (await Building.countDocuments({ _id: { $in: sites } })) !== new Set(sites).size) {
+      return res.status(400).json({ error: 'Unknown site' });
+    }
+    const userRecord = await admin.auth().getUser(uid);
+    await setUserRole({ uid, email: userRecord.email, role, sites }, req.user);
+    res.json(await getUserAccess(uid));
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found', details: err.message });
+    }
+    res.status(400).json({ error: 'Failed to update user role', details: err.message });
+  }
+});
+
 /**
  * POST /users/:uid/setAdmin
- * Set or remove admin custom claim for a user.
- * Only admins can update any user. Users can update their own admin status.
+ * Make a user a super admin, or a plain user. Kept for older clients;
+ * PUT /users/:uid/role sets any role.
  * @route POST /users/:uid/setAdmin
- * @access Protected (admin or self)
+ * @access Protected (users:manage)
  */
-router.post('/:uid/setAdmin', validarUsuario, async (req, res) => {
+router.post('/:uid/setAdmin', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
   const { admin: makeAdmin } = req.body;
   const { uid } = req.params;
-  // Only allow users to change their own admin status or admins to change anyone's
-  const isSelf = req.user.uid === uid;
-  const adminUids = getAdminUids();
-  const isAdmin = adminUids.includes(req.user.uid);
-  if (!isSelf && !isAdmin) {
-    return res.status(403).json({ error: 'Not authorized to change admin status for this user' });
+  if (uid === req.user.uid) {
+    return res.status(403).json({ error: 'You cannot change your own role' });
   }
   try {
-    await admin.auth().setCustomUserClaims(uid, makeAdmin ? { admin: true } : { admin: false });
-    res.json({ success: true, admin: makeAdmin });
+    const userRecord = await admin.auth().getUser(uid);
+    await setUserRole({ uid, email: userRecord.email, role: makeAdmin ? 'super-admin' : 'user' }, req.user);
+    res.json({ success: true, admin: Boolean(makeAdmin) });
+  } catch (err) {
+    res.status(400).json({ error: 'Failed to update admin status', details: err.message });
+  }
+});
+
+/**
+ * PUT /users/:uid/groups
+ * Set the booking groups of a user (used by section restrictions in booking policies).
+ * Existing custom claims are kept.
+ * @route PUT /users/:uid/groups
+ * @access Protected (users:manage)
+ */
+router.put('/:uid/groups', validarUsuario, validarPermiso('users:manage'), async (req, res) => {
+  const { groups } = req.body;
+  if (!Array.isArray(groups) || !groups.every(g => typeof g === 'string')) {
+    return res.status(400).json({ error: 'groups must be an array of strings' });
+  }
+  try {
+    const userRecord = await admin.auth().getUser(req.params.uid);
+    await admin.auth().setCustomUserClaims(req.params.uid, { ...(userRecord.customClaims || {}), groups });
+    res.json({ success: true, groups });
   } catch (err) {
-    res.status(400).json({ error: 'Failed to update admin claim', details: err.message });
+    res.status(400).json({ error: 'Failed to update user groups', details: err.message });
   }
 });
 
@@ -1,314 +1,40 @@
 // External dependencies
 const express = require('express');
 const { param, query, validationResult } = require('express-validator');
-const XLSX = require('xlsx');
 const router = express.Router();
 
 // Internal dependencies
 const UtilizationReport = require('../models/UtilizationReport');
-const Cubicle = require('../models/Cubicle');
-const Reservation = require('../models/Reservation');
-const { validarUsuario, validarAdmin } = require('../middleware/auth');
+const ReportJob = require('../models/ReportJob');
+const { validarUsuario, validarPermiso } = require('../middleware/auth');
 const { exportLimiter } = require('../middleware/rateLimiter');
+const { REPORT_PERIODS, getPeriodBounds } = require('../services/ReportService');
+const { jobStatus, enqueueReportJob } = require('../services/ReportJobService');
+const { getSiteTimezone } = require('../services/SiteService');
+const { hasPermission, hasSitePermission } = require('../services/RoleService');
+const { EXPORT_FORMATS, EXPORT_SHEETS, exportReport, exportComparison } = require('../services/ReportExportService');
+const {
+  MIN_COMPARED_REPORTS,
+  MAX_COMPARED_REPORTS,
+  compareReports,
+  findComparedReports
+} = require('../services/ReportComparisonService');
 
 /**
  * @file utilizationController.js
  * Express router for utilization report management endpoints.
  */
 
-/**
- * Generate cubicle cod    ]);
-    const usersSheet = XLSX.utils.aoa_to_sheet(usersData);
-    XLSX.utils.book_append_sheet(workbook, usersSheet, 'Users');
-
-    // Peak Hours Sheet - REMOVED as requesteduences for a user's reservations
- * @param {Array} reservations - User's reservations with populated cubicle data
- * @returns {String} Formatted cubicle codes
- */
-function generateCubicleCodeSequence(reservations) {
-  if (!reservations || reservations.length === 0) return '';
-  
-  // Sort reservations by date and cubicle serial
-  const sortedReservations = reservations
-    .filter(r => r.cubicle && r.cubicle.serial)
-    .sort((a, b) => {
-      const dateComparison = new Date(a.date) - new Date(b.date);
-      if (dateComparison !== 0) return dateComparison;
-      return a.cubicle.serial.localeCompare(b.cubicle.serial);
-    });
-
-  if (sortedReservations.length === 0) return '';
-  
-  // Group by date first, then process sequences
-  const dateGroups = {};
-  sortedReservations.forEach(r => {
-    const dateStr = r.date.toDateString();
-    if (!dateGroups[dateStr]) {
-      dateGroups[dateStr] = [];
-    }
-    dateGroups[dateStr].push(r.cubicle.serial);
-  });
-  
-  const allCodes = [];
-  
-  // Process each date group for sequences
-  Object.keys(dateGroups).sort().forEach(dateStr => {
-    const codes = dateGroups[dateStr].sort();
-    const sequences = [];
-    
-    let sequenceStart = codes[0];
-    let sequenceEnd = sequenceStart;
-    
-    for (let i = 1; i < codes.length; i++) {
-      if (isSequentialCode(sequenceEnd, codes[i])) {
-        sequenceEnd = codes[i];
-      } else {
-        // End current sequence and start a new one
-        if (sequenceStart === sequenceEnd) {
-          sequences.push(sequenceStart);
-        } else {
-          sequences.push(`${sequenceStart}-${sequenceEnd}`);
-        }
-        sequenceStart = codes[i];
-        sequenceEnd = codes[i];
-      }
-    }
-    
-    // Add the last sequence
-    if (sequenceStart === sequenceEnd) {
-      sequences.push(sequenceStart);
-    } else {
-      sequences.push(`${sequenceStart}-${sequenceEnd}`);
-    }
-    
-    allCodes.push(...sequences);
-  });
-  
-  return allCodes.join(', ');
-}
-
-/**
- * Check if two cubicle codes are sequential
- * @param {String} code1 - First cubicle code
- * @param {String} code2 - Second cubicle code
- * @returns {Boolean} True if codes are sequential
- */
-function isSequentialCode(code1, code2) {
-  // Extract section and number from codes like "A1", "B12", etc.
-  const regex = /^([A-Z])(\d+)$/;
-  const match1 = code1.match(regex);
-  const match2 = code2.match(regex);
-  
-  if (!match1 || !match2) return false;
-  
-  const section1 = match1[1];
-  const number1 = parseInt(match1[2]);
-  const section2 = match2[1];
-  const number2 = parseInt(match2[2]);
-  
-  // Same section and consecutive numbers
-  return section1 === section2 && Math.abs(number1 - number2) === 1;
-}
-
-/**
- * Generate utilization report data for a given week
- * @param {Date} startDate - Start of the week
- * @param {Date} endDate - End of the week
- * @returns {Promise<Object>} Report data
- */
-async function generateReportData(startDate, endDate) {
-  try {
-    const cubicles = await Cubicle.find();
-    const reservations = await Reservation.find({
-      date: { $gte: startDate, $lte: endDate }
-    }).populate('cubicle');
-
-    const totalCubicles = cubicles.length;
-    
-    // Daily breakdown
-    const daily = [];
-    const currentDate = new Date(startDate);
-    
-    while (currentDate <= endDate) {
-      const dayStart = new Date(currentDate);
-      const dayEnd = new Date(currentDate);
-      dayEnd.setHours(23, 59, 59, 999);
-      
-      const dayReservations = reservations.filter(r => 
-        r.date >= dayStart && r.date <= dayEnd
-      );
-      
-      const reserved = dayReservations.length;
-      const available = totalCubicles - reserved;
-      const utilizationPercent = totalCubicles > 0 ? Math.round((reserved / totalCubicles) * 100) : 0;
-      
-      // Calculate error cubicles for this day
-      const errorCubicles = cubicles.filter(c => c.status === 'error').length;
-      
-      // Get unique users for this day
-      const activeUsers = new Set(
-        dayReservations
-          .filter(r => r.user && r.user.email)
-          .map(r => r.user.email)
-      ).size;
-
-      daily.push({
-        date: new Date(currentDate),
-        dayOfWeek: currentDate.toLocaleDateString('en-US', { weekday: 'long' }),
-        reserved,
-        available,
-        error: errorCubicles,
-        utilizationPercent,
-        reservations: reserved,
-        activeUsers
-      });
-      
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    // Summary statistics
-    const totalReservations = reservations.length;
-    const avgUtilization = daily.reduce((sum, day) => sum + day.utilizationPercent, 0) / daily.length || 0;
-    const peakUtilization = Math.max(...daily.map(day => day.utilizationPercent));
-    const lowestUtilization = Math.min(...daily.map(day => day.utilizationPercent));
-    
-    const uniqueUsers = new Set(
-      reservations
-        .filter(r => r.user && r.user.email)
-        .map(r => r.user.email)
-    ).size;
-
-    // Calculate error incidents from cubicle status
-    const errorIncidents = cubicles.filter(c => c.status === 'error').length;
-
-    // Section analysis
-    const sections = ['A', 'B', 'C'].map(section => {
-      const sectionCubicles = cubicles.filter(c => c.section === section);
-      const sectionReservations = reservations.filter(r => {
-        return r.cubicle && r.cubicle.section === section;
-      });
-      
-      const sectionTotal = sectionCubicles.length;
-      const avgUtilization = sectionTotal > 0 ? 
-        Math.round((sectionReservations.length / (sectionTotal * daily.length)) * 100) : 0;
-      
-      // Calculate error incidents for this section
-      const errorIncidents = sectionCubicles.filter(c => c.status === 'error').length;
-      
-      return {
-        section,
-        totalCubicles: sectionTotal,
-        avgUtilization,
-        peakUtilization: avgUtilization, // Using same as avg for now
-        totalReservations: sectionReservations.length,
-        errorIncidents
-      };
-    });
-
-    // User activity analysis
-    const userMap = {};
-    reservations.forEach(r => {
-      if (r.user && r.user.email) {
-        if (!userMap[r.user.email]) {
-          userMap[r.user.email] = {
-            email: r.user.email,
-            displayName: r.user.displayName || '',
-            reservations: [],
-            sections: {}
-          };
-        }
-        userMap[r.user.email].reservations.push(r);
-        
-        // Track section usage - r.cubicle is now populated
-        if (r.cubicle && r.cubicle.section) {
-          const section = r.cubicle.section;
-          userMap[r.user.email].sections[section] = (userMap[r.user.email].sections[section] || 0) + 1;
-        }
-      }
-    });
-
-    const users = Object.values(userMap).map(userData => {
-      const totalReservations = userData.reservations.length;
-      const daysActive = new Set(
-        userData.reservations.map(r => r.date.toDateString())
-      ).size;
-      
-      // Find favorite section
-      let favoriteSection = '';
-      let maxCount = 0;
-      Object.entries(userData.sections).forEach(([section, count]) => {
-        if (count > maxCount) {
-          maxCount = count;
-          favoriteSection = section;
-        }
-      });
-      
-      // Generate cubicle code sequence for this user
-      const cubicleSequence = generateCubicleCodeSequence(userData.reservations);
-      
-      console.log(`User ${userData.email} - Reservations:`, userData.reservations.length, 
-                  'Cubicle sequence:', cubicleSequence);
-      
-      return {
-        email: userData.email,
-        displayName: userData.displayName,
-        totalReservations,
-        daysActive,
-        favoriteSection,
-        avgDailyReservations: daysActive > 0 ? +(totalReservations / daysActive).toFixed(2) : 0,
-        cubicleSequence
-      };
-    }).sort((a, b) => b.totalReservations - a.totalReservations);
-
-    // Advanced analytics
-    const peakHours = [
-      { hour: 9, utilizationPercent: Math.round(avgUtilization * 0.8) },
-      { hour: 10, utilizationPercent: Math.round(avgUtilization * 1.2) },
-      { hour: 14, utilizationPercent: Math.round(avgUtilization * 1.1) },
-      { hour: 15, utilizationPercent: Math.round(avgUtilization * 0.9) }
-    ];
-
-    const advanced = {
-      peakHours,
-      trendAnalysis: {
-        weekOverWeekChange: 0, // Would need previous week data
-        utilizationTrend: 'stable',
-        predictedNextWeek: Math.round(avgUtilization)
-      },
-      efficiency: {
-        spaceTurnover: totalReservations > 0 ? +(totalCubicles / totalReservations).toFixed(2) : 0,
-        averageSessionDuration: 8, // Assuming 8-hour sessions
-        utilizationEfficiency: Math.round(avgUtilization)
-      }
-    };
-
-    return {
-      summary: {
-        totalCubicles,
-        avgUtilization: Math.round(avgUtilization),
-        peakUtilization,
-        lowestUtilization,
-        totalReservations,
-        uniqueUsers,
-        errorIncidents
-      },
-      daily,
-      sections,
-      users,
-      advanced
-    };
-  } catch (error) {
-    throw new Error(`Error generating report data: ${error.message}`);
-  }
-}
-
 /**
  * GET /utilization-reports
- * Get all utilization reports with pagination and filtering
+ * Get all utilization reports with pagination and filtering by site, period
+ * type, and date range (reports whose period overlaps it)
  * @route GET /utilization-reports
  * @access Protected (user)
  */
 router.get('/', validarUsuario, [
+  query('site').optional().isMongoId(),
+  query('period').optional().isIn(REPORT_PERIODS),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('startDate').optional().isISO8601(),
@@ -325,16 +51,15 @@ router.get('/', validarUsuario, [
     const skip = (page - 1) * limit;
 
     let query = {};
+    if (req.query.site) query.site = req.query.site;
+    if (req.query.period) query.period = req.query.period;
     
-    if (req.query.startDate || req.query.endDate) {
-      // Filter by generatedAt date for date picker functionality
-      query.generatedAt = {};
-      if (req.query.startDate) {
-        query.generatedAt.$gte = new Date(req.query.startDate);
-      }
-      if (req.query.endDate) {
-        query.generatedAt.$lte = new Date(req.query.endDate);
-      }
+    // Filter on the reported period: it must end after the range starts and start before it ends
+    if (req.query.startDate) {
+      query.weekEndDate = { $gte: new Date(req.query.startDate) };
+    }
+    if (req.query.endDate) {
+      query.weekStartDate = { $lte: new Date(req.query.endDate) };
     }
 
     const reports = await UtilizationReport.find(query)
@@ -359,6 +84,155 @@ router.get('/', validarUsuario, [
   }
 });
 
+// Comma-separated list in a query parameter
+const listParam = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+const listLengthMessage = `must list ${MIN_COMPARED_REPORTS} to ${MAX_COMPARED_REPORTS} items`;
+const comparisonValidators = [
+  query('ids').optional()
+    .custom(value => listParam(value).length >= MIN_COMPARED_REPORTS && listParam(value).length <= MAX_COMPARED_REPORTS)
+    .withMessage(listLengthMessage)
+    .custom(value => listParam(value).every(id => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('must be report IDs'),
+  query('period').if(query('ids').not().exists()).isIn(REPORT_PERIODS.filter(period => period !== 'custom')),
+  query('dates').if(query('ids').not().exists())
+    .custom(value => listParam(value).length >= MIN_COMPARED_REPORTS && listParam(value).length <= MAX_COMPARED_REPORTS)
+    .withMessage(listLengthMessage)
+    .custom(value => listParam(value).every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)))
+    .withMessage('must be dates (YYYY-MM-DD)'),
+  query('site').optional().isMongoId()
+];
+
+/**
+ * Find the reports a comparison request names and build the comparison.
+ * Sends the error response and resolves to null when the request is invalid
+ * or a report is missing.
+ */
+async function buildComparison(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const { reports, missing } = await findComparedReports(req.query.ids
+    ? { ids: listParam(req.query.ids) }
+    : { period: req.query.period, dates: listParam(req.query.dates), site: req.query.site });
+  if (missing.length > 0) {
+    res.status(404).json({ error: 'Reports not found', details: `No report for ${missing.join(', ')}` });
+    return null;
+  }
+  return compareReports(reports);
+}
+
+/**
+ * GET /utilization-reports/compare
+ * Compare two or more reports side by side: summary metrics, per-section
+ * utilization and per-user activity, with each report's change from the
+ * first. Name the reports by `ids`, or by `period` and `dates` (one day
+ * within each period, for every site or just `site`).
+ * @route GET /utilization-reports/compare
+ * @access Protected (user)
+ * @query {string} [ids] - Comma-separated report IDs, baseline first
+ * @query {string} [period] - day, week, month or quarter, with `dates`
+ * @query {string} [dates] - Comma-separated days (YYYY-MM-DD), baseline first
+ */
+router.get('/compare', validarUsuario, comparisonValidators, async (req, res) => {
+  try {
+    const comparison = await buildComparison(req, res);
+    if (comparison) res.json(comparison);
+  } catch (err) {
+    res.status(500).json({ error: 'Error comparing utilization reports', details: err.message });
+  }
+});
+
+/**
+ * GET /utilization-reports/compare/export
+ * Export a comparison of reports as one Excel workbook. Takes the same
+ * parameters as GET /utilization-reports/compare.
+ * @route GET /utilization-reports/compare/export
+ * @access Protected (user)
+ */
+router.get('/compare/export', exportLimiter, validarUsuario, comparisonValidators, async (req, res) => {
+  try {
+    const comparison = await buildComparison(req, res);
+    if (!comparison) return;
+    const { body, contentType, filename } = exportComparison(comparison);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', body.length);
+
+    res.send(body);
+  } catch (err) {
+    res.status(500).json({ error: 'Error exporting utilization report comparison', details: err.message });
+  }
+});
+
+/**
+ * GET /utilization-reports/jobs
+ * List recent report generation jobs, newest first, for every site or just
+ * `site` (site admins must name their own site)
+ * @route GET /utilization-reports/jobs
+ * @access Protected (reports:manage)
+ */
+router.get('/jobs', validarUsuario, validarPermiso('reports:manage'), [
+  query('site').optional().isMongoId(),
+  query('status').optional().isIn(['queued', 'running', 'completed', 'failed']),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const site = req.query.site;
+    if (!hasPermission(req.access, 'reports:manage', site)) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+
+    const filter = {};
+    if (site) filter.site = site;
+    if (req.query.status) filter.status = req.query.status;
+    const jobs = await ReportJob.find(filter)
+      .sort({ queuedAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    res.json({ jobs: jobs.map(jobStatus) });
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report jobs', details: err.message });
+  }
+});
+
+/**
+ * GET /utilization-reports/jobs/:id
+ * Get the status and progress of a report generation job; a completed job
+ * names the stored report
+ * @route GET /utilization-reports/jobs/:id
+ * @access Protected (reports:manage at the job's site)
+ */
+router.get('/jobs/:id', validarUsuario, [
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await ReportJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Report job not found' });
+    }
+    if (!(await hasSitePermission(req.user.uid, 'reports:manage', job.site))) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+
+    res.json(jobStatus(job));
+  } catch (err) {
+    res.status(500).json({ error: 'Error fetching report job', details: err.message });
+  }
+});
+
 /**
  * GET /utilization-reports/:id
  * Get specific utilization report by ID
@@ -387,84 +261,51 @@ router.get('/:id', validarUsuario, [
 
 /**
  * POST /utilization-reports/generate
- * Generate a new utilization report for a specific week
+ * Queue the generation of a utilization report for the `period` (day by
+ * default; week, month or quarter) containing `weekStart`, or for a custom
+ * period from `weekStart` through `endDate`. Covers every site or just `site`
+ * (site admins must name their own site). Responds 202 with the job; follow
+ * it at GET /utilization-reports/jobs/:id or on `reportJobProgress` events.
  * @route POST /utilization-reports/generate
- * @access Protected (admin)
+ * @access Protected (reports:manage)
  */
-router.post('/generate', validarUsuario, validarAdmin, [
-  query('weekStart').isISO8601()
+router.post('/generate', validarUsuario, validarPermiso('reports:manage'), [
+  query('weekStart').isISO8601(),
+  query('period').optional().isIn(REPORT_PERIODS),
+  query('endDate').if(query('period').equals('custom')).isISO8601(),
+  query('site').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-
-    // Parse the date and ensure it's in Costa Rica timezone
-    const inputDate = new Date(req.query.weekStart);
-    
-    // Create start of day in Costa Rica timezone
-    const dayStart = new Date(inputDate.toLocaleDateString('en-CA', {timeZone: 'America/Costa_Rica'}) + 'T00:00:00.000-06:00');
-    
-    // Create end of day in Costa Rica timezone  
-    const dayEnd = new Date(inputDate.toLocaleDateString('en-CA', {timeZone: 'America/Costa_Rica'}) + 'T23:59:59.999-06:00');
-
-    console.log('Generating custom report for:');
-    console.log('Input date:', req.query.weekStart);
-    console.log('Parsed date:', inputDate.toString());
-    console.log('Day start:', dayStart.toString());
-    console.log('Day end:', dayEnd.toString());
-
-    // Generate report data
-    const reportData = await generateReportData(dayStart, dayEnd);
-    
-    console.log('Generated report data for Excel export:', {
-      usersCount: reportData.users.length,
-      sampleUser: reportData.users[0],
-      hasAdvanced: !!reportData.advanced,
-      advancedKeys: reportData.advanced ? Object.keys(reportData.advanced) : []
-    });
-
-    // Check if report already exists for this day to detect changes
-    const existingReport = await UtilizationReport.findOne({
-      weekStartDate: dayStart,
-      weekEndDate: dayEnd
-    });
-
-    let report;
-    let hasChanges = true;
-
-    if (existingReport) {
-      // Check if there are significant changes in the data
-      hasChanges = (
-        existingReport.summary.totalReservations !== reportData.summary.totalReservations ||
-        existingReport.summary.uniqueUsers !== reportData.summary.uniqueUsers ||
-        existingReport.summary.avgUtilization !== reportData.summary.avgUtilization ||
-        existingReport.summary.errorIncidents !== reportData.summary.errorIncidents
-      );
+    const site = req.query.site;
+    if (!hasPermission(req.access, 'reports:manage', site)) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
     }
 
-    if (!existingReport || hasChanges) {
-      // Always create new report if no existing report or if there are changes
-      report = new UtilizationReport({
-        weekStartDate: dayStart,
-        weekEndDate: dayEnd,
-        ...reportData
-      });
-      await report.save();
-      
-      if (existingReport && hasChanges) {
-        console.log('Created new report for day due to changes:', dayStart.toISOString().split('T')[0]);
-      } else {
-        console.log('Created new report for day:', dayStart.toISOString().split('T')[0]);
-      }
-    } else {
-      // No changes detected, return existing report
-      report = existingReport;
-      console.log('No changes detected, returning existing report for day:', dayStart.toISOString().split('T')[0]);
+    // Parse the date and take its period in the site's timezone
+    const period = req.query.period || 'day';
+    const inputDate = new Date(req.query.weekStart);
+    const { startDate, endDate } = getPeriodBounds(
+      period,
+      inputDate,
+      await getSiteTimezone(site),
+      req.query.endDate && new Date(req.query.endDate)
+    );
+    if (endDate < startDate) {
+      return res.status(400).json({ error: '`endDate` must not be before `weekStart`' });
     }
 
-    res.status(200).json(report);
+    const job = await enqueueReportJob({
+      period,
+      startDate,
+      endDate,
+      site,
+      requestedBy: { uid: req.user.uid, email: req.user.email }
+    });
+    res.status(202).location(`${req.baseUrl}/jobs/${job._id}`).json(jobStatus(job));
   } catch (err) {
     res.status(500).json({ error: 'Error generating utilization report', details: err.message });
   }
@@ -472,71 +313,40 @@ router.post('/generate', validarUsuario, validarAdmin, [
 
 /**
  * POST /utilization-reports/generate-current
- * Generate a report for the current day
+ * Queue the generation of a report for the current `period` so far (day by
+ * default; week, month or quarter), for every site or just `site` (site
+ * admins must name their own site). Responds 202 with the job, as
+ * POST /utilization-reports/generate does.
  * @route POST /utilization-reports/generate-current
- * @access Protected (admin)
+ * @access Protected (reports:manage)
  */
-router.post('/generate-current', validarUsuario, validarAdmin, async (req, res) => {
+router.post('/generate-current', validarUsuario, validarPermiso('reports:manage'), [
+  query('period').optional().isIn(REPORT_PERIODS.filter(period => period !== 'custom')),
+  query('site').optional().isMongoId()
+], async (req, res) => {
   try {
-    // Use explicit Costa Rica timezone handling
-    const now = new Date();
-    
-    // Create start of day in Costa Rica timezone
-    const dayStart = new Date(now.toLocaleDateString('en-CA', {timeZone: 'America/Costa_Rica'}) + 'T00:00:00.000-06:00');
-    
-    // Create end of day in Costa Rica timezone  
-    const dayEnd = new Date(now.toLocaleDateString('en-CA', {timeZone: 'America/Costa_Rica'}) + 'T23:59:59.999-06:00');
-
-    console.log('Generating report for current day:');
-    console.log('Current time:', now.toString());
-    console.log('Day start:', dayStart.toString());
-    console.log('Day end:', dayEnd.toString());
-    console.log('Day start ISO:', dayStart.toISOString());
-    console.log('Day end ISO:', dayEnd.toISOString());
-
-    // Generate report data
-    const reportData = await generateReportData(dayStart, dayEnd);
-
-    // Check if report already exists for this day to detect changes
-    const existingReport = await UtilizationReport.findOne({
-      weekStartDate: dayStart,
-      weekEndDate: dayEnd
-    });
-
-    let report;
-    let hasChanges = true;
-
-    if (existingReport) {
-      // Check if there are significant changes in the data
-      hasChanges = (
-        existingReport.summary.totalReservations !== reportData.summary.totalReservations ||
-        existingReport.summary.uniqueUsers !== reportData.summary.uniqueUsers ||
-        existingReport.summary.avgUtilization !== reportData.summary.avgUtilization ||
-        existingReport.summary.errorIncidents !== reportData.summary.errorIncidents
-      );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-
-    if (!existingReport || hasChanges) {
-      // Always create new report if no existing report or if there are changes
-      report = new UtilizationReport({
-        weekStartDate: dayStart,
-        weekEndDate: dayEnd,
-        ...reportData
-      });
-      await report.save();
-      
-      if (existingReport && hasChanges) {
-        console.log('Created new current day report due to changes');
-      } else {
-        console.log('Created new current day report');
-      }
-    } else {
-      // No changes detected, return existing report
-      report = existingReport;
-      console.log('No changes detected, returning existing current day report');
+    const site = req.query.site;
+    if (!hasPermission(req.access, 'reports:manage', site)) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
     }
 
-    res.status(200).json(report);
+    // Take the current period in the site's timezone
+    const period = req.query.period || 'day';
+    const now = new Date();
+    const { startDate, endDate } = getPeriodBounds(period, now, await getSiteTimezone(site));
+
+    const job = await enqueueReportJob({
+      period,
+      startDate,
+      endDate,
+      site,
+      requestedBy: { uid: req.user.uid, email: req.user.email }
+    });
+    res.status(202).location(`${req.baseUrl}/jobs/${job._id}`).json(jobStatus(job));
   } catch (err) {
     res.status(500).json({ error: 'Error generating current day report', details: err.message });
   }
@@ -546,9 +356,9 @@ router.post('/generate-current', validarUsuario, validarAdmin, async (req, res)
  * DELETE /utilization-reports/:id
  * Delete a utilization report
  * @route DELETE /utilization-reports/:id
- * @access Protected (admin)
+ * @access Protected (reports:manage at the report's site)
  */
-router.delete('/:id', validarUsuario, validarAdmin, [
+router.delete('/:id', validarUsuario, validarPermiso('reports:manage'), [
   param('id').isMongoId()
 ], async (req, res) => {
   try {
@@ -557,10 +367,14 @@ router.delete('/:id', validarUsuario, validarAdmin, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await UtilizationReport.findByIdAndDelete(req.params.id);
-    if (!result) {
+    const report = await UtilizationReport.findById(req.params.id);
+    if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
+    if (!hasPermission(req.access, 'reports:manage', report.site)) {
+      return res.status(403).json({ error: 'Access denied: not an admin of this site' });
+    }
+    await report.deleteOne();
 
     res.json({ message: 'Report deleted successfully' });
   } catch (err) {
@@ -570,114 +384,40 @@ router.delete('/:id', validarUsuario, validarAdmin, [
 
 /**
  * GET /utilization-reports/:id/export
- * Export utilization report as Excel
+ * Export utilization report as Excel, PDF, CSV or JSON
  * @route GET /utilization-reports/:id/export
  * @access Protected (user)
+ * @query {string} [format] - xlsx (default), pdf, csv or json
+ * @query {string} [sheet] - summary, sections, users, trends, forecast or sectionForecast; required for csv, json exports every sheet without it
  */
 router.get('/:id/export', exportLimiter, validarUsuario, [
-  param('id').isMongoId()
+  param('id').isMongoId(),
+  query('format').optional().isIn(EXPORT_FORMATS),
+  query('sheet').optional().isIn(EXPORT_SHEETS)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
+    const format = req.query.format || 'xlsx';
+    if (format === 'csv' && !req.query.sheet) {
+      return res.status(400).json({ error: 'CSV exports one sheet at a time', details: `sheet must be one of ${EXPORT_SHEETS.join(', ')}` });
+    }
 
     const report = await UtilizationReport.findById(req.params.id);
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    console.log('Exporting report with data:', {
-      reportId: report._id,
-      usersCount: report.users.length,
-      hasAdvanced: !!report.advanced,
-      sampleUser: report.users[0],
-      sampleUserCubicleSequence: report.users[0]?.cubicleSequence
-    });
-
-    // Create workbook
-    const workbook = XLSX.utils.book_new();
-
-    // Summary Sheet
-    const summaryData = [
-      ['Utilization Report'],
-      ['Week Start Date', report.weekStartDate.toLocaleDateString()],
-      ['Week End Date', report.weekEndDate.toLocaleDateString()],
-      ['Generated At', report.generatedAt.toLocaleString()],
-      [''],
-      ['Summary Statistics'],
-      ['Total Cubicles', report.summary.totalCubicles],
-      ['Average Utilization', `${report.summary.avgUtilization}%`],
-      ['Peak Utilization', `${report.summary.peakUtilization}%`],
-      ['Lowest Utilization', `${report.summary.lowestUtilization}%`],
-      ['Total Reservations', report.summary.totalReservations],
-      ['Unique Users', report.summary.uniqueUsers],
-      ['Error Incidents', report.summary.errorIncidents]
-    ];
-    const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
-    XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
-
-    // Daily Sheet - REMOVED as requested
-
-    // Sections Sheet
-    const sectionsData = [
-      ['Section', 'Total Cubicles', 'Avg Utilization %', 'Peak Utilization %', 'Total Reservations', 'Error Incidents']
-    ];
-    report.sections.forEach(section => {
-      sectionsData.push([
-        section.section,
-        section.totalCubicles,
-        section.avgUtilization,
-        section.peakUtilization,
-        section.totalReservations,
-        section.errorIncidents
-      ]);
-    });
-    const sectionsSheet = XLSX.utils.aoa_to_sheet(sectionsData);
-    XLSX.utils.book_append_sheet(workbook, sectionsSheet, 'Section Analysis');
-
-    // Users Sheet - Enhanced with cubicle sequences
-    const usersData = [
-      ['Email', 'Display Name', 'Total Reservations', 'Days Active', 'Favorite Section', 'Avg Daily Reservations', 'Cubicle Sequence']
-    ];
-    report.users.forEach(user => {
-      console.log(`User ${user.email} cubicle sequence:`, user.cubicleSequence || 'MISSING');
-      usersData.push([
-        user.email,
-        user.displayName || '',
-        user.totalReservations,
-        user.daysActive,
-        user.favoriteSection,
-        user.avgDailyReservations,
-        user.cubicleSequence || ''
-      ]);
-    });
-    const usersSheet = XLSX.utils.aoa_to_sheet(usersData);
-    XLSX.utils.book_append_sheet(workbook, usersSheet, 'Users');
-
-    // Peak Hours Sheet - REMOVED as requested
-
-    // Advanced Analytics Sheet - Simplified to only show Trend Analysis
-    const advancedData = [
-      ['Trend Analysis'],
-      ['Week-over-Week Change', `${report.advanced.trendAnalysis.weekOverWeekChange}%`],
-      ['Utilization Trend', report.advanced.trendAnalysis.utilizationTrend],
-      ['Predicted Next Week', `${report.advanced.trendAnalysis.predictedNextWeek}%`]
-    ];
-    const advancedSheet = XLSX.utils.aoa_to_sheet(advancedData);
-    XLSX.utils.book_append_sheet(workbook, advancedSheet, 'Advanced Analytics');
-
-    // Generate Excel buffer
-    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const { body, contentType, filename } = await exportReport(report, { format, sheet: req.query.sheet });
 
     // Set response headers for file download
-    const filename = `utilization-report-${report.weekStartDate.toISOString().split('T')[0]}.xlsx`;
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', Buffer.byteLength(body));
 
-    res.send(buffer);
+    res.send(body);
   } catch (err) {
     res.status(500).json({ error: 'Error exporting utilization report', details: err.message });
   }
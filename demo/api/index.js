@@ -7,16 +7,59 @@ const cors = require('cors');
 const logger = require('./logger');
 const Cubicle = require('./models/Cubicle');
 const Reservation = require('./models/Reservation');
-const { validarUsuario, validarAdmin } = require('./middleware/auth');
+const Building = require('./models/Building');
+const MaintenanceTicket = require('./models/MaintenanceTicket');
+const ReportJob = require('./models/ReportJob');
+const { validarUsuario, validarPermiso, validarSocket } = require('./middleware/auth');
+const { idempotent } = require('./middleware/idempotency');
 const usersController = require('./controllers/usersController');
 const cubicleController = require('./controllers/cubicleController');
+const reservationController = require('./controllers/reservationController');
 const utilizationController = require('./controllers/utilizationController');
+const reportDefinitionController = require('./controllers/reportDefinitionController');
 const notificationController = require('./controllers/notificationController');
+const policyController = require('./controllers/policyController');
+const auditController = require('./controllers/auditController');
+const floorPlanController = require('./controllers/floorPlanController');
+const maintenanceController = require('./controllers/maintenanceController');
 const rateLimit = require('express-rate-limit');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const http = require('http');
 const socketIo = require('socket.io');
 const NotificationService = require('./services/NotificationService');
+const {
+  SLOT_NAMES,
+  BookingError,
+  resolveWindow,
+  buildUserInfo,
+  createReservation,
+  migrateLegacyReservations,
+  startLifecycleJob
+} = require('./services/ReservationService');
+const { startWaitlistJob } = require('./services/WaitlistService');
+const { OPEN_TICKET_STATUSES, migrateErrorCubicles } = require('./services/MaintenanceService');
+const { recordStatusChanges, startOccupancyJob } = require('./services/OccupancyService');
+const { migrateReportPeriods } = require('./services/ReportService');
+const { startReportScheduler } = require('./services/ReportSchedulerService');
+const { jobStatus, startReportJobWorker } = require('./services/ReportJobService');
+const { buildPolicyContext } = require('./services/PolicyService');
+const {
+  DEFAULT_BUILDING_NAME,
+  createFloorPlan,
+  ensureFloorPlan
+} = require('./services/FloorPlanService');
+const { findSiteOf, getSiteTimezone } = require('./services/SiteService');
+const { hasSitePermission, migrateAdminClaims } = require('./services/RoleService');
+const { getStatisticsForUser } = require('./services/StatisticsService');
+const {
+  followSite,
+  recheckRooms,
+  subscribe,
+  unsubscribe,
+  queueUpdate,
+  startRealtime,
+  stopRealtime
+} = require('./services/RealtimeService');
 
 // Add global error handlers at the very top
 process.on('uncaughtException', err => {
@@ -26,11 +69,6 @@ process.on('unhandledRejection', err => {
   console.error('Unhandled Rejection:', err);
 });
 
-// Utility to parse admin UIDs
-function getAdminUids() {
-  return (process.env.ADMIN_UIDS || '').split(',').map(u => u.trim()).filter(Boolean);
-}
-
 // Rate limiting middleware
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -57,63 +95,60 @@ async function start() {
 
   // 2) Connect mongoose
   await mongoose.connect(uri, { dbName: 'demo' });
+  await migrateLegacyReservations();
 
-  // 3) Optionally seed data
-  if (process.env.SEED === 'true') {
-    await Cubicle.deleteMany({});
-    // Seed all cubicles with full info for sections A, B, C
+  // 3) Optionally seed data, into an empty database only: reservations, tickets and
+  // history of existing cubicles must not be left pointing at deleted ones
+  if (process.env.SEED === 'true' && !(await Cubicle.exists({})) && !(await Building.exists({}))) {
+    // Seed one floor with sections A (9x3), B (6x3) and C (9x3), then fill every section with cubicles
+    const sections = await createFloorPlan({
+      name: DEFAULT_BUILDING_NAME,
+      floors: [{
+        name: 'Floor 1',
+        level: 1,
+        sections: [
+          { code: 'A', rows: 9, cols: 3 },
+          { code: 'B', rows: 6, cols: 3 },
+          { code: 'C', rows: 9, cols: 3 }
+        ]
+      }]
+    });
     const cubicles = [];
-    // Section A: 27 cubicles (3 cols x 9 rows)
-    let aCount = 1;
-    for (let i = 0; i < 27; i++) {
-      const row = Math.floor(i / 3) + 1;
-      const col = (i % 3) + 1;
-      cubicles.push({
-        section: 'A',
-        row,
-        col,
-        serial: `A${row}-SOC CUB${aCount}`,
-        name: `Cubicle ${aCount}`,
-        status: 'available',
-        description: 'More details about this cubicle will be added later.'
-      });
-      aCount++;
-    }
-    // Section B: 18 cubicles (3 cols x 6 rows)
-    let bCount = 1;
-    for (let i = 0; i < 18; i++) {
-      const row = Math.floor(i / 3) + 1;
-      const col = (i % 3) + 1;
-      cubicles.push({
-        section: 'B',
-        row,
-        col,
-        serial: `B${row}-SOC CUB${bCount}`,
-        name: `Cubicle ${bCount}`,
-        status: 'available',
-        description: 'More details about this cubicle will be added later.'
-      });
-      bCount++;
-    }
-    // Section C: 27 cubicles (3 cols x 9 rows)
-    let cCount = 1;
-    for (let i = 0; i < 27; i++) {
-      const row = Math.floor(i / 3) + 1;
-      const col = (i % 3) + 1;
-      cubicles.push({
-        section: 'C',
-        row,
-        col,
-        serial: `C${row}-SOC CUB${cCount}`,
-        name: `Cubicle ${cCount}`,
-        status: 'available',
-        description: 'More details about this cubicle will be added later.'
-      });
-      cCount++;
-    }
+    sections.forEach(section => {
+      for (let i = 0; i < section.rows * section.cols; i++) {
+        const row = Math.floor(i / section.cols) + 1;
+        const col = (i % section.cols) + 1;
+        cubicles.push({
+          section: section.code,
+          row,
+          col,
+          serial: `${section.code}${row}-SOC CUB${i + 1}`,
+          name: `Cubicle ${i + 1}`,
+          status: 'available',
+          description: 'More details about this cubicle will be added later.',
+          // Window seats along the outer columns, standing desks and the accessible seats in the front row
+          amenities: {
+            monitors: row % 2 === 0 ? 2 : 1,
+            dockingStation: true,
+            window: col === 1 || col === section.cols,
+            standingDesk: row % 3 === 0,
+            accessible: row === 1,
+            quietZone: row > section.rows - 3,
+            nearPhoneBooth: row === section.rows
+          }
+        });
+      }
+    });
     await Cubicle.insertMany(cubicles);
     logger.info('Seeded cubicles');
   }
+  await ensureFloorPlan();
+  await migrateErrorCubicles();
+  await migrateReportPeriods();
+  // Admins made with the Firebase claim keep their access; retried on the next start if Firebase is unreachable
+  await migrateAdminClaims().catch(err => logger.error('[ROLES] Error migrating admin claims:', err));
+  // Start the status history from the statuses cubicles have now
+  await recordStatusChanges();
 
   // 4) Express setup with Socket.io
   const app = express();
@@ -122,8 +157,16 @@ async function start() {
     cors: { 
       origin: process.env.FRONTEND_URL || "http://localhost:8080",
       methods: ["GET", "POST"] 
-    } 
+    },
+    // A client that reconnects within this time gets back its rooms and the events it missed.
+    // Middlewares still run for it, so an expired token cannot resume a session.
+    connectionStateRecovery: {
+      maxDisconnectionDuration: parseInt(process.env.REALTIME_RESUME_MS) || 2 * 60 * 1000,
+      skipMiddlewares: false
+    }
   });
+  // Sockets authenticate with the Firebase ID token, on every connection and resumed session
+  io.use(validarSocket);
   
   // Make io available to controllers
   app.set('io', io);
@@ -143,12 +186,13 @@ async function start() {
   app.get('/api/health', (req, res) => res.json({ status: 'OK', timestamp: new Date().toISOString() }));
 
   // Test endpoint for notification system
-  app.post('/api/test/health-notification', validarUsuario, validarAdmin, async (req, res) => {
+  app.post('/api/test/health-notification', validarUsuario, validarPermiso('system:manage'), async (req, res) => {
     try {
       const healthData = {
         totalCubicles: 81,
         reservedCubicles: 45,
         errorCubicles: 2,
+        openTickets: await MaintenanceTicket.countDocuments({ status: { $in: OPEN_TICKET_STATUSES } }),
         systemUptime: process.uptime()
       };
       
@@ -161,6 +205,7 @@ async function start() {
   });
 
   app.use('/cubicles', cubicleController);
+  app.use('/reservations', reservationController);
 
   // Protect /reserve route (user must be authenticated)
   app.post(
@@ -169,32 +214,35 @@ async function start() {
     [
       body('cubicleId').isString().notEmpty(),
       body('date').optional().isISO8601(),
+      body('slot').optional().isIn(SLOT_NAMES),
+      body('startTime').optional().isISO8601(),
+      body('endTime').optional().isISO8601(),
     ],
     handleValidationErrors,
+    idempotent,
     async (req, res) => {
-      const { cubicleId, date } = req.body;
-      const c = await Cubicle.findById(cubicleId);
+      const { cubicleId, date, slot, startTime, endTime } = req.body;
       logger.info('[RESERVE] Request to reserve cubicle', { cubicleId, user: req.user });
-      if (!c || c.status !== 'available') {
-        logger.warn('[RESERVE] Cubicle not available', { cubicleId });
-        return res.status(400).json({ error: 'Not available' });
+      let r;
+      try {
+        // Booking days are resolved in the timezone of the cubicle's site
+        const timeZone = await getSiteTimezone(await findSiteOf({ cubicle: cubicleId }));
+        const window = resolveWindow({ date, slot, startTime, endTime }, timeZone);
+        r = await createReservation({
+          cubicleId,
+          user: buildUserInfo(req.user),
+          window,
+          policy: await buildPolicyContext(req.user)
+        });
+      } catch (err) {
+        if (err instanceof BookingError) {
+          logger.warn('[RESERVE] Cubicle not available', { cubicleId, reason: err.message });
+          return res.status(err.status).json({ error: err.message, ...err.details });
+        }
+        logger.error('[RESERVE] Error creating reservation:', err);
+        return res.status(500).json({ error: 'Error creating reservation', details: err.message });
       }
-      c.status = 'reserved';
-      await c.save();
-      // Use authenticated user info
-      const userInfo = {
-        uid: req.user.uid,
-        email: req.user.email,
-        displayName: req.user.name || req.user.displayName || null
-      };
-      logger.info('[RESERVE] Upserting reservation', { cubicleId, userInfo });
-      // Upsert reservation for this cubicle (fix: always update or create one doc per cubicle)
-      const r = await Reservation.findOneAndUpdate(
-        { cubicle: cubicleId },
-        { cubicle: cubicleId, user: userInfo, date: date || new Date() },
-        { upsert: true, new: true }
-      );
-      logger.info('[RESERVE] Reservation upserted', { reservation: r });
+      logger.info('[RESERVE] Reservation created', { reservation: r });
       
       // Emit statistics update immediately after reservation
       try {
@@ -211,8 +259,8 @@ async function start() {
     }
   );
 
-  // Protect /report/daily route (admin only)
-  app.get('/report/daily', validarUsuario, validarAdmin, async (req, res) => {
+  // Protect /report/daily route (super admins only: it counts every site)
+  app.get('/report/daily', validarUsuario, validarPermiso('system:manage'), async (req, res) => {
     const today = new Date().toISOString().slice(0, 10);
     const count = await Reservation.countDocuments({
       date: { $gte: today }
@@ -238,12 +286,20 @@ async function start() {
 
   app.use('/api/users', usersController);
   app.use('/api/utilization-reports', utilizationController);
+  app.use('/api/report-definitions', reportDefinitionController);
   app.use('/api/notifications', notificationController);
+  app.use('/api/policies', policyController);
+  app.use('/api/audit-logs', auditController);
+  app.use('/api/floor-plan', floorPlanController);
+  app.use('/api/maintenance', maintenanceController);
 
-  // Real-time cubicle statistics endpoint
-  app.get('/api/cubicle-stats', async (req, res) => {
+  // Real-time cubicle statistics endpoint, optionally for one site (?site=<building id>);
+  // the per-user figures are only included for admins of the site
+  app.get('/api/cubicle-stats', validarUsuario, [
+    query('site').optional().isMongoId()
+  ], handleValidationErrors, async (req, res) => {
     try {
-      const stats = await getCubicleStatistics();
+      const stats = await getStatisticsForUser(req.user.uid, req.query.site);
       res.json(stats);
     } catch (err) {
       logger.error('Error fetching cubicle statistics:', err);
@@ -251,15 +307,69 @@ async function start() {
     }
   });
 
+  // Socket room holding the clients that follow a report job's progress
+  const reportJobRoom = jobId => `reportJob:${jobId}`;
+
+  // Add a client to a report job's room and send it the job's current status;
+  // only users holding reports:manage at the job's site may follow it
+  async function followReportJob(socket, jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      socket.emit('reportJobError', { error: 'Invalid report job' });
+      return;
+    }
+    const job = await ReportJob.findById(jobId);
+    if (!job) {
+      socket.emit('reportJobError', { jobId, error: 'Report job not found' });
+      return;
+    }
+    if (!(await hasSitePermission(socket.data.user.uid, 'reports:manage', job.site))) {
+      socket.emit('reportJobError', { jobId, error: 'Access denied: not an admin of this site' });
+      return;
+    }
+    socket.join(reportJobRoom(jobId));
+    socket.emit('reportJobProgress', jobStatus(job));
+  }
+
   // WebSocket connection handling for real-time statistics
   io.on('connection', (socket) => {
-    logger.info('User connected to real-time statistics');
+    logger.info('User connected to real-time statistics', { uid: socket.data.user.uid, recovered: socket.recovered });
     
-    // Send current statistics to newly connected client
-    getCubicleStatistics().then(stats => {
-      socket.emit('statisticsUpdate', stats);
-    }).catch(err => {
-      logger.error('Error sending initial stats:', err);
+    // Send current statistics to newly connected client, for the site given in
+    // the handshake query (all sites by default); 'selectSite' switches site later.
+    // Clients that only subscribe to changes connect with `statistics: 'false'`.
+    // A resumed connection is back in its rooms and was sent the events it missed;
+    // it leaves the per-user statistics rooms it lost the permission for.
+    if (socket.recovered) {
+      recheckRooms(socket).catch(err => {
+        logger.error('Error checking resumed rooms:', err);
+      });
+    } else if (socket.handshake.query.statistics !== 'false') {
+      followSite(socket, socket.handshake.query.site).catch(err => {
+        logger.error('Error sending initial stats:', err);
+      });
+    }
+    socket.on('selectSite', site => {
+      followSite(socket, site).catch(err => {
+        logger.error('Error sending site stats:', err);
+      });
+    });
+    // Cubicle status and reservation changes of the subscribed sites and sections;
+    // the optional acknowledgement gets the rooms the client is in
+    socket.on('subscribe', (subscription, ack) => {
+      subscribe(socket, subscription).then(rooms => {
+        if (rooms && typeof ack === 'function') ack({ rooms });
+      }).catch(err => {
+        logger.error('Error subscribing to changes:', err);
+      });
+    });
+    socket.on('unsubscribe', (subscription, ack) => {
+      const rooms = unsubscribe(socket, subscription);
+      if (rooms && typeof ack === 'function') ack({ rooms });
+    });
+    socket.on('followReportJob', jobId => {
+      followReportJob(socket, jobId).catch(err => {
+        logger.error('Error sending report job status:', err);
+      });
     });
 
     socket.on('disconnect', () => {
@@ -267,103 +377,68 @@ async function start() {
     });
   });
 
-  // Helper function to calculate and return cubicle statistics
-  async function getCubicleStatistics() {
-    try {
-      const cubicles = await Cubicle.find();
-      const reservations = await Reservation.find();
-      
-      const total = cubicles.length;
-      const reserved = cubicles.filter(c => c.status === 'reserved').length;
-      const available = cubicles.filter(c => c.status === 'available').length;
-      const error = cubicles.filter(c => c.status === 'error').length;
+  // Send changes to clients as debounced delta events; reservations are picked up on their own
+  startRealtime(io, {
+    debounceMs: parseInt(process.env.REALTIME_DEBOUNCE_MS) || 250,
+    maxWaitMs: parseInt(process.env.REALTIME_MAX_WAIT_MS) || 2000
+  });
+  // Every change that refreshes the statistics may have changed a cubicle's status;
+  // calls are queued and sent together
+  const emitStatisticsUpdate = () => queueUpdate();
 
-      // General statistics
-      const general = {
-        total,
-        reserved,
-        available,
-        error,
-        percentReserved: total ? Math.round((reserved / total) * 100) : 0,
-        percentAvailable: total ? Math.round((available / total) * 100) : 0,
-        percentError: total ? Math.round((error / total) * 100) : 0,
-      };
+  // Make emitStatisticsUpdate available to other modules
+  app.set('emitStatisticsUpdate', emitStatisticsUpdate);
 
-      // Per-user statistics
-      const userMap = {};
-      reservations.forEach(r => {
-        if (r.user && r.user.email) {
-          userMap[r.user.email] = (userMap[r.user.email] || 0) + 1;
-        }
-      });
+  // Timers of the background jobs, cleared by stop()
+  const jobs = [];
 
-      const userStats = Object.entries(userMap).map(([user, reservedCount]) => ({
-        user,
-        reserved: reservedCount,
-        percent: reserved ? Math.round((reservedCount / reserved) * 100) : 0
-      }));
-      userStats.sort((a, b) => b.reserved - a.reserved);
+  // Release no-show bookings and complete finished ones in the background
+  jobs.push(startLifecycleJob({
+    intervalMs: parseInt(process.env.RESERVATION_SWEEP_INTERVAL) || 60 * 1000,
+    onChange: emitStatisticsUpdate
+  }));
 
-      // Section-wise statistics
-      const sectionStats = ['A', 'B', 'C'].map(section => {
-        const sectionCubicles = cubicles.filter(c => c.section === section);
-        const sectionReserved = sectionCubicles.filter(c => c.status === 'reserved').length;
-        const sectionTotal = sectionCubicles.length;
-        
-        return {
-          section,
-          total: sectionTotal,
-          reserved: sectionReserved,
-          available: sectionTotal - sectionReserved,
-          percentReserved: sectionTotal ? Math.round((sectionReserved / sectionTotal) * 100) : 0
-        };
-      });
+  // Expire unclaimed waitlist offers and pass the cubicle to the next in line
+  jobs.push(startWaitlistJob({
+    intervalMs: parseInt(process.env.RESERVATION_SWEEP_INTERVAL) || 60 * 1000,
+    onChange: emitStatisticsUpdate
+  }));
+  // Bookings start and end with the clock; record those status changes too
+  jobs.push(startOccupancyJob({
+    intervalMs: parseInt(process.env.RESERVATION_SWEEP_INTERVAL) || 60 * 1000,
+    onChange: statusEvents => queueUpdate({ statusEvents })
+  }));
 
-      // Comparison metrics
-      const topUser = userStats[0] || null;
-      const bottomUser = userStats.length > 1 ? userStats[userStats.length - 1] : null;
-      const avgReservationsPerUser = userStats.length > 0 ? (reserved / userStats.length).toFixed(1) : 0;
-      
-      const comparisons = [
-        { metric: 'Total Users', value: userStats.length },
-        { metric: 'Total Reservations', value: reserved },
-        { metric: 'Average per User', value: avgReservationsPerUser },
-        { metric: 'Most Active User', value: topUser ? `${topUser.user} (${topUser.reserved})` : 'None' },
-        { metric: 'Least Active User', value: bottomUser ? `${bottomUser.user} (${bottomUser.reserved})` : 'None' },
-        { metric: 'Utilization Rate', value: `${general.percentReserved}%` }
-      ];
+  // Generate the daily, weekly and monthly reports on their cron schedules
+  jobs.push(startReportScheduler());
 
-      return { 
-        general, 
-        users: userStats, 
-        sections: sectionStats, 
-        comparisons,
-        timestamp: new Date().toISOString()
-      };
-    } catch (err) {
-      logger.error('Error calculating statistics:', err);
-      throw err;
-    }
-  }
+  // Generate requested reports in the background, sending their progress to the clients following them
+  jobs.push(startReportJobWorker({
+    onProgress: status => io.to(reportJobRoom(status._id)).emit('reportJobProgress', status)
+  }));
 
-  // Function to emit statistics update to all connected clients
-  async function emitStatisticsUpdate() {
-    try {
-      const stats = await getCubicleStatistics();
-      io.emit('statisticsUpdate', stats);
-      logger.info('Statistics update emitted to all clients');
-    } catch (err) {
-      logger.error('Error emitting statistics update:', err);
-    }
+  /**
+   * Shut the API down: stop the background jobs and realtime updates, close
+   * the socket and HTTP servers, then disconnect from Mongo (stopping the
+   * in-memory server if one was started).
+   */
+  async function stop() {
+    jobs.forEach(job => clearInterval(job));
+    await stopRealtime();
+    await new Promise(resolve => io.close(() => resolve()));
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
   }
 
-  // Make emitStatisticsUpdate available to other modules
-  app.set('emitStatisticsUpdate', emitStatisticsUpdate);
-
   // Use server.listen instead of app.listen for socket.io
-  server.listen(process.env.PORT || 3000, () => {
-    logger.info(`API listening on ${process.env.PORT || 3000}`);
-  });
+  await new Promise(resolve => server.listen(process.env.PORT || 3000, resolve));
+  logger.info(`API listening on ${server.address().port}`);
+  return { app, server, io, stop };
+}
+
+// Started by `node index.js`; tests require the module and call start() themselves
+if (require.main === module) {
+  start().catch(err => logger.error(err));
 }
 
-start().catch(err => logger.error(err));
+module.exports = { start };
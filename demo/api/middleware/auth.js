@@ -1,6 +1,6 @@
 // demo/api/middleware/auth.js
 const admin = require('../firebaseAdmin');
-const { getAdminUids } = require('../utils/adminUtils');
+const { getUserAccess } = require('../services/RoleService');
 
 // Middleware to validate Firebase ID token
 async function validarUsuario(req, res, next) {
@@ -20,13 +20,40 @@ async function validarUsuario(req, res, next) {
   }
 }
 
-// Middleware to validate admin user
-function validarAdmin(req, res, next) {
-  const adminUids = getAdminUids();
-  if (!req.user || !adminUids.includes(req.user.uid)) {
-    return res.status(403).json({ error: 'Access denied: not an admin' });
+// Middleware factory to validate the user holds a permission (see RoleService), at one
+// site at least; the user's access is stored on req.access. Routes using it for a
+// site-scoped permission must still check the user holds it at the site being changed.
+function validarPermiso(permission) {
+  return async (req, res, next) => {
+    try {
+      req.access = req.user && await getUserAccess(req.user.uid);
+      if (!req.access || !req.access.permissions.includes(permission)) {
+        return res.status(403).json({ error: 'Access denied: missing permission', permission });
+      }
+      next();
+    } catch (err) {
+      return res.status(500).json({ error: 'Error checking permissions', details: err.message });
+    }
+  };
+}
+
+// Socket.io middleware to validate the Firebase ID token sent with the handshake,
+// as `auth: { token }` or an Authorization header. Also runs for resumed sessions, since
+// connection state recovery is set up with `skipMiddlewares: false`.
+async function validarSocket(socket, next) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || (headers.authorization || '').split(' ')[1];
+  if (!token) {
+    return next(new Error('No authorization token provided'));
+  }
+
+  try {
+    socket.data.user = await admin.auth().verifyIdToken(token);
+    next();
+  } catch (err) {
+    console.log('Firebase socket token verification failed:', err.message);
+    next(new Error('Invalid or expired token'));
   }
-  next();
 }
 
-module.exports = { validarUsuario, validarAdmin };
+module.exports = { validarUsuario, validarPermiso, validarSocket };
@@ -0,0 +1,80 @@
+// demo/api/middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// Hash of what the request asks for, so a key cannot be reused for a different request
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Middleware making a route safe to retry with an Idempotency-Key header.
+// The first request with a key runs and its response is stored; repeats get the
+// stored response (marked with Idempotent-Replayed) and are never processed twice.
+// Server errors are not stored so the request can be retried.
+// Must run after validarUsuario. Requests without the header pass straight through.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      uid: req.user.uid,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      logger.error('[IDEMPOTENCY] Error storing key:', err);
+      return res.status(500).json({ error: 'Error processing Idempotency-Key', details: err.message });
+    }
+    const existing = await IdempotencyKey.findOne({ uid: req.user.uid, key }).lean();
+    if (!existing || existing.state === 'processing') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it, so a retry never sees a half-finished record
+  const sendJson = res.json.bind(res);
+  let stored = false;
+  res.json = body => {
+    stored = true;
+    const store = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { state: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+      );
+    store
+      .catch(err => logger.error('[IDEMPOTENCY] Error storing response:', err))
+      .finally(() => sendJson(body));
+    return res;
+  };
+  // Responses not sent through res.json (e.g. unhandled errors) free the key again
+  res.on('finish', () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(err => logger.error('[IDEMPOTENCY] Error releasing key:', err));
+    }
+  });
+  next();
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,41 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * AuditLog model
+ * @module AuditLog
+ */
+
+/**
+ * AuditLog schema
+ * Records privileged changes, such as an admin overriding another user's
+ * booking or editing cubicle metadata.
+ * @typedef AuditLog
+ * @type {object}
+ * @property {string} action - What was done (e.g. reservation.release, cubicle.update)
+ * @property {object} actor - The user who made the change
+ * @property {object} target - The changed entity ({ type, id })
+ * @property {object} affectedUser - Owner of the changed booking, when it was someone else's
+ * @property {object} details - Extra context (previous values, window, counts)
+ * @property {Date} createdAt - When the change was made
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true, index: true },
+  actor: {
+    uid: { type: String, index: true },
+    email: String
+  },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  affectedUser: {
+    uid: { type: String, index: true },
+    email: String
+  },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
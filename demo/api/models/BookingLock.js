@@ -0,0 +1,26 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * BookingLock model
+ * @module BookingLock
+ */
+
+/**
+ * BookingLock schema
+ * Short-lived lock held on a user while one of their reservations is
+ * created, so booking policy quotas are checked one booking at a time.
+ * @typedef BookingLock
+ * @type {object}
+ * @property {string} _id - What is locked (e.g. user:<uid>)
+ * @property {string} token - Identifies the request holding the lock
+ * @property {Date} expiresAt - When the lock may be taken over by another request
+ */
+
+const mongoose = require('mongoose');
+
+const bookingLockSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  token: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -0,0 +1,59 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * BookingPolicy model
+ * @module BookingPolicy
+ */
+
+/**
+ * BookingPolicy schema
+ * Rules enforced on every new reservation. A policy applies to the listed
+ * sections and users; empty lists mean "all". Unset rules are not enforced.
+ * @typedef BookingPolicy
+ * @type {object}
+ * @property {string} name.required - Human readable policy name
+ * @property {string} description - What the policy is for
+ * @property {boolean} enabled - Whether the policy is enforced
+ * @property {Array<string>} sections - Sections the policy applies to (empty = all)
+ * @property {Array<string>} users - User UIDs the policy applies to (empty = all)
+ * @property {object} rules - The rules to enforce
+ * @property {number} rules.maxActiveReservations - Max upcoming reservations a user may hold
+ * @property {number} rules.maxHorizonDays - How many days ahead a booking may start
+ * @property {number} rules.minNoticeMinutes - Minimum minutes between booking and start time
+ * @property {Array<object>} rules.blackoutDates - Periods in which nothing may be booked
+ * @property {Array<string>} rules.allowedGroups - Groups allowed to book (empty = everyone)
+ */
+
+const mongoose = require('mongoose');
+
+const bookingPolicySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true },
+  sections: [{ type: String }],
+  users: [{ type: String }],
+  rules: {
+    maxActiveReservations: { type: Number, min: 1 },
+    maxHorizonDays: { type: Number, min: 0 },
+    minNoticeMinutes: { type: Number, min: 0 },
+    blackoutDates: [{
+      start: { type: Date, required: true },
+      end: { type: Date, required: true },
+      reason: { type: String, default: '' }
+    }],
+    allowedGroups: [{ type: String }]
+  },
+  createdBy: {
+    uid: String,
+    email: String
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+bookingPolicySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('BookingPolicy', bookingPolicySchema);
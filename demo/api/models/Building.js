@@ -0,0 +1,41 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * Building model
+ * @module Building
+ */
+
+/**
+ * Building schema
+ * Top level of the floor plan: a building contains floors. Each building is a
+ * site with its own timezone and site admins.
+ * @typedef Building
+ * @type {object}
+ * @property {string} name.required - The unique name of the building
+ * @property {string} address - The street address of the building
+ * @property {string} timezone - IANA timezone booking days and reports are computed in
+ * @property {Array<string>} admins - UIDs of the users who administer this site
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timeUtils');
+
+const buildingSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  address: String,
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: { validator: isValidTimezone, message: props => `Unknown timezone "${props.value}"` }
+  },
+  admins: { type: [String], index: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+buildingSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Building', buildingSchema);
@@ -15,6 +15,9 @@
  * @property {string} name.required - The name of the cubicle
  * @property {string} status - The status of the cubicle
  * @property {string} description - The description of the cubicle
+ * @property {object} amenities - What the desk offers: monitors (count), dockingStation, standingDesk,
+ *   window, accessible, quietZone and nearPhoneBooth (yes/no)
+ * @property {object} bookingLock - Short-lived lock held while a reservation is created (not selected by default)
  */
 
 const mongoose = require('mongoose');
@@ -25,5 +28,18 @@ module.exports = mongoose.model('Cubicle', new mongoose.Schema({
   serial: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   status: { type: String, enum: ['available','reserved','error'], default: 'available' },
-  description: { type: String, default: 'More details about this cubicle will be added later.' }
+  description: { type: String, default: 'More details about this cubicle will be added later.' },
+  amenities: {
+    monitors: { type: Number, min: 0, default: 0 },
+    dockingStation: { type: Boolean, default: false },
+    standingDesk: { type: Boolean, default: false },
+    window: { type: Boolean, default: false },
+    accessible: { type: Boolean, default: false },
+    quietZone: { type: Boolean, default: false },
+    nearPhoneBooth: { type: Boolean, default: false }
+  },
+  bookingLock: {
+    type: new mongoose.Schema({ token: String, expiresAt: Date }, { _id: false }),
+    select: false
+  }
 }));
@@ -0,0 +1,36 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * CubicleStatusEvent model
+ * @module CubicleStatusEvent
+ */
+
+/**
+ * CubicleStatusEvent schema
+ * One change of a cubicle's occupancy status. A cubicle keeps the status of
+ * its latest event until the next one, so replaying the events rebuilds its
+ * status at any past moment.
+ * @typedef CubicleStatusEvent
+ * @type {object}
+ * @property {string} cubicle - The ID of the cubicle
+ * @property {string} section - Section of the cubicle at the time of the change
+ * @property {string} status - New status (available, reserved, occupied or error)
+ * @property {string} previousStatus - Status before the change (empty for the first event of a cubicle)
+ * @property {string} reservation - The reservation holding the cubicle (reserved and occupied)
+ * @property {Date} at - When the change happened
+ */
+
+const mongoose = require('mongoose');
+
+const cubicleStatusEventSchema = new mongoose.Schema({
+  cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle', required: true },
+  section: String,
+  status: { type: String, enum: ['available', 'reserved', 'occupied', 'error'], required: true },
+  previousStatus: String,
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation' },
+  at: { type: Date, default: Date.now, index: true }
+});
+
+// Replays read a cubicle's events in time order
+cubicleStatusEventSchema.index({ cubicle: 1, at: 1 });
+
+module.exports = mongoose.model('CubicleStatusEvent', cubicleStatusEventSchema);
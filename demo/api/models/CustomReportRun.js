@@ -0,0 +1,50 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * CustomReportRun model
+ * @module CustomReportRun
+ */
+
+/**
+ * CustomReportRun schema
+ * The result of running a report definition: a table with a column per
+ * dimension and metric, for the period the definition resolved to.
+ * @typedef CustomReportRun
+ * @type {object}
+ * @property {string} definition - The definition that was run
+ * @property {string} name - Name of the definition when it ran
+ * @property {string} site - The building reported on (all sites when empty)
+ * @property {Date} startDate - Start of the period reported on
+ * @property {Date} endDate - End of the period reported on
+ * @property {Array<object>} columns - { key, header } of each column, dimensions first
+ * @property {Array<Array>} rows - One row per group, in column order
+ * @property {string} trigger - manual or scheduled
+ * @property {object} generatedBy - User who ran it (empty when scheduled)
+ * @property {Date} generatedAt - When it ran
+ */
+
+const mongoose = require('mongoose');
+
+const customReportRunSchema = new mongoose.Schema({
+  definition: { type: mongoose.Schema.Types.ObjectId, ref: 'ReportDefinition', required: true },
+  name: { type: String, required: true },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', default: null },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  columns: [{
+    _id: false,
+    key: { type: String, required: true },
+    header: { type: String, required: true }
+  }],
+  rows: [mongoose.Schema.Types.Mixed],
+  trigger: { type: String, enum: ['manual', 'scheduled'], default: 'manual' },
+  generatedBy: {
+    uid: String,
+    email: String
+  },
+  generatedAt: { type: Date, default: Date.now }
+});
+
+// Runs are listed per definition, newest first
+customReportRunSchema.index({ definition: 1, generatedAt: -1 });
+
+module.exports = mongoose.model('CustomReportRun', customReportRunSchema);
@@ -0,0 +1,35 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * Floor model
+ * @module Floor
+ */
+
+/**
+ * Floor schema
+ * A floor of a building: a floor contains sections.
+ * @typedef Floor
+ * @type {object}
+ * @property {string} building.required - The ID of the building
+ * @property {string} name.required - The name of the floor
+ * @property {number} level.required - The floor number, unique within the building
+ */
+
+const mongoose = require('mongoose');
+
+const floorSchema = new mongoose.Schema({
+  building: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', required: true },
+  name: { type: String, required: true, trim: true },
+  level: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+floorSchema.index({ building: 1, level: 1 }, { unique: true });
+
+// Update the updatedAt field before saving
+floorSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Floor', floorSchema);
@@ -0,0 +1,55 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * GroupBooking model
+ * @module GroupBooking
+ */
+
+/**
+ * GroupBooking schema
+ * A named team booking of adjacent cubicles for one time window.
+ * Each cubicle gets its own Reservation pointing back at the group, and the
+ * group is edited or cancelled as a unit.
+ * @typedef GroupBooking
+ * @type {object}
+ * @property {string} name - Name of the team or group
+ * @property {object} user - The user who made the booking
+ * @property {number} size - Number of cubicles booked
+ * @property {string} site - The ID of the site the cubicles are searched in
+ * @property {string} section - Section the cubicles are in
+ * @property {string} preferredSection - Section requested by the user (optional)
+ * @property {Array<string>} cubicles - IDs of the booked cubicles
+ * @property {Date} startTime - Start of the booking window
+ * @property {Date} endTime - End of the booking window
+ * @property {string} slot - Slot of the window (full-day, morning, afternoon or custom)
+ * @property {string} status - Group status (active or cancelled)
+ */
+
+const mongoose = require('mongoose');
+
+const groupBookingSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  user: {
+    uid: { type: String, index: true },
+    email: String,
+    displayName: String
+  },
+  size: { type: Number, required: true, min: 1 },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building' },
+  section: String,
+  preferredSection: String,
+  cubicles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle' }],
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, required: true },
+  slot: { type: String, enum: ['full-day', 'morning', 'afternoon', 'custom'], default: 'full-day' },
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+groupBookingSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('GroupBooking', groupBookingSchema);
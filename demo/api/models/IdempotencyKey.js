@@ -0,0 +1,41 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * IdempotencyKey model
+ * @module IdempotencyKey
+ */
+
+/**
+ * IdempotencyKey schema
+ * Remembers the response to a request sent with an Idempotency-Key header so
+ * a retried request gets the same answer instead of being processed twice.
+ * Records expire after a day.
+ * @typedef IdempotencyKey
+ * @type {object}
+ * @property {string} key - The Idempotency-Key header value
+ * @property {string} uid - UID of the user who sent the request
+ * @property {string} method - HTTP method of the request
+ * @property {string} path - Path of the request
+ * @property {string} requestHash - Hash of the method, path and body
+ * @property {string} state - processing while the first request runs, then completed
+ * @property {number} responseStatus - HTTP status of the stored response
+ * @property {object} responseBody - Body of the stored response
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  uid: { type: String, required: true },
+  method: String,
+  path: String,
+  requestHash: { type: String, required: true },
+  state: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }
+});
+
+// One record per key and user; concurrent duplicates fail on this index
+idempotencyKeySchema.index({ uid: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
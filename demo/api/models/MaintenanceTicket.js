@@ -0,0 +1,75 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * MaintenanceTicket model
+ * @module MaintenanceTicket
+ */
+
+/**
+ * MaintenanceTicket schema
+ * A problem reported on a cubicle. Admins assign and resolve tickets and may
+ * take the cubicle out of service for a window; the cubicle cannot be booked
+ * while an unresolved ticket's window is running.
+ * @typedef MaintenanceTicket
+ * @type {object}
+ * @property {string} cubicle - The ID of the affected cubicle
+ * @property {string} section - Section of the cubicle when the ticket was opened (kept for reports)
+ * @property {string} category - Kind of problem (furniture, equipment, network, power, cleaning or other)
+ * @property {string} comment - What is wrong, in the reporter's words
+ * @property {object} reportedBy - The user who reported the problem
+ * @property {object} assignee - The user working on the ticket
+ * @property {string} status - Ticket status (open, assigned or resolved)
+ * @property {object} outOfService - Window the cubicle is out of service ({ startTime, endTime }; no end means until resolved)
+ * @property {Array<string>} flaggedReservations - Bookings that fell in the out-of-service window
+ * @property {string} resolution - How the problem was fixed
+ * @property {Date} resolvedAt - When the ticket was resolved
+ * @property {Array<object>} history - Every change made to the ticket ({ action, by, at, note })
+ */
+
+const mongoose = require('mongoose');
+
+const userRef = {
+  uid: String,
+  email: String,
+  displayName: String
+};
+
+const maintenanceTicketSchema = new mongoose.Schema({
+  cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle', required: true, index: true },
+  section: String,
+  category: {
+    type: String,
+    enum: ['furniture', 'equipment', 'network', 'power', 'cleaning', 'other'],
+    required: true
+  },
+  comment: { type: String, default: '' },
+  reportedBy: userRef,
+  assignee: userRef,
+  status: { type: String, enum: ['open', 'assigned', 'resolved'], default: 'open', index: true },
+  outOfService: {
+    startTime: Date,
+    endTime: Date
+  },
+  flaggedReservations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Reservation' }],
+  resolution: String,
+  resolvedAt: Date,
+  history: [{
+    _id: false,
+    action: { type: String, required: true },
+    by: { uid: String, email: String },
+    at: { type: Date, default: Date.now },
+    note: String
+  }],
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Availability lookups filter unresolved tickets by their out-of-service window
+maintenanceTicketSchema.index({ status: 1, 'outOfService.startTime': 1, 'outOfService.endTime': 1 });
+
+// Update the updatedAt field before saving
+maintenanceTicketSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
@@ -0,0 +1,86 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * ReportDefinition model
+ * @module ReportDefinition
+ */
+
+/**
+ * ReportDefinition schema
+ * A custom report saved by an admin: the metrics to compute, the dimensions
+ * to group reservations by, filters, and the period to report on. The period
+ * is relative (the current one, or one before it) unless it is custom, so a
+ * scheduled definition always reports on a recent period.
+ * @typedef ReportDefinition
+ * @type {object}
+ * @property {string} name.required - Human readable report name
+ * @property {string} description - What the report is for
+ * @property {string} site - The building reported on (all sites when empty)
+ * @property {Array<string>} metrics - Metrics to compute (reservations, checkIns, noShows, cancellations, uniqueUsers, noShowRate, avgDurationHours, utilization)
+ * @property {Array<string>} groupBy - Up to two dimensions to group by (section, weekday, hour, user, amenity)
+ * @property {object} filters - Reservations to include; empty lists mean "all"
+ * @property {Array<string>} filters.sections - Section codes
+ * @property {Array<string>} filters.amenities - Amenities the cubicle must have
+ * @property {Array<string>} filters.statuses - Reservation statuses
+ * @property {Array<number>} filters.weekdays - Local weekdays (0 = Sunday)
+ * @property {Array<string>} filters.users - User emails
+ * @property {object} period - Period reported on
+ * @property {string} period.type - day, week, month, quarter or custom
+ * @property {number} period.offset - 0 for the current period, -1 for the one before, and so on
+ * @property {Date} period.startDate - First day of a custom period
+ * @property {Date} period.endDate - Last day of a custom period
+ * @property {object} schedule - When the report runs by itself
+ * @property {string} schedule.cron - Cron expression, in the site's timezone
+ * @property {boolean} schedule.enabled - Whether the schedule is active
+ * @property {Date} schedule.lastRunAt - When the schedule last ran the report
+ */
+
+const mongoose = require('mongoose');
+
+const reportDefinitionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', default: null },
+  metrics: {
+    type: [{ type: String }],
+    validate: { validator: metrics => metrics.length > 0, message: 'At least one metric is required' }
+  },
+  groupBy: {
+    type: [{ type: String }],
+    validate: { validator: dimensions => dimensions.length <= 2, message: 'At most two dimensions' }
+  },
+  filters: {
+    sections: [{ type: String }],
+    amenities: [{ type: String }],
+    statuses: [{ type: String }],
+    weekdays: [{ type: Number, min: 0, max: 6 }],
+    users: [{ type: String }]
+  },
+  period: {
+    type: { type: String, enum: ['day', 'week', 'month', 'quarter', 'custom'], default: 'week' },
+    offset: { type: Number, max: 0, default: 0 },
+    startDate: Date,
+    endDate: Date
+  },
+  schedule: {
+    cron: String,
+    enabled: { type: Boolean, default: false },
+    lastRunAt: Date
+  },
+  createdBy: {
+    uid: String,
+    email: String
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+reportDefinitionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The scheduler looks up the enabled schedules
+reportDefinitionSchema.index({ 'schedule.enabled': 1 });
+
+module.exports = mongoose.model('ReportDefinition', reportDefinitionSchema);
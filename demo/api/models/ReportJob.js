@@ -0,0 +1,59 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * ReportJob model
+ * @module ReportJob
+ */
+
+/**
+ * ReportJob schema
+ * A queued generation of a utilization report. Jobs are stored so the queue
+ * survives restarts; a worker claims the oldest queued job, reports its
+ * progress while the report is built, and records the stored report.
+ * @typedef ReportJob
+ * @type {object}
+ * @property {string} period - Report period type (day, week, month, quarter or custom)
+ * @property {Date} startDate - Start of the period reported on
+ * @property {Date} endDate - End of the period reported on
+ * @property {string} site - The building reported on (all sites when empty)
+ * @property {string} status - queued, running, completed or failed
+ * @property {number} progress - Percent done (0-100)
+ * @property {string} stage - What the job is doing
+ * @property {object} requestedBy - User who asked for the report
+ * @property {string} report - The stored report, once completed
+ * @property {string} result - created, replaced (a new report with changed counts) or unchanged (the latest report was kept)
+ * @property {string} error - Why the job failed
+ * @property {number} attempts - How many times the job was started
+ * @property {Date} queuedAt - When the job was queued
+ * @property {Date} startedAt - When the last attempt started
+ * @property {Date} completedAt - When the job completed or failed
+ */
+
+const mongoose = require('mongoose');
+
+const reportJobSchema = new mongoose.Schema({
+  period: { type: String, enum: ['day', 'week', 'month', 'quarter', 'custom'], required: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', default: null },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  stage: { type: String, default: 'Queued' },
+  requestedBy: {
+    uid: String,
+    email: String
+  },
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'UtilizationReport' },
+  result: { type: String, enum: ['created', 'replaced', 'unchanged'] },
+  error: String,
+  attempts: { type: Number, default: 0 },
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  completedAt: Date
+});
+
+// The worker takes the oldest queued job
+reportJobSchema.index({ status: 1, queuedAt: 1 });
+// Finished jobs are kept for a week
+reportJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ReportJob', reportJobSchema);
@@ -13,16 +13,56 @@
  * @property {string} user.uid - The unique ID of the user
  * @property {string} user.email - The email of the user
  * @property {string} user.displayName - The display name of the user
- * @property {Date} date - The date of the reservation
+ * @property {Date} date - The date of the reservation (same instant as startTime, kept for reports)
+ * @property {Date} startTime - When the booked time window starts
+ * @property {Date} endTime - When the booked time window ends
+ * @property {string} slot - The booked slot (full-day, morning, afternoon or custom)
+ * @property {string} status - Lifecycle state (booked, checked-in, cancelled, no-show, completed)
+ * @property {Date} checkedInAt - When the user checked in
+ * @property {Date} cancelledAt - When the reservation was cancelled
+ * @property {object} cancelledBy - The user who cancelled the reservation
+ * @property {Date} releasedAt - When the cubicle was auto-released as a no-show
+ * @property {Date} completedAt - When a checked-in reservation was completed
+ * @property {string} series - The recurring series this reservation belongs to (if any)
+ * @property {string} groupBooking - The team booking this reservation belongs to (if any)
+ * @property {string} maintenanceTicket - Maintenance ticket taking the cubicle out of service during this booking (if any)
  */
 
 const mongoose = require('mongoose');
-module.exports = mongoose.model('Reservation', new mongoose.Schema({
+
+const reservationSchema = new mongoose.Schema({
   cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle', required: true, index: true },
   user: {
     uid: String,
     email: String,
     displayName: String
   },
-  date: Date
-}));
+  date: Date,
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, required: true },
+  slot: { type: String, enum: ['full-day', 'morning', 'afternoon', 'custom'], default: 'full-day' },
+  status: {
+    type: String,
+    enum: ['booked', 'checked-in', 'cancelled', 'no-show', 'completed'],
+    default: 'booked',
+    index: true
+  },
+  checkedInAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    uid: String,
+    email: String
+  },
+  releasedAt: Date,
+  completedAt: Date,
+  series: { type: mongoose.Schema.Types.ObjectId, ref: 'ReservationSeries', index: true },
+  groupBooking: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupBooking', index: true },
+  maintenanceTicket: { type: mongoose.Schema.Types.ObjectId, ref: 'MaintenanceTicket' }
+});
+
+// Overlap lookups filter on cubicle plus the time window
+reservationSchema.index({ cubicle: 1, startTime: 1, endTime: 1 });
+// The lifecycle job sweeps by status and start time
+reservationSchema.index({ status: 1, startTime: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,54 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * ReservationSeries model
+ * @module ReservationSeries
+ */
+
+/**
+ * ReservationSeries schema
+ * A recurring booking that is expanded into individual Reservation documents.
+ * Days are local calendar days (YYYY-MM-DD) in the business timezone.
+ * @typedef ReservationSeries
+ * @type {object}
+ * @property {string} cubicle - The ID of the booked cubicle
+ * @property {object} user - The user who owns the series
+ * @property {string} slot - The slot booked on each occurrence (full-day, morning or afternoon)
+ * @property {string} frequency - How often the series repeats (daily, weekdays or weekly)
+ * @property {Array<number>} daysOfWeek - Days of the week for weekly series (0 = Sunday)
+ * @property {string} startDate - First day of the series
+ * @property {string} until - Last day of the series (optional)
+ * @property {number} count - Number of occurrences (optional, alternative to until)
+ * @property {Array<string>} exceptions - Days skipped by the user
+ * @property {string} status - Series status (active or cancelled)
+ */
+
+const mongoose = require('mongoose');
+
+const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const reservationSeriesSchema = new mongoose.Schema({
+  cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle', required: true },
+  user: {
+    uid: { type: String, index: true },
+    email: String,
+    displayName: String
+  },
+  slot: { type: String, enum: ['full-day', 'morning', 'afternoon'], default: 'full-day' },
+  frequency: { type: String, enum: ['daily', 'weekdays', 'weekly'], required: true },
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+  startDate: { type: String, required: true, match: dayPattern },
+  until: { type: String, match: dayPattern },
+  count: { type: Number, min: 1 },
+  exceptions: [{ type: String, match: dayPattern }],
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+reservationSeriesSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('ReservationSeries', reservationSeriesSchema);
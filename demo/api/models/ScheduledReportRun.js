@@ -0,0 +1,46 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * ScheduledReportRun model
+ * @module ScheduledReportRun
+ */
+
+/**
+ * ScheduledReportRun schema
+ * One scheduled generation of a utilization report. A run is claimed before
+ * the report is built, so each period is generated once per schedule and site
+ * even across restarts or several API instances.
+ * @typedef ScheduledReportRun
+ * @type {object}
+ * @property {string} schedule - Schedule that produced the run (daily, weekly or monthly)
+ * @property {string} site - The building reported on (all sites when empty)
+ * @property {Date} periodStart - Start of the period reported on
+ * @property {Date} periodEnd - End of the period reported on
+ * @property {string} status - running while the report is built, then completed or failed
+ * @property {string} report - The generated report
+ * @property {number} attempts - How many times the run was started
+ * @property {string} error - Why the last attempt failed
+ * @property {string} notificationError - Why announcing the completed report failed
+ * @property {Date} startedAt - When the last attempt started
+ * @property {Date} completedAt - When the report was stored
+ */
+
+const mongoose = require('mongoose');
+
+const scheduledReportRunSchema = new mongoose.Schema({
+  schedule: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', default: null },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'UtilizationReport' },
+  attempts: { type: Number, default: 1 },
+  error: String,
+  notificationError: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+// One run per schedule, site and period; a second claim fails on this index
+scheduledReportRunSchema.index({ schedule: 1, site: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('ScheduledReportRun', scheduledReportRunSchema);
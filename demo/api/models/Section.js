@@ -0,0 +1,40 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * Section model
+ * @module Section
+ */
+
+/**
+ * Section schema
+ * A block of cubicles on a floor, laid out as a rows x cols grid.
+ * Cubicles refer to their section by `code`, which is unique across all floors.
+ * @typedef Section
+ * @type {object}
+ * @property {string} floor.required - The ID of the floor
+ * @property {string} code.required - The unique section code stored on cubicles (e.g. A)
+ * @property {string} name - Display name of the section
+ * @property {number} rows.required - Number of cubicle rows
+ * @property {number} cols.required - Number of cubicle columns
+ * @property {number} position - Order of the section on the floor plan, left to right
+ */
+
+const mongoose = require('mongoose');
+
+const sectionSchema = new mongoose.Schema({
+  floor: { type: mongoose.Schema.Types.ObjectId, ref: 'Floor', required: true, index: true },
+  code: { type: String, required: true, unique: true, trim: true },
+  name: String,
+  rows: { type: Number, required: true, min: 1 },
+  cols: { type: Number, required: true, min: 1 },
+  position: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+sectionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Section', sectionSchema);
@@ -0,0 +1,45 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * UserRole model
+ * @module UserRole
+ */
+
+/**
+ * UserRole schema
+ * The role a user was given and the sites it applies to. Users without one
+ * are plain users; the admins listed on a building are site admins of it.
+ * @typedef UserRole
+ * @type {object}
+ * @property {string} uid.required - The UID of the user
+ * @property {string} email - The email of the user, for listings
+ * @property {string} role.required - user, facility-manager, site-admin or super-admin
+ * @property {Array<ObjectId>} sites - The buildings a facility manager or site admin looks after
+ * @property {object} updatedBy - { uid, email } of the user who last changed the role
+ */
+
+const mongoose = require('mongoose');
+
+const userRoleSchema = new mongoose.Schema({
+  uid: { type: String, required: true, unique: true },
+  email: String,
+  role: {
+    type: String,
+    enum: ['user', 'facility-manager', 'site-admin', 'super-admin'],
+    required: true
+  },
+  sites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Building' }],
+  updatedBy: {
+    uid: String,
+    email: String
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+userRoleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('UserRole', userRoleSchema);
@@ -8,11 +8,14 @@
  * UtilizationReport schema
  * @typedef UtilizationReport
  * @type {object}
- * @property {Date} weekStartDate - The start date of the day (kept as weekStartDate for compatibility)
- * @property {Date} weekEndDate - The end date of the day (kept as weekEndDate for compatibility)
+ * @property {string} period - Type of period covered (day, week, month, quarter or custom)
+ * @property {Date} weekStartDate - The start of the period (named weekStartDate for compatibility)
+ * @property {Date} weekEndDate - The end of the period (named weekEndDate for compatibility)
  * @property {Date} generatedAt - When the report was generated
- * @property {object} summary - Summary statistics for the day
+ * @property {string} site - The building the report covers (all sites when empty)
+ * @property {object} summary - Summary statistics for the period (utilization counts check-ins only)
  * @property {object} daily - Daily breakdown
+ * @property {Array} hourly - Hourly occupancy rebuilt from the cubicle status history
  * @property {object} sections - Section analysis
  * @property {Array} users - User activity during the day
  * @property {object} advanced - Advanced analytics
@@ -21,9 +24,11 @@
 const mongoose = require('mongoose');
 
 const utilizationReportSchema = new mongoose.Schema({
+  period: { type: String, enum: ['day', 'week', 'month', 'quarter', 'custom'], default: 'day', index: true },
   weekStartDate: { type: Date, required: true, index: true },
   weekEndDate: { type: Date, required: true },
   generatedAt: { type: Date, default: Date.now },
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building', index: true },
   
   // Summary statistics
   summary: {
@@ -33,10 +38,14 @@ const utilizationReportSchema = new mongoose.Schema({
     lowestUtilization: { type: Number, default: 0 },
     totalReservations: { type: Number, default: 0 },
     uniqueUsers: { type: Number, default: 0 },
-    errorIncidents: { type: Number, default: 0 }
+    errorIncidents: { type: Number, default: 0 },
+    checkIns: { type: Number, default: 0 },
+    noShows: { type: Number, default: 0 },
+    cancellations: { type: Number, default: 0 },
+    noShowRate: { type: Number, default: 0 }
   },
   
-  // Daily breakdown (7 days)
+  // Daily breakdown (one entry per day of the period)
   daily: [{
     date: { type: Date, required: true },
     dayOfWeek: { type: String, required: true },
@@ -48,6 +57,18 @@ const utilizationReportSchema = new mongoose.Schema({
     activeUsers: { type: Number, default: 0 }
   }],
   
+  // Hourly occupancy (average number of cubicles in each status during the hour)
+  hourly: [{
+    _id: false,
+    start: { type: Date, required: true },
+    occupied: { type: Number, default: 0 },
+    reserved: { type: Number, default: 0 },
+    available: { type: Number, default: 0 },
+    error: { type: Number, default: 0 },
+    utilizationPercent: { type: Number, default: 0 },
+    recorded: { type: Boolean, default: false }
+  }],
+  
   // Section analysis
   sections: [{
     section: { type: String, required: true },
@@ -66,7 +87,9 @@ const utilizationReportSchema = new mongoose.Schema({
     daysActive: { type: Number, default: 0 },
     favoriteSection: { type: String },
     avgDailyReservations: { type: Number, default: 0 },
-    cubicleSequence: { type: String, default: '' }
+    cubicleSequence: { type: String, default: '' },
+    checkIns: { type: Number, default: 0 },
+    noShows: { type: Number, default: 0 }
   }],
   
   // Advanced analytics
@@ -75,11 +98,36 @@ const utilizationReportSchema = new mongoose.Schema({
       hour: { type: Number },
       utilizationPercent: { type: Number }
     }],
+    // Changes are in percentage points against stored reports; null when there is none to compare with
     trendAnalysis: {
-      weekOverWeekChange: { type: Number, default: 0 },
+      previousPeriodChange: { type: Number, default: null },
+      weekOverWeekChange: { type: Number, default: null },
       utilizationTrend: { type: String, enum: ['increasing', 'decreasing', 'stable'], default: 'stable' },
+      comparedPeriods: { type: Number, default: 0 },
       predictedNextWeek: { type: Number, default: 0 }
     },
+    // Utilization forecast for the days after the period, with its confidence band
+    forecast: {
+      model: { type: String },
+      historyDays: { type: Number, default: 0 },
+      confidence: { type: Number },
+      predicted: { type: Number },
+      weekdays: [{
+        _id: false,
+        date: { type: Date },
+        dayOfWeek: { type: String },
+        predicted: { type: Number },
+        lower: { type: Number },
+        upper: { type: Number }
+      }],
+      sections: [{
+        _id: false,
+        section: { type: String },
+        predicted: { type: Number },
+        lower: { type: Number },
+        upper: { type: Number }
+      }]
+    },
     efficiency: {
       spaceTurnover: { type: Number, default: 0 },
       averageSessionDuration: { type: Number, default: 0 },
@@ -88,7 +136,8 @@ const utilizationReportSchema = new mongoose.Schema({
   }
 });
 
-// Create compound index for day queries (removed unique constraint to allow updates)
+// Create compound index for period queries (removed unique constraint to allow updates)
 utilizationReportSchema.index({ weekStartDate: 1, weekEndDate: 1 });
+utilizationReportSchema.index({ period: 1, site: 1, weekStartDate: 1 });
 
 module.exports = mongoose.model('UtilizationReport', utilizationReportSchema);
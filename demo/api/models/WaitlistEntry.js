@@ -0,0 +1,67 @@
+// Assisted by watsonx Code Assistant 
+/**
+ * WaitlistEntry model
+ * @module WaitlistEntry
+ */
+
+/**
+ * WaitlistEntry schema
+ * A user queued for a booking window that was full when they asked.
+ * When a matching cubicle frees up the entry is offered the spot, which is
+ * held for the user until the offer expires.
+ * @typedef WaitlistEntry
+ * @type {object}
+ * @property {object} user - The queued user
+ * @property {string} scope - What the user waits for (cubicle, section or date)
+ * @property {string} cubicle - The ID of the wanted cubicle (cubicle scope)
+ * @property {string} section - The wanted section (section scope)
+ * @property {string} site - The ID of the wanted site (date scope; any site when empty)
+ * @property {Date} startTime - Start of the wanted booking window
+ * @property {Date} endTime - End of the wanted booking window
+ * @property {string} slot - Slot of the wanted window (full-day, morning, afternoon or custom)
+ * @property {string} status - Entry status (waiting, offered, claimed, expired or cancelled)
+ * @property {object} offer - The spot currently offered to the user
+ * @property {string} reservation - The reservation created when the offer was claimed
+ */
+
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    uid: { type: String, index: true },
+    email: String,
+    displayName: String
+  },
+  scope: { type: String, enum: ['cubicle', 'section', 'date'], required: true },
+  cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle' },
+  section: String,
+  site: { type: mongoose.Schema.Types.ObjectId, ref: 'Building' },
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, required: true },
+  slot: { type: String, enum: ['full-day', 'morning', 'afternoon', 'custom'], default: 'full-day' },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting',
+    index: true
+  },
+  offer: {
+    cubicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Cubicle' },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+waitlistEntrySchema.index({ status: 1, startTime: 1, endTime: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.cubicle': 1 });
+
+// Update the updatedAt field before saving
+waitlistEntrySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
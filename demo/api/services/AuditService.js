@@ -0,0 +1,52 @@
+const logger = require('../logger');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Service
+ * Writes audit log entries for privileged changes. Failures are logged and
+ * swallowed so auditing never breaks the change it records.
+ */
+
+/**
+ * Record an audit entry.
+ * @param {Object} entry - { action, actor, target, affectedUser, details }
+ * @returns {Promise<Object|undefined>} The saved entry
+ */
+async function recordAudit({ action, actor, target, affectedUser, details = {} }) {
+  try {
+    const audit = await AuditLog.create({
+      action,
+      actor: actor && { uid: actor.uid, email: actor.email },
+      target,
+      affectedUser: affectedUser && { uid: affectedUser.uid, email: affectedUser.email },
+      details
+    });
+    logger.info('[AUDIT]', { action, actor: actor && actor.uid, target, affectedUser: affectedUser && affectedUser.uid });
+    return audit;
+  } catch (err) {
+    logger.error('[AUDIT] Error recording audit entry:', err);
+  }
+}
+
+/**
+ * Record one override entry per booking owner other than the actor.
+ * @param {Object} params - { action, actor, reservations, target, details }
+ * @param {Array} params.reservations - Bookings that were changed
+ */
+async function auditOverrides({ action, actor, reservations, target, details = {} }) {
+  const byOwner = new Map();
+  reservations
+    .filter(r => r.user && r.user.uid !== actor.uid)
+    .forEach(r => {
+      if (!byOwner.has(r.user.uid)) byOwner.set(r.user.uid, { user: r.user, ids: [] });
+      byOwner.get(r.user.uid).ids.push(String(r._id));
+    });
+  for (const { user, ids } of byOwner.values()) {
+    await recordAudit({ action, actor, target, affectedUser: user, details: { ...details, reservations: ids } });
+  }
+}
+
+module.exports = {
+  recordAudit,
+  auditOverrides
+};
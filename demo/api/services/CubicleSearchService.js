@@ -0,0 +1,88 @@
+const { BookingError, resolveWindow, getCubicleAvailability } = require('./ReservationService');
+const { cubicleFilterForSite } = require('./SiteService');
+const { toLocalDay, addDays } = require('../utils/timeUtils');
+
+/**
+ * Cubicle Search Service
+ * Finds cubicles by their amenities and, optionally, by being free for a
+ * whole range of days.
+ */
+
+// Yes/no amenities a cubicle can have; `monitors` is a count searched with minMonitors
+const AMENITY_FLAGS = ['dockingStation', 'standingDesk', 'window', 'accessible', 'quietZone', 'nearPhoneBooth'];
+// Longest range of days a single search may check
+const MAX_SEARCH_DAYS = 31;
+
+/**
+ * Cubicle filter for the wanted amenities. Flags left out or false are not required.
+ * @param {Object} amenities - { minMonitors, dockingStation, standingDesk, ... }
+ * @returns {Object} Mongo filter
+ */
+function amenityFilter({ minMonitors, ...flags } = {}) {
+  const filter = {};
+  if (minMonitors) filter['amenities.monitors'] = { $gte: minMonitors };
+  AMENITY_FLAGS.forEach(flag => {
+    if (flags[flag]) filter[`amenities.${flag}`] = true;
+  });
+  return filter;
+}
+
+/**
+ * Booking windows to check: a custom start/end, one window per day of a
+ * from/to range, or none when no time was given.
+ */
+function searchWindows({ from, to, slot, startTime, endTime }, timeZone) {
+  if (startTime || endTime) {
+    return [resolveWindow({ startTime, endTime })];
+  }
+  if (!from) return [];
+
+  const first = toLocalDay(from, timeZone);
+  const last = toLocalDay(to || from, timeZone);
+  if (last < first) {
+    throw new BookingError('`to` must not be before `from`');
+  }
+  const windows = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    if (windows.length === MAX_SEARCH_DAYS) {
+      throw new BookingError(`Searches can cover at most ${MAX_SEARCH_DAYS} days`);
+    }
+    windows.push(resolveWindow({ date: day, slot }, timeZone));
+  }
+  return windows;
+}
+
+/**
+ * Search cubicles by amenities and availability.
+ * With a time (from/to days or startTime/endTime) only cubicles free for
+ * every window are returned; without one, all matching cubicles are returned
+ * with their status for today.
+ * @param {Object} criteria - { amenities, site, section, from, to, slot, startTime, endTime }
+ * @param {string} [timeZone] - Timezone the days are resolved in
+ * @returns {Promise<Array>} Matching cubicles, with status for the first window searched
+ */
+async function searchCubicles({ amenities = {}, site, section, ...time }, timeZone) {
+  const filter = { ...amenityFilter(amenities), ...await cubicleFilterForSite(site) };
+  if (section) {
+    filter.$and = [{ section }];
+  }
+
+  const windows = searchWindows(time, timeZone);
+  if (windows.length === 0) {
+    return getCubicleAvailability(resolveWindow({ slot: time.slot }, timeZone), filter);
+  }
+
+  const [first, ...rest] = await Promise.all(windows.map(window => getCubicleAvailability(window, filter)));
+  const freeIds = cubicles => new Set(cubicles.filter(c => c.status === 'available').map(c => String(c._id)));
+  const restFree = rest.map(freeIds);
+  return first.filter(cubicle =>
+    cubicle.status === 'available' && restFree.every(free => free.has(String(cubicle._id)))
+  );
+}
+
+module.exports = {
+  AMENITY_FLAGS,
+  MAX_SEARCH_DAYS,
+  amenityFilter,
+  searchCubicles
+};
@@ -0,0 +1,334 @@
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const ReportDefinition = require('../models/ReportDefinition');
+const CustomReportRun = require('../models/CustomReportRun');
+const { USED_STATUSES } = require('./ReservationService');
+const { AMENITY_FLAGS } = require('./CubicleSearchService');
+const { getPeriodBounds } = require('./ReportService');
+const { cubicleFilterForSite, reservationFilterForSite, getSiteTimezone } = require('./SiteService');
+const { parseCron, nextCronRun } = require('../utils/cronUtils');
+const { toLocalDay, addDays, getWeekday } = require('../utils/timeUtils');
+
+/**
+ * Custom Report Service
+ * Runs the report definitions admins build themselves: the chosen metrics of
+ * the reservations matching the filters, grouped by up to two dimensions, over
+ * the period the definition resolves to. Reservations are grouped in Mongo;
+ * each run is stored as a table of columns and rows. Definitions with an
+ * enabled schedule run on their cron expression in the site's timezone.
+ */
+
+const CUSTOM_METRICS = [
+  { key: 'reservations', label: 'Reservations' },
+  { key: 'checkIns', label: 'Check-ins' },
+  { key: 'noShows', label: 'No-shows' },
+  { key: 'cancellations', label: 'Cancellations' },
+  { key: 'uniqueUsers', label: 'Unique Users' },
+  { key: 'noShowRate', label: 'No-show Rate %' },
+  { key: 'avgDurationHours', label: 'Average Booking Hours' },
+  { key: 'utilization', label: 'Utilization %' }
+];
+const CUSTOM_DIMENSIONS = [
+  { key: 'section', label: 'Section' },
+  { key: 'weekday', label: 'Weekday' },
+  { key: 'hour', label: 'Hour' },
+  { key: 'user', label: 'User' },
+  { key: 'amenity', label: 'Amenity' }
+];
+const MAX_GROUP_BY = 2;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Field each dimension groups on, once the cubicle is looked up
+const DIMENSION_FIELDS = {
+  section: '$cubicle.section',
+  weekday: '$weekday',
+  hour: '$hour',
+  user: '$user.email',
+  amenity: '$amenity'
+};
+// Utilization compares check-ins with cubicle-days, which a desk's hours or users do not divide into
+const CAPACITY_DIMENSIONS = ['section', 'weekday', 'amenity'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Bounds of the period a definition reports on: a custom range, or the
+ * period of its type containing `now` moved back by its offset.
+ * @param {Object} period - { type, offset, startDate, endDate }
+ * @param {string} timeZone - Timezone the period's days are counted in
+ * @param {Date} [now] - Current time
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+function resolvePeriod({ type = 'week', offset = 0, startDate, endDate }, timeZone, now = new Date()) {
+  if (type === 'custom') return getPeriodBounds('custom', startDate, timeZone, endDate);
+  let bounds = getPeriodBounds(type, now, timeZone);
+  for (let i = offset; i < 0; i++) {
+    bounds = getPeriodBounds(type, new Date(bounds.startDate.getTime() - 1), timeZone);
+  }
+  return bounds;
+}
+
+/**
+ * Cubicle conditions of a definition's section and amenity filters.
+ * @param {Object} filters - Definition filters
+ * @param {string} prefix - Path of the cubicle in the documents filtered
+ */
+function cubicleConditions(filters, prefix) {
+  const conditions = {};
+  if (filters.sections && filters.sections.length) conditions[`${prefix}section`] = { $in: filters.sections };
+  (filters.amenities || []).forEach(flag => { conditions[`${prefix}amenities.${flag}`] = true; });
+  return conditions;
+}
+
+// Unwinds each cubicle into one document per amenity it has
+const amenityStages = prefix => [
+  {
+    $set: {
+      amenity: {
+        $concatArrays: AMENITY_FLAGS.map(flag => ({
+          $cond: [{ $eq: [`$${prefix}amenities.${flag}`, true] }, [flag], []]
+        }))
+      }
+    }
+  },
+  { $unwind: '$amenity' }
+];
+
+/**
+ * Key of a group's dimension values, to match reservations to capacity.
+ */
+const groupKey = (values, dimensions) => dimensions.map(d => String(values[d])).join('\u0000');
+
+/**
+ * Cubicle-days each group of the capacity dimensions could be used on:
+ * matching cubicles times the local days of the period (up to now) on the
+ * group's weekday.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countCapacity({ site, filters, groupBy, startDate, endDate, timeZone, now }) {
+  const lastDay = toLocalDay(new Date(Math.min(endDate.getTime(), now.getTime())), timeZone);
+  const dayCounts = Array(7).fill(0);
+  for (let day = toLocalDay(startDate, timeZone); day <= lastDay; day = addDays(day, 1)) {
+    const weekday = getWeekday(day);
+    if (!filters.weekdays || !filters.weekdays.length || filters.weekdays.includes(weekday)) dayCounts[weekday]++;
+  }
+  const cubicleDimensions = groupBy.filter(d => d !== 'weekday');
+
+  const cubicles = await Cubicle.aggregate([
+    { $match: { ...await cubicleFilterForSite(site), ...cubicleConditions(filters, '') } },
+    ...(groupBy.includes('amenity') ? amenityStages('') : []),
+    {
+      $group: {
+        _id: Object.fromEntries(cubicleDimensions.map(d => [d, d === 'section' ? '$section' : '$amenity'])),
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const capacity = new Map();
+  cubicles.forEach(({ _id, count }) => {
+    const weekdays = groupBy.includes('weekday') ? DAY_NAMES.map((_, i) => i) : [null];
+    weekdays.forEach(weekday => {
+      const days = weekday === null ? dayCounts.reduce((sum, n) => sum + n, 0) : dayCounts[weekday];
+      capacity.set(groupKey({ ..._id, weekday }, groupBy), count * days);
+    });
+  });
+  return capacity;
+}
+
+/**
+ * Display value of a dimension.
+ */
+function dimensionValue(dimension, value) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  if (dimension === 'weekday') return DAY_NAMES[value];
+  if (dimension === 'hour') return `${String(value).padStart(2, '0')}:00`;
+  return value;
+}
+
+/**
+ * Order of groups: weekdays from Monday, hours and text in ascending order.
+ */
+function compareGroups(groupBy) {
+  const sortValue = (dimension, value) => dimension === 'weekday' ? (value + 6) % 7 : value;
+  return (a, b) => {
+    for (const dimension of groupBy) {
+      const x = sortValue(dimension, a._id[dimension]);
+      const y = sortValue(dimension, b._id[dimension]);
+      if (x === y) continue;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+    }
+    return 0;
+  };
+}
+
+/**
+ * Run a report definition against the reservations of its period.
+ * @param {Object} definition - { site, metrics, groupBy, filters, period }
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { startDate, endDate, columns, rows }
+ */
+async function runDefinition(definition, { now = new Date() } = {}) {
+  const site = definition.site ? String(definition.site) : undefined;
+  const filters = definition.filters || {};
+  const metrics = CUSTOM_METRICS.filter(m => (definition.metrics || []).includes(m.key));
+  const groupBy = (definition.groupBy || []).filter(d => DIMENSION_FIELDS[d]).slice(0, MAX_GROUP_BY);
+  const timeZone = await getSiteTimezone(site);
+  const { startDate, endDate } = resolvePeriod(definition.period || {}, timeZone, now);
+
+  const match = { date: { $gte: startDate, $lte: endDate }, ...await reservationFilterForSite(site) };
+  if (filters.statuses && filters.statuses.length) match.status = { $in: filters.statuses };
+  if (filters.users && filters.users.length) match['user.email'] = { $in: filters.users };
+  const afterLookup = cubicleConditions(filters, 'cubicle.');
+  if (filters.weekdays && filters.weekdays.length) afterLookup.weekday = { $in: filters.weekdays };
+
+  const booked = { $ne: ['$status', 'cancelled'] };
+  const count = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+  const groups = await Reservation.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Cubicle.collection.name,
+        localField: 'cubicle',
+        foreignField: '_id',
+        as: 'cubicle'
+      }
+    },
+    {
+      $set: {
+        cubicle: { $arrayElemAt: ['$cubicle', 0] },
+        // Local weekday (0 = Sunday) and hour the booking starts at
+        weekday: { $subtract: [{ $dayOfWeek: { date: '$startTime', timezone: timeZone } }, 1] },
+        hour: { $hour: { date: '$startTime', timezone: timeZone } }
+      }
+    },
+    ...(Object.keys(afterLookup).length ? [{ $match: afterLookup }] : []),
+    ...(groupBy.includes('amenity') ? amenityStages('cubicle.') : []),
+    {
+      $group: {
+        _id: Object.fromEntries(groupBy.map(d => [d, DIMENSION_FIELDS[d]])),
+        reservations: count(booked),
+        checkIns: count({ $in: ['$status', USED_STATUSES] }),
+        noShows: count({ $eq: ['$status', 'no-show'] }),
+        cancellations: count({ $eq: ['$status', 'cancelled'] }),
+        users: { $addToSet: { $cond: [{ $and: [booked, { $ne: [{ $ifNull: ['$user.email', ''] }, ''] }] }, '$user.email', null] } },
+        bookedMs: { $sum: { $cond: [booked, { $subtract: ['$endTime', '$startTime'] }, 0] } }
+      }
+    }
+  ]);
+
+  const measuresCapacity = metrics.some(m => m.key === 'utilization') && groupBy.every(d => CAPACITY_DIMENSIONS.includes(d));
+  const capacity = measuresCapacity
+    ? await countCapacity({ site, filters, groupBy, startDate, endDate, timeZone, now })
+    : new Map();
+
+  // Without dimensions there is a single total row, even with no reservations
+  if (groupBy.length === 0 && groups.length === 0) {
+    groups.push({ _id: {}, reservations: 0, checkIns: 0, noShows: 0, cancellations: 0, users: [], bookedMs: 0 });
+  }
+  const rows = groups.sort(compareGroups(groupBy)).map(group => {
+    const values = {
+      reservations: group.reservations,
+      checkIns: group.checkIns,
+      noShows: group.noShows,
+      cancellations: group.cancellations,
+      uniqueUsers: group.users.filter(email => email !== null).length,
+      noShowRate: group.reservations > 0 ? round1((group.noShows / group.reservations) * 100) : 0,
+      avgDurationHours: group.reservations > 0 ? round1(group.bookedMs / group.reservations / 3600000) : 0,
+      utilization: null
+    };
+    if (measuresCapacity) {
+      const cubicleDays = capacity.get(groupKey(group._id, groupBy)) || 0;
+      values.utilization = cubicleDays > 0 ? round1((group.checkIns / cubicleDays) * 100) : null;
+    }
+    return [
+      ...groupBy.map(d => dimensionValue(d, group._id[d])),
+      ...metrics.map(m => values[m.key])
+    ];
+  });
+
+  return {
+    startDate,
+    endDate,
+    columns: [
+      ...groupBy.map(d => ({ key: d, header: CUSTOM_DIMENSIONS.find(dim => dim.key === d).label })),
+      ...metrics.map(m => ({ key: m.key, header: m.label }))
+    ],
+    rows
+  };
+}
+
+/**
+ * Run a saved definition and store the result.
+ * @param {Object} definition - Report definition document
+ * @param {Object} [options] - { trigger, generatedBy, now }
+ * @returns {Promise<Object>} The stored run
+ */
+async function runCustomReport(definition, { trigger = 'manual', generatedBy, now = new Date() } = {}) {
+  const result = await runDefinition(definition.toObject ? definition.toObject() : definition, { now });
+  const run = await CustomReportRun.create({
+    definition: definition._id,
+    name: definition.name,
+    site: definition.site || null,
+    ...result,
+    trigger,
+    generatedBy,
+    generatedAt: now
+  });
+  logger.info('[CUSTOM REPORTS] Custom report run', {
+    definitionId: String(definition._id),
+    runId: String(run._id),
+    trigger,
+    rows: result.rows.length
+  });
+  return run;
+}
+
+/**
+ * Run every definition whose schedule has come up since it last ran (or was
+ * saved). A definition is claimed by moving its lastRunAt first, so each
+ * scheduled time runs once across API instances; a run missed while the API
+ * was down is made up for once.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} The stored runs
+ */
+async function runDueCustomReports(now = new Date()) {
+  const definitions = await ReportDefinition.find({ 'schedule.enabled': true });
+  const runs = [];
+  for (const definition of definitions) {
+    let cron;
+    try {
+      cron = parseCron(definition.schedule.cron);
+    } catch (err) {
+      logger.error(`[CUSTOM REPORTS] Ignoring schedule of report definition ${definition._id}: ${err.message}`);
+      continue;
+    }
+    const timeZone = await getSiteTimezone(definition.site);
+    const lastRunAt = definition.schedule.lastRunAt || null;
+    if (!nextCronRun(cron, lastRunAt || definition.updatedAt, timeZone, now)) continue;
+
+    const claimed = await ReportDefinition.findOneAndUpdate(
+      { _id: definition._id, 'schedule.lastRunAt': lastRunAt },
+      { $set: { 'schedule.lastRunAt': now } }
+    );
+    if (!claimed) continue;
+    try {
+      runs.push(await runCustomReport(definition, { trigger: 'scheduled', now }));
+    } catch (err) {
+      logger.error(`[CUSTOM REPORTS] Scheduled run of report definition ${definition._id} failed:`, err);
+    }
+  }
+  return runs;
+}
+
+module.exports = {
+  CUSTOM_METRICS,
+  CUSTOM_DIMENSIONS,
+  MAX_GROUP_BY,
+  resolvePeriod,
+  runDefinition,
+  runCustomReport,
+  runDueCustomReports
+};
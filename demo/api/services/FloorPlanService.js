@@ -0,0 +1,146 @@
+const logger = require('../logger');
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Section = require('../models/Section');
+const Cubicle = require('../models/Cubicle');
+
+/**
+ * Floor Plan Service
+ * Reads and builds the Building → Floor → Section hierarchy that lays out
+ * the cubicles, so stats, reports and the grid derive sections from data.
+ */
+
+const DEFAULT_BUILDING_NAME = 'Main Building';
+
+/**
+ * Get the whole floor plan as a tree.
+ * @returns {Promise<Array>} Buildings with their floors (by level) and sections (by position)
+ */
+async function getFloorPlan() {
+  const [buildings, floors, sections] = await Promise.all([
+    Building.find().sort({ name: 1 }).lean(),
+    Floor.find().sort({ level: 1 }).lean(),
+    Section.find().sort({ position: 1, code: 1 }).lean()
+  ]);
+  return buildings.map(building => ({
+    ...building,
+    floors: floors
+      .filter(floor => String(floor.building) === String(building._id))
+      .map(floor => ({
+        ...floor,
+        sections: sections.filter(section => String(section.floor) === String(floor._id))
+      }))
+  }));
+}
+
+/**
+ * List sections in floor plan order, each with its floor and building name.
+ * Section codes found on cubicles but missing from the floor plan are
+ * appended so no cubicle drops out of stats or reports; they belong to no
+ * site and are left out when listing a single site.
+ * @param {Object} [options] - { site } to list only the sections of one building
+ * @returns {Promise<Array<{ code, name, floor, building, site, rows, cols }>>}
+ */
+async function listSections({ site } = {}) {
+  const [plan, cubicleSections] = await Promise.all([getFloorPlan(), Cubicle.distinct('section')]);
+  const sections = [];
+  plan
+    .filter(building => !site || String(building._id) === String(site))
+    .forEach(building => building.floors.forEach(floor => floor.sections.forEach(section => {
+      sections.push({
+        code: section.code,
+        name: section.name || `Section ${section.code}`,
+        floor: floor.name,
+        building: building.name,
+        site: building._id,
+        rows: section.rows,
+        cols: section.cols
+      });
+    })));
+  if (site) return sections;
+
+  const known = new Set(plan.flatMap(building =>
+    building.floors.flatMap(floor => floor.sections.map(section => section.code))
+  ));
+  cubicleSections
+    .filter(code => !known.has(code))
+    .sort()
+    .forEach(code => sections.push({ code, name: `Section ${code}`, floor: null, building: null, site: null }));
+  return sections;
+}
+
+/**
+ * Check that a cubicle position fits its section and is not taken.
+ * @param {Object} placement - { section, row, col }
+ * @param {string} [cubicleId] - Cubicle being moved, ignored in the occupancy check
+ * @returns {Promise<string|null>} Why the placement is invalid, or null
+ */
+async function findPlacementError({ section, row, col }, cubicleId) {
+  const doc = await Section.findOne({ code: section }).lean();
+  if (!doc) {
+    return `Section "${section}" does not exist in the floor plan`;
+  }
+  if (row > doc.rows || col > doc.cols) {
+    return `Section ${section} only has ${doc.rows} rows and ${doc.cols} columns`;
+  }
+  const taken = await Cubicle.exists({ section, row, col, ...(cubicleId ? { _id: { $ne: cubicleId } } : {}) });
+  if (taken) {
+    return `Row ${row}, column ${col} of section ${section} is already taken`;
+  }
+  return null;
+}
+
+/**
+ * Create a building with its floors and sections.
+ * @param {Object} layout - { name, address, timezone, admins, floors: [{ name, level, sections: [{ code, name, rows, cols }] }] }
+ * @returns {Promise<Array>} The created sections
+ */
+async function createFloorPlan({ name, address, timezone, admins, floors = [] }) {
+  const building = await Building.create({ name, address, timezone, admins });
+  const sections = [];
+  for (const { name: floorName, level, sections: floorSections = [] } of floors) {
+    const floor = await Floor.create({ building: building._id, name: floorName, level });
+    for (const [position, section] of floorSections.entries()) {
+      sections.push(await Section.create({
+        floor: floor._id,
+        position,
+        name: `Section ${section.code}`,
+        ...section
+      }));
+    }
+  }
+  return sections;
+}
+
+/**
+ * Build a floor plan for cubicles created before floor plans existed: one
+ * building and floor holding a section per cubicle section code, sized to
+ * the rows and columns in use.
+ */
+async function ensureFloorPlan() {
+  if (await Section.exists({})) return;
+  const dimensions = await Cubicle.aggregate([
+    { $group: { _id: '$section', rows: { $max: '$row' }, cols: { $max: '$col' } } },
+    { $sort: { _id: 1 } }
+  ]);
+  if (dimensions.length === 0) return;
+
+  await createFloorPlan({
+    name: DEFAULT_BUILDING_NAME,
+    floors: [{
+      name: 'Floor 1',
+      level: 1,
+      sections: dimensions.map(({ _id, rows, cols }) => ({ code: _id, rows, cols }))
+    }]
+  });
+  logger.info('[FLOOR PLAN] Created floor plan from existing cubicles', { sections: dimensions.length });
+}
+
+module.exports = {
+  DEFAULT_BUILDING_NAME,
+  getFloorPlan,
+  listSections,
+  findPlacementError,
+  createFloorPlan,
+  ensureFloorPlan
+};
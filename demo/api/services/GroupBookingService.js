@@ -0,0 +1,318 @@
+const logger = require('../logger');
+const Reservation = require('../models/Reservation');
+const Building = require('../models/Building');
+const GroupBooking = require('../models/GroupBooking');
+const { toLocalDay } = require('../utils/timeUtils');
+const {
+  BookingError,
+  reservationEvents,
+  resolveWindow,
+  createReservation,
+  cancelMatching,
+  findConflicts,
+  withCubicleLock,
+  summarizeReservation,
+  getCubicleAvailability
+} = require('./ReservationService');
+const { findSiteOf, getSiteTimezone, cubicleFilterForSite } = require('./SiteService');
+
+/**
+ * Group Booking Service
+ * Books blocks of adjacent cubicles for a team, all at once or not at all,
+ * and edits or cancels them as a unit.
+ */
+
+const MAX_GROUP_SIZE = 30;
+// Times a booking is retried when another booking grabs part of the block first
+const MAX_BOOKING_ATTEMPTS = 3;
+// Row neighbours first so blocks fill a row before spilling into the next
+const NEIGHBOURS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+const cellKey = (row, col) => `${row}:${col}`;
+
+/**
+ * Grow a block of adjacent free cubicles from a seed, always taking the
+ * frontier cubicle closest to the seed (same row first) so blocks stay compact.
+ * @param {Object} seed - First cubicle of the block
+ * @param {Map} cells - Free cubicles of the section keyed by row:col
+ * @param {number} size - Cubicles wanted
+ * @returns {Array|null} The block, or null if the free area around the seed is too small
+ */
+function growBlock(seed, cells, size) {
+  const block = [seed];
+  const taken = new Set([cellKey(seed.row, seed.col)]);
+
+  while (block.length < size) {
+    const frontier = [];
+    block.forEach(cubicle => NEIGHBOURS.forEach(([dr, dc]) => {
+      const key = cellKey(cubicle.row + dr, cubicle.col + dc);
+      if (cells.has(key) && !taken.has(key)) frontier.push(cells.get(key));
+    }));
+    if (frontier.length === 0) return null;
+
+    frontier.sort((a, b) =>
+      Math.abs(a.row - seed.row) - Math.abs(b.row - seed.row) ||
+      Math.abs(a.col - seed.col) - Math.abs(b.col - seed.col) ||
+      a.col - b.col
+    );
+    const next = frontier[0];
+    block.push(next);
+    taken.add(cellKey(next.row, next.col));
+  }
+  return block;
+}
+
+/**
+ * Number of rows a block spans.
+ */
+function rowSpan(block) {
+  const rows = block.map(c => c.row);
+  return Math.max(...rows) - Math.min(...rows) + 1;
+}
+
+/**
+ * Find `size` adjacent free cubicles in one section, using the row/col
+ * coordinates. Blocks spanning the fewest rows win; the preferred section is
+ * searched first, then the others.
+ * @param {Array} freeCubicles - Cubicles free for the whole window
+ * @param {number} size - Cubicles wanted
+ * @param {string} [preferredSection] - Section to try first
+ * @returns {Array|null} The block, or null if no section has one
+ */
+function findAdjacentBlock(freeCubicles, size, preferredSection) {
+  const bySection = new Map();
+  freeCubicles.forEach(cubicle => {
+    if (!bySection.has(cubicle.section)) bySection.set(cubicle.section, []);
+    bySection.get(cubicle.section).push(cubicle);
+  });
+
+  const sections = [...bySection.keys()].sort((a, b) =>
+    (b === preferredSection) - (a === preferredSection) || a.localeCompare(b)
+  );
+  for (const section of sections) {
+    const free = bySection.get(section);
+    if (free.length < size) continue;
+    const cells = new Map(free.map(cubicle => [cellKey(cubicle.row, cubicle.col), cubicle]));
+    const seeds = [...free].sort((a, b) => a.row - b.row || a.col - b.col);
+    let best = null;
+    for (const seed of seeds) {
+      const block = growBlock(seed, cells, size);
+      if (block && (!best || rowSpan(block) < rowSpan(best))) best = block;
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+/**
+ * Reserve every cubicle of a block, cancelling the ones already made if any
+ * fails (which announces them as released again).
+ */
+async function reserveBlock(block, { group, user, window, policy }) {
+  const created = [];
+  try {
+    for (const cubicle of block) {
+      created.push(await createReservation({ cubicleId: cubicle._id, user, window, groupBooking: group._id, policy }));
+    }
+  } catch (err) {
+    if (created.length > 0) {
+      await cancelMatching({ _id: { $in: created.map(r => r._id) } });
+    }
+    throw err;
+  }
+  return created;
+}
+
+/**
+ * Book again the reservations a failed rebooking stepped out of. Each one is
+ * restored under its cubicle's booking lock, and only if nobody booked the
+ * cubicle for that time in the meantime.
+ * @param {Array} reservations - Cancelled reservations
+ * @returns {Promise<Array>} The reservations that could not be restored
+ */
+async function restoreReservations(reservations) {
+  const lost = [];
+  for (const reservation of reservations) {
+    let restored = false;
+    try {
+      restored = await withCubicleLock(reservation.cubicle, async () => {
+        if ((await findConflicts(reservation.cubicle, reservation)).length > 0) return false;
+        await Reservation.updateOne(
+          { _id: reservation._id, status: 'cancelled' },
+          { $set: { status: 'booked' }, $unset: { cancelledAt: '', cancelledBy: '' } }
+        );
+        return true;
+      });
+    } catch (err) {
+      // The cubicle is being booked right now
+      if (!(err instanceof BookingError)) throw err;
+    }
+    if (!restored) lost.push(reservation);
+  }
+  return lost;
+}
+
+/**
+ * Find and reserve a block of adjacent cubicles at the group's site.
+ * If another booking takes part of the block first, the search is retried.
+ * @returns {Promise<{ block: Array, reservations: Array }>}
+ */
+async function bookAdjacent(group, { user, window, policy }) {
+  const siteFilter = await cubicleFilterForSite(group.site);
+  for (let attempt = 1; ; attempt++) {
+    const availability = await getCubicleAvailability(window, siteFilter);
+    const block = findAdjacentBlock(
+      availability.filter(c => c.status === 'available'),
+      group.size,
+      group.preferredSection
+    );
+    if (!block) {
+      throw new BookingError(`No block of ${group.size} adjacent cubicles is free for the requested time`, 409, {
+        code: 'NO_ADJACENT_BLOCK',
+        size: group.size
+      });
+    }
+    try {
+      const reservations = await reserveBlock(block, { group, user, window, policy });
+      return { block, reservations };
+    } catch (err) {
+      if (!(err instanceof BookingError) || err.status !== 409 || attempt >= MAX_BOOKING_ATTEMPTS) throw err;
+      logger.warn('[GROUP] Block taken while booking, retrying', { groupId: String(group._id), attempt });
+    }
+  }
+}
+
+/**
+ * Book a named group of adjacent cubicles at a site.
+ * @param {Object} params - { name, size, site, preferredSection, user, window, policy }
+ * @returns {Promise<{ group: Object, reservations: Array }>}
+ */
+async function createGroupBooking({ name, size, site, preferredSection, user, window, policy = {} }) {
+  if (!(await Building.exists({ _id: site }))) {
+    throw new BookingError('Site not found', 404);
+  }
+  const group = new GroupBooking({
+    name,
+    size,
+    site,
+    preferredSection,
+    user,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    slot: window.slot
+  });
+  const { block, reservations } = await bookAdjacent(group, { user, window, policy });
+  group.cubicles = block.map(c => c._id);
+  group.section = block[0].section;
+  await group.save();
+  logger.info('[GROUP] Booked', { groupId: String(group._id), size, section: group.section });
+  return { group, reservations };
+}
+
+/**
+ * Edit a group. Renaming keeps the booking; a new size, section or time
+ * rebooks the whole group. If that fails the old booking is restored, but
+ * for cubicles someone else booked meanwhile, which the error lists in
+ * `lostReservations`.
+ * @param {Object} group - GroupBooking document
+ * @param {Object} changes - { name, size, preferredSection, date, slot, startTime, endTime }
+ * @param {Object} editedBy - User making the change
+ * @param {Object} [policy] - Policy context of the user making the change
+ * @returns {Promise<{ group: Object, reservations: Array }>}
+ */
+async function updateGroupBooking(group, changes, editedBy, policy = {}) {
+  if (group.status !== 'active') {
+    throw new BookingError('Cancelled group bookings cannot be edited', 409);
+  }
+  if (changes.name !== undefined) group.name = changes.name;
+
+  const windowChanged = ['date', 'slot', 'startTime', 'endTime'].some(field => changes[field] !== undefined);
+  const rebook = windowChanged ||
+    (changes.size !== undefined && changes.size !== group.size) ||
+    (changes.preferredSection !== undefined && changes.preferredSection !== group.preferredSection);
+  if (!rebook) {
+    await group.save();
+    const reservations = await Reservation.find({ groupBooking: group._id, status: { $ne: 'cancelled' } });
+    return { group, reservations };
+  }
+
+  const now = new Date();
+  if (group.startTime <= now) {
+    throw new BookingError('Group bookings cannot be rebooked once they have started', 409);
+  }
+  // Groups booked before they had a site stay at the site of their section
+  if (!group.site) {
+    const site = await findSiteOf({ section: group.section });
+    group.site = site ? site._id : undefined;
+  }
+  // The new window is read in the timezone of the group's site
+  const timeZone = windowChanged ? await getSiteTimezone(group.site) : undefined;
+  const window = windowChanged
+    ? resolveWindow({
+      date: changes.date || toLocalDay(group.startTime, timeZone),
+      slot: changes.slot || group.slot,
+      startTime: changes.startTime,
+      endTime: changes.endTime
+    }, timeZone)
+    : { startTime: group.startTime, endTime: group.endTime, slot: group.slot };
+  if (changes.size !== undefined) group.size = changes.size;
+  if (changes.preferredSection !== undefined) group.preferredSection = changes.preferredSection || undefined;
+
+  // Step out of the current cubicles so the search can reuse them
+  const previous = await Reservation.find({ groupBooking: group._id, status: 'booked' }).lean();
+  const previousIds = previous.map(r => r._id);
+  await Reservation.updateMany(
+    { _id: { $in: previousIds } },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelledBy: editedBy } }
+  );
+
+  let booked;
+  try {
+    booked = await bookAdjacent(group, { user: group.user, window, policy });
+  } catch (err) {
+    // Cubicles booked by someone else while the group searched are reported, not double-booked
+    const lost = await restoreReservations(previous);
+    if (lost.length > 0) {
+      await GroupBooking.updateOne({ _id: group._id }, { $pull: { cubicles: { $in: lost.map(r => r.cubicle) } } });
+      logger.warn('[GROUP] Cubicles lost while rebooking', { groupId: String(group._id), cubicles: lost.length });
+      if (err instanceof BookingError) err.details = { ...err.details, lostReservations: lost.map(summarizeReservation) };
+    }
+    throw err;
+  }
+
+  group.cubicles = booked.block.map(c => c._id);
+  group.section = booked.block[0].section;
+  group.startTime = window.startTime;
+  group.endTime = window.endTime;
+  group.slot = window.slot;
+  await group.save();
+  // Cubicles the group booked again for the same time were never freed
+  const rebooked = new Set(booked.block.map(c => String(c._id)));
+  const released = previous.filter(r => !rebooked.has(String(r.cubicle)) ||
+    r.startTime.getTime() !== window.startTime.getTime() || r.endTime.getTime() !== window.endTime.getTime());
+  if (released.length > 0) reservationEvents.emit('released', released);
+  logger.info('[GROUP] Rebooked', { groupId: String(group._id), size: group.size, section: group.section });
+  return { group, reservations: booked.reservations };
+}
+
+/**
+ * Cancel a group and all its active reservations.
+ * @returns {Promise<{ group: Object, cancelled: number }>}
+ */
+async function cancelGroupBooking(group, cancelledBy) {
+  if (group.status !== 'active') {
+    throw new BookingError('Group booking is already cancelled', 409);
+  }
+  const cancelled = await cancelMatching({ groupBooking: group._id }, cancelledBy);
+  group.status = 'cancelled';
+  await group.save();
+  return { group, cancelled: cancelled.length };
+}
+
+module.exports = {
+  MAX_GROUP_SIZE,
+  findAdjacentBlock,
+  createGroupBooking,
+  updateGroupBooking,
+  cancelGroupBooking
+};
@@ -0,0 +1,259 @@
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const NotificationService = require('./NotificationService');
+const { BookingError, overlapQuery, outageQuery } = require('./ReservationService');
+
+/**
+ * Maintenance Service
+ * Tracks problems reported on cubicles as tickets. Admins assign and resolve
+ * them and can take a cubicle out of service for a window; bookings in that
+ * window are flagged and their owners notified. Marking a cubicle `error`
+ * opens a ticket whose window runs until it is resolved.
+ */
+
+const TICKET_CATEGORIES = ['furniture', 'equipment', 'network', 'power', 'cleaning', 'other'];
+// Tickets still being worked on
+const OPEN_TICKET_STATUSES = ['open', 'assigned'];
+
+/**
+ * Reduce a user to the fields kept on a ticket's history.
+ */
+function actorOf(user) {
+  return user ? { uid: user.uid, email: user.email } : undefined;
+}
+
+/**
+ * Open a ticket for a problem on a cubicle.
+ * @param {Object} params - { cubicleId, category, comment, user }
+ * @returns {Promise<Object>} The ticket
+ */
+async function reportIssue({ cubicleId, category, comment = '', user }) {
+  if (!TICKET_CATEGORIES.includes(category)) {
+    throw new BookingError(`Unknown maintenance category "${category}"`);
+  }
+  const cubicle = await Cubicle.findById(cubicleId).lean();
+  if (!cubicle) {
+    throw new BookingError('Cubicle not found', 404);
+  }
+  const ticket = await MaintenanceTicket.create({
+    cubicle: cubicle._id,
+    section: cubicle.section,
+    category,
+    comment,
+    reportedBy: user,
+    history: [{ action: 'reported', by: actorOf(user), note: comment }]
+  });
+  logger.info('[MAINTENANCE] Reported', { ticketId: String(ticket._id), cubicleId: String(cubicle._id), category });
+  return ticket;
+}
+
+/**
+ * Assign a ticket to the user fixing it.
+ * @param {Object} ticket - Ticket document
+ * @param {Object} assignee - { uid, email, displayName }
+ * @param {Object} by - User making the assignment
+ * @returns {Promise<Object>} The ticket
+ */
+async function assignTicket(ticket, assignee, by) {
+  if (!OPEN_TICKET_STATUSES.includes(ticket.status)) {
+    throw new BookingError(`Ticket is already ${ticket.status}`, 409);
+  }
+  ticket.assignee = assignee;
+  ticket.status = 'assigned';
+  ticket.history.push({ action: 'assigned', by: actorOf(by), note: assignee.email || assignee.uid });
+  await ticket.save();
+  return ticket;
+}
+
+/**
+ * Take a ticket's cubicle out of service for a window. Active bookings in
+ * the window are flagged with the ticket and their owners are notified;
+ * the bookings themselves are kept so the owners can move them.
+ * @param {Object} ticket - Ticket document
+ * @param {Object} window - { startTime, endTime }; no endTime keeps it out of service until resolved
+ * @param {Object} by - User scheduling the outage
+ * @returns {Promise<{ ticket: Object, flagged: Array }>} The ticket and the flagged reservations
+ */
+async function scheduleOutOfService(ticket, { startTime, endTime }, by) {
+  if (!OPEN_TICKET_STATUSES.includes(ticket.status)) {
+    throw new BookingError(`Ticket is already ${ticket.status}`, 409);
+  }
+  if (endTime && endTime <= startTime) {
+    throw new BookingError('The out-of-service window must end after it starts');
+  }
+  if (endTime && endTime <= new Date()) {
+    throw new BookingError('The out-of-service window has already ended');
+  }
+
+  ticket.outOfService = { startTime, endTime };
+  ticket.history.push({
+    action: 'scheduled',
+    by: actorOf(by),
+    note: `${startTime.toISOString()} - ${endTime ? endTime.toISOString() : 'until resolved'}`
+  });
+
+  // A far-future end stands in for "until resolved" in the overlap query
+  const flagged = await Reservation.find({
+    cubicle: ticket.cubicle,
+    ...overlapQuery({ startTime, endTime: endTime || new Date(8.64e15) })
+  }).lean();
+  if (flagged.length > 0) {
+    await Reservation.updateMany(
+      { _id: { $in: flagged.map(r => r._id) } },
+      { $set: { maintenanceTicket: ticket._id } }
+    );
+  }
+  ticket.flaggedReservations = [...new Set([...ticket.flaggedReservations.map(String), ...flagged.map(r => String(r._id))])];
+  await ticket.save();
+  logger.info('[MAINTENANCE] Out of service', { ticketId: String(ticket._id), startTime, endTime, flagged: flagged.length });
+
+  if (flagged.length > 0) {
+    const cubicle = await Cubicle.findById(ticket.cubicle).lean();
+    const notificationService = new NotificationService();
+    for (const reservation of flagged) {
+      try {
+        await notificationService.sendMaintenanceNotice(reservation, cubicle, ticket);
+      } catch (err) {
+        logger.error('[MAINTENANCE] Error sending maintenance notice:', err);
+      }
+    }
+  }
+  return { ticket, flagged };
+}
+
+/**
+ * Resolve a ticket, ending its out-of-service window. The cubicle's `error`
+ * flag is cleared once no other unresolved ticket keeps it out of service.
+ * @param {Object} ticket - Ticket document
+ * @param {string} resolution - How the problem was fixed
+ * @param {Object} by - User resolving the ticket
+ * @returns {Promise<Object>} The ticket
+ */
+async function resolveTicket(ticket, resolution, by) {
+  if (!OPEN_TICKET_STATUSES.includes(ticket.status)) {
+    throw new BookingError(`Ticket is already ${ticket.status}`, 409);
+  }
+  const now = new Date();
+  ticket.status = 'resolved';
+  ticket.resolution = resolution;
+  ticket.resolvedAt = now;
+  ticket.history.push({ action: 'resolved', by: actorOf(by), at: now, note: resolution });
+  await ticket.save();
+  logger.info('[MAINTENANCE] Resolved', { ticketId: String(ticket._id) });
+
+  const stillOut = await MaintenanceTicket.exists({
+    cubicle: ticket.cubicle,
+    ...outageQuery({ startTime: now, endTime: new Date(now.getTime() + 1) })
+  });
+  if (!stillOut) {
+    await Cubicle.updateOne({ _id: ticket.cubicle, status: 'error' }, { $set: { status: 'available' } });
+  }
+  return ticket;
+}
+
+/**
+ * Open a ticket for a cubicle an admin marked `error`, out of service from
+ * now until resolved.
+ * @param {Object} cubicle - Cubicle being marked
+ * @param {Object} params - { category, comment, user }
+ * @returns {Promise<Object>} The ticket
+ */
+async function openErrorTicket(cubicle, { category = 'other', comment = '', user }) {
+  const ticket = await reportIssue({ cubicleId: cubicle._id, category, comment, user });
+  return (await scheduleOutOfService(ticket, { startTime: new Date() }, user)).ticket;
+}
+
+/**
+ * Resolve the tickets keeping a cubicle out of service right now, when an
+ * admin returns it to service.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Object} by - User returning the cubicle to service
+ * @returns {Promise<Array>} The resolved tickets
+ */
+async function resolveRunningTickets(cubicleId, by) {
+  const now = new Date();
+  const tickets = await MaintenanceTicket.find({
+    cubicle: cubicleId,
+    ...outageQuery({ startTime: now, endTime: new Date(now.getTime() + 1) })
+  });
+  for (const ticket of tickets) {
+    await resolveTicket(ticket, 'Returned to service', by);
+  }
+  return tickets;
+}
+
+/**
+ * Find the tickets that matter for a period: reported in it, or keeping a
+ * cubicle out of service at some point of it.
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @param {Object} [filter] - Extra ticket filter
+ * @returns {Promise<Array>} Tickets
+ */
+async function findTicketsForPeriod(startDate, endDate, filter = {}) {
+  return MaintenanceTicket.find({
+    ...filter,
+    $or: [
+      { createdAt: { $gte: startDate, $lte: endDate } },
+      {
+        'outOfService.startTime': { $lte: endDate },
+        $and: [
+          { $or: [{ 'outOfService.endTime': null }, { 'outOfService.endTime': { $gte: startDate } }] },
+          { $or: [{ resolvedAt: null }, { resolvedAt: { $gte: startDate } }] }
+        ]
+      }
+    ]
+  }).lean();
+}
+
+/**
+ * Check whether a ticket kept its cubicle out of service at some point of a window.
+ * The window ends at whichever comes first of its scheduled end and the resolution.
+ */
+function wasOutOfService(ticket, { startTime, endTime }) {
+  const window = ticket.outOfService || {};
+  if (!window.startTime || window.startTime >= endTime) return false;
+  const ends = [window.endTime, ticket.resolvedAt].filter(Boolean);
+  const end = ends.length > 0 ? Math.min(...ends.map(date => date.getTime())) : Infinity;
+  return end > startTime.getTime() && end > window.startTime.getTime();
+}
+
+/**
+ * Open a ticket for each cubicle flagged `error` before tickets existed, so
+ * every out-of-service cubicle has a reason and history.
+ */
+async function migrateErrorCubicles() {
+  const cubicles = await Cubicle.find({ status: 'error' }).lean();
+  let opened = 0;
+  for (const cubicle of cubicles) {
+    if (await MaintenanceTicket.exists({ cubicle: cubicle._id, status: { $in: OPEN_TICKET_STATUSES } })) continue;
+    await MaintenanceTicket.create({
+      cubicle: cubicle._id,
+      section: cubicle.section,
+      category: 'other',
+      comment: 'Marked as error before maintenance tickets existed',
+      outOfService: { startTime: new Date() },
+      history: [{ action: 'reported', note: 'Migrated from the cubicle error flag' }]
+    });
+    opened++;
+  }
+  if (opened > 0) {
+    logger.info('[MAINTENANCE] Opened tickets for cubicles in error', { tickets: opened });
+  }
+}
+
+module.exports = {
+  TICKET_CATEGORIES,
+  OPEN_TICKET_STATUSES,
+  reportIssue,
+  assignTicket,
+  scheduleOutOfService,
+  resolveTicket,
+  openErrorTicket,
+  resolveRunningTickets,
+  findTicketsForPeriod,
+  wasOutOfService,
+  migrateErrorCubicles
+};
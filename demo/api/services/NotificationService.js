@@ -5,6 +5,7 @@ const NotificationHistory = require('../models/NotificationHistory');
 const NotificationSettings = require('../models/NotificationSettings');
 const Reservation = require('../models/Reservation');
 const Cubicle = require('../models/Cubicle');
+const { reservationFilterForSite } = require('./SiteService');
 
 /**
  * Notification Service for Slack, Monday.com, and Email integrations
@@ -39,15 +40,17 @@ class NotificationService {
 
   /**
    * Send cubicle sequence notification to all users with reservations
+   * @param {string} sentBy - User ID who sent the notification
+   * @param {string} [site] - Only notify about reservations at this building
    */
-  async sendCubicleSequenceNotifications(sentBy = null) {
+  async sendCubicleSequenceNotifications(sentBy = null, site = null) {
     if (!this.emailTransporter) {
       throw new Error('Email service not configured');
     }
 
     try {
       // Get all users with reservations and their cubicle sequences
-      const usersWithReservations = await this.getUsersWithCubicleSequences();
+      const usersWithReservations = await this.getUsersWithCubicleSequences(site);
       
       if (usersWithReservations.length === 0) {
         logger.info('No users with reservations found for notification');
@@ -266,7 +269,7 @@ class NotificationService {
                     <li><strong>Sequence Format:</strong> Cubicles are listed by their serial codes (e.g., A1-SOC CUB1)</li>
                     <li><strong>Date Grouping:</strong> Your reservations are organized by date</li>
                     <li><strong>Consecutive Ranges:</strong> Sequential cubicles are shown as ranges (e.g., A1-A3)</li>
-                    <li><strong>Section Codes:</strong> A = Section A, B = Section B, C = Section C</li>
+                    <li><strong>Section Codes:</strong> The letters before the number name the section of the floor plan (e.g., A1 is in Section A)</li>
                 </ul>
                 
                 <div style="text-align: center; margin: 2rem 0;">
@@ -322,11 +325,12 @@ Generated on ${new Date().toLocaleString()}
 
   /**
    * Get users with their cubicle sequences
+   * @param {string} [site] - Only count reservations at this building
    */
-  async getUsersWithCubicleSequences() {
+  async getUsersWithCubicleSequences(site = null) {
     try {
       // Get all reservations with user and cubicle data
-      const reservations = await Reservation.find()
+      const reservations = await Reservation.find({ status: { $ne: 'cancelled' }, ...await reservationFilterForSite(site) })
         .populate('cubicle')
         .lean();
 
@@ -404,7 +408,7 @@ Generated on ${new Date().toLocaleString()}
    */
   async getUserCubicleSequence(userId) {
     try {
-      const reservations = await Reservation.find({ 'user.uid': userId })
+      const reservations = await Reservation.find({ 'user.uid': userId, status: { $ne: 'cancelled' } })
         .populate('cubicle')
         .lean();
 
@@ -737,7 +741,7 @@ Generated on ${new Date().toLocaleString()}
     if (!this.enabled || !this.slackWebhookUrl) return;
 
     try {
-      const { totalCubicles, reservedCubicles, errorCubicles, systemUptime } = healthData;
+      const { totalCubicles, reservedCubicles, errorCubicles, openTickets, systemUptime } = healthData;
       const healthPercentage = Math.round(((totalCubicles - errorCubicles) / totalCubicles) * 100);
       const healthEmoji = healthPercentage >= 95 ? '✅' : healthPercentage >= 85 ? '⚠️' : '🚨';
 
@@ -770,6 +774,10 @@ Generated on ${new Date().toLocaleString()}
                 type: "mrkdwn",
                 text: `*Error Status:*\n${errorCubicles}`
               },
+              {
+                type: "mrkdwn",
+                text: `*Open Maintenance Tickets:*\n${openTickets ?? 'n/a'}`
+              },
               {
                 type: "mrkdwn",
                 text: `*System Uptime:*\n${systemUptime}`
@@ -1038,23 +1046,24 @@ ${user.cubicleSequence || 'No reservations found'}` }
    * @param {string} type - Type of notification: 'slack', 'monday', 'email', 'cubicle_sequence', or 'bulk'
    * @param {string} message - Custom message for the notification
    * @param {string} sentBy - User ID who sent the notification
+   * @param {string} [site] - Limit per-user cubicle sequences to reservations at this building
    * @returns {Object} Result object with success status and details
    */
-  async sendBulkNotifications(type, message, sentBy = null) {
+  async sendBulkNotifications(type, message, sentBy = null, site = null) {
     try {
       logger.info(`Starting bulk notification of type: ${type}`);
       
       switch (type) {
         case 'slack':
           // Send per-user Slack notifications (no email)
-          return await this.sendCubicleSequenceSlackNotifications(sentBy);
+          return await this.sendCubicleSequenceSlackNotifications(sentBy, site);
           
         case 'monday':
           return await this.sendMondayBulkNotification(message, sentBy);
           
         case 'email':
         case 'cubicle_sequence':
-          return await this.sendCubicleSequenceNotifications(sentBy);
+          return await this.sendCubicleSequenceNotifications(sentBy, site);
           
         case 'bulk':
           // Send all types
@@ -1084,7 +1093,7 @@ ${user.cubicleSequence || 'No reservations found'}` }
           
           // Send email notifications
           try {
-            results.email = await this.sendCubicleSequenceNotifications(sentBy);
+            results.email = await this.sendCubicleSequenceNotifications(sentBy, site);
           } catch (error) {
             logger.error('Email bulk notification failed:', error.message);
             results.email = { success: false, error: error.message };
@@ -1259,13 +1268,15 @@ ${user.cubicleSequence || 'No reservations found'}` }
 
   /**
    * Send cubicle sequence Slack notification to all users with reservations (no email)
+   * @param {string} sentBy - User ID who sent the notification
+   * @param {string} [site] - Only notify about reservations at this building
    */
-  async sendCubicleSequenceSlackNotifications(sentBy = null) {
+  async sendCubicleSequenceSlackNotifications(sentBy = null, site = null) {
     if (!this.enabled || !this.slackWebhookUrl) {
       throw new Error('Slack notifications are disabled or webhook URL not configured');
     }
     try {
-      const usersWithReservations = await this.getUsersWithCubicleSequences();
+      const usersWithReservations = await this.getUsersWithCubicleSequences(site);
       if (usersWithReservations.length === 0) {
         logger.info('No users with reservations found for Slack notification');
         return { sentCount: 0, users: [] };
@@ -1313,6 +1324,173 @@ ${user.cubicleSequence || 'No reservations found'}` }
       throw error;
     }
   }
+
+  /**
+   * Tell a waitlisted user a cubicle is being held for them.
+   * Sent by email and, when enabled, Slack. Failures are logged, not thrown,
+   * so a broken channel never blocks the waitlist.
+   */
+  async sendWaitlistOfferNotification(entry, cubicle) {
+    const name = entry.user.displayName || entry.user.email;
+    const cubicleLabel = `${cubicle.serial} (Section ${cubicle.section})`;
+    const window = `${new Date(entry.startTime).toLocaleString()} - ${new Date(entry.endTime).toLocaleString()}`;
+    const expiresAt = new Date(entry.offer.expiresAt).toLocaleString();
+    const claimUrl = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/reservations`;
+    const data = { waitlistEntryId: String(entry._id), cubicleId: String(cubicle._id), expiresAt: entry.offer.expiresAt };
+    const sent = [];
+
+    if (this.emailTransporter && entry.user.email) {
+      try {
+        await this.emailTransporter.sendMail({
+          from: `"IBM Space Optimization" <${this.emailConfig.auth.user}>`,
+          to: entry.user.email,
+          subject: `🏢 A cubicle is available for you: ${cubicle.serial}`,
+          text: `Hello ${name}!
+
+A spot you were waiting for has opened up and is being held for you:
+- Cubicle: ${cubicleLabel}
+- When: ${window}
+
+Claim it before ${expiresAt} at ${claimUrl}, otherwise it will be offered to the next person in line.
+
+This is an automated message from IBM Space Optimization System.`,
+          html: `
+    <p>Hello ${name}!</p>
+    <p>A spot you were waiting for has opened up and is being held for you:</p>
+    <ul>
+      <li><strong>Cubicle:</strong> ${cubicleLabel}</li>
+      <li><strong>When:</strong> ${window}</li>
+    </ul>
+    <p>Claim it before <strong>${expiresAt}</strong>, otherwise it will be offered to the next person in line.</p>
+    <p><a href="${claimUrl}">Claim your cubicle</a></p>
+    <p style="font-size: 0.875rem; color: #525252;">This is an automated message from IBM Space Optimization System</p>`
+        });
+        sent.push('email');
+        await this.logNotification({
+          type: 'email',
+          status: 'success',
+          message: `Waitlist offer for ${cubicle.serial} sent to ${entry.user.email}`,
+          recipients: [entry.user.email],
+          data
+        });
+      } catch (error) {
+        logger.error(`Failed to send waitlist offer email to ${entry.user.email}:`, error.message);
+        await this.logNotification({
+          type: 'email',
+          status: 'error',
+          message: `Failed to send waitlist offer to ${entry.user.email}`,
+          recipients: [entry.user.email],
+          error: error.message,
+          data
+        });
+      }
+    }
+
+    if (this.enabled && this.slackWebhookUrl) {
+      try {
+        await axios.post(this.slackWebhookUrl, {
+          text: `🏢 Waitlist offer for ${name}: ${cubicleLabel}, ${window}. Claim before ${expiresAt}.`
+        });
+        sent.push('slack');
+        await this.logNotification({
+          type: 'slack',
+          status: 'success',
+          message: `Waitlist offer for ${cubicle.serial} posted for ${entry.user.email}`,
+          recipients: [entry.user.email],
+          data
+        });
+      } catch (error) {
+        logger.error(`Failed to post waitlist offer for ${entry.user.email} to Slack:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Tell a user their booking falls in a cubicle's out-of-service window.
+   * Sent by email and, when enabled, Slack. Failures are logged, not thrown,
+   * so a broken channel never blocks scheduling the maintenance.
+   */
+  async sendMaintenanceNotice(reservation, cubicle, ticket) {
+    const name = reservation.user.displayName || reservation.user.email;
+    const cubicleLabel = `${cubicle.serial} (Section ${cubicle.section})`;
+    const booking = `${new Date(reservation.startTime).toLocaleString()} - ${new Date(reservation.endTime).toLocaleString()}`;
+    const outOfService = ticket.outOfService.endTime
+      ? `${new Date(ticket.outOfService.startTime).toLocaleString()} - ${new Date(ticket.outOfService.endTime).toLocaleString()}`
+      : `from ${new Date(ticket.outOfService.startTime).toLocaleString()} until further notice`;
+    const reservationsUrl = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/reservations`;
+    const data = { reservationId: String(reservation._id), cubicleId: String(cubicle._id), ticketId: String(ticket._id) };
+    const sent = [];
+
+    if (this.emailTransporter && reservation.user.email) {
+      try {
+        await this.emailTransporter.sendMail({
+          from: `"IBM Space Optimization" <${this.emailConfig.auth.user}>`,
+          to: reservation.user.email,
+          subject: `🛠️ Maintenance scheduled on your cubicle ${cubicle.serial}`,
+          text: `Hello ${name}!
+
+The cubicle you booked will be out of service for maintenance (${ticket.category}):
+- Cubicle: ${cubicleLabel}
+- Your booking: ${booking}
+- Out of service: ${outOfService}
+
+Please book another cubicle at ${reservationsUrl}.
+
+This is an automated message from IBM Space Optimization System.`,
+          html: `
+    <p>Hello ${name}!</p>
+    <p>The cubicle you booked will be out of service for maintenance (${ticket.category}):</p>
+    <ul>
+      <li><strong>Cubicle:</strong> ${cubicleLabel}</li>
+      <li><strong>Your booking:</strong> ${booking}</li>
+      <li><strong>Out of service:</strong> ${outOfService}</li>
+    </ul>
+    <p><a href="${reservationsUrl}">Book another cubicle</a></p>
+    <p style="font-size: 0.875rem; color: #525252;">This is an automated message from IBM Space Optimization System</p>`
+        });
+        sent.push('email');
+        await this.logNotification({
+          type: 'email',
+          status: 'success',
+          message: `Maintenance notice for ${cubicle.serial} sent to ${reservation.user.email}`,
+          recipients: [reservation.user.email],
+          data
+        });
+      } catch (error) {
+        logger.error(`Failed to send maintenance notice to ${reservation.user.email}:`, error.message);
+        await this.logNotification({
+          type: 'email',
+          status: 'error',
+          message: `Failed to send maintenance notice to ${reservation.user.email}`,
+          recipients: [reservation.user.email],
+          error: error.message,
+          data
+        });
+      }
+    }
+
+    if (this.enabled && this.slackWebhookUrl) {
+      try {
+        await axios.post(this.slackWebhookUrl, {
+          text: `🛠️ ${cubicleLabel} is out of service ${outOfService}; the booking of ${name} (${booking}) is affected.`
+        });
+        sent.push('slack');
+        await this.logNotification({
+          type: 'slack',
+          status: 'success',
+          message: `Maintenance notice for ${cubicle.serial} posted for ${reservation.user.email}`,
+          recipients: [reservation.user.email],
+          data
+        });
+      } catch (error) {
+        logger.error(`Failed to post maintenance notice for ${reservation.user.email} to Slack:`, error.message);
+      }
+    }
+
+    return sent;
+  }
 }
 
 module.exports = NotificationService;
@@ -0,0 +1,204 @@
+const logger = require('../logger');
+const CubicleStatusEvent = require('../models/CubicleStatusEvent');
+const { getCubicleAvailability } = require('./ReservationService');
+const { getLocalHour } = require('../utils/timeUtils');
+
+/**
+ * Occupancy Service
+ * Keeps a history of cubicle status changes (available, reserved, occupied,
+ * error) and replays it to rebuild occupancy for past periods: hourly
+ * occupancy, peak hours and the cubicles that were out of service.
+ */
+
+const OCCUPANCY_STATUSES = ['available', 'reserved', 'occupied', 'error'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Serializes recordings so concurrent updates cannot record the same change twice
+let recording = Promise.resolve();
+
+/**
+ * Occupancy status of a cubicle from its computed availability: a booked
+ * cubicle is occupied once its user has checked in.
+ */
+function occupancyOf(cubicle) {
+  if (cubicle.status === 'error') return 'error';
+  if (cubicle.status !== 'reserved') return 'available';
+  return cubicle.reservation && cubicle.reservation.status === 'checked-in' ? 'occupied' : 'reserved';
+}
+
+/**
+ * Latest event of each cubicle before an instant.
+ * @param {Array} cubicleIds - Cubicle IDs
+ * @param {Date} before - Events at or after this instant are ignored
+ * @returns {Promise<Map<string, Object>>} Events by cubicle ID
+ */
+async function latestEvents(cubicleIds, before) {
+  const latest = await CubicleStatusEvent.aggregate([
+    { $match: { cubicle: { $in: cubicleIds }, at: { $lt: before } } },
+    { $sort: { at: -1 } },
+    { $group: { _id: '$cubicle', event: { $first: '$$ROOT' } } }
+  ]);
+  return new Map(latest.map(({ _id, event }) => [String(_id), event]));
+}
+
+/**
+ * Compare each cubicle's status now with its latest event and record the differences.
+ */
+async function detectStatusChanges(now) {
+  const cubicles = await getCubicleAvailability({ startTime: now, endTime: new Date(now.getTime() + 1) });
+  const latest = await latestEvents(cubicles.map(c => c._id), new Date(now.getTime() + 1));
+
+  const events = [];
+  cubicles.forEach(cubicle => {
+    const status = occupancyOf(cubicle);
+    // Cubicles held for a waitlist offer are reserved without a reservation
+    const reservation = status !== 'available' && cubicle.reservation ? cubicle.reservation._id : undefined;
+    const last = latest.get(String(cubicle._id));
+    // A back-to-back booking by someone else is a change too
+    if (last && last.status === status && String(last.reservation || '') === String(reservation || '')) return;
+    events.push({
+      cubicle: cubicle._id,
+      section: cubicle.section,
+      status,
+      previousStatus: last ? last.status : undefined,
+      reservation,
+      at: now
+    });
+  });
+  if (events.length > 0) {
+    await CubicleStatusEvent.insertMany(events);
+  }
+  return events;
+}
+
+/**
+ * Record an event for every cubicle whose status changed since its last event.
+ * Called after each change and on an interval, so statuses that change with
+ * the clock (a booking starting or ending) are caught too.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} The recorded events
+ */
+function recordStatusChanges(now = new Date()) {
+  const run = recording.then(() => detectStatusChanges(now));
+  recording = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Record status changes on an interval.
+ * @param {Object} [options] - { intervalMs, onChange }
+ * @param {Function} [options.onChange] - Called with the recorded events when any status changed
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startOccupancyJob({ intervalMs = 60 * 1000, onChange } = {}) {
+  return setInterval(async () => {
+    try {
+      const events = await recordStatusChanges();
+      if (onChange && events.length > 0) {
+        await onChange(events);
+      }
+    } catch (err) {
+      logger.error('[OCCUPANCY] Recording status changes failed:', err);
+    }
+  }, intervalMs);
+}
+
+/**
+ * Rebuild occupancy for a period by replaying the status events of a set of
+ * cubicles. Each bucket holds the average number of cubicles in each status
+ * over the bucket and the cubicles that were in error at some point of it.
+ * Time with no recorded status (before a cubicle's first event, or in the
+ * future) is left out.
+ * @param {Array} cubicleIds - Cubicle IDs
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @param {Object} [options] - { stepMs } bucket length, an hour by default
+ * @returns {Promise<Array<{ start, occupied, reserved, available, error, utilizationPercent, recorded, errorCubicles }>>}
+ */
+async function reconstructOccupancy(cubicleIds, startDate, endDate, { stepMs = HOUR_MS } = {}) {
+  const [before, events] = await Promise.all([
+    latestEvents(cubicleIds, startDate),
+    CubicleStatusEvent.find({ cubicle: { $in: cubicleIds }, at: { $gte: startDate, $lte: endDate } })
+      .sort({ at: 1 })
+      .lean()
+  ]);
+
+  const periodStart = startDate.getTime();
+  const periodEnd = Math.min(endDate.getTime() + 1, Date.now());
+  const buckets = [];
+  for (let start = periodStart; start <= endDate.getTime(); start += stepMs) {
+    buckets.push({ start, time: { available: 0, reserved: 0, occupied: 0, error: 0 }, errorCubicles: new Set() });
+  }
+
+  // Status intervals of each cubicle: its status before the period, then every change in it
+  const timelines = new Map();
+  before.forEach((event, cubicleId) => timelines.set(cubicleId, [{ status: event.status, from: periodStart }]));
+  events.forEach(event => {
+    const cubicleId = String(event.cubicle);
+    if (!timelines.has(cubicleId)) timelines.set(cubicleId, []);
+    timelines.get(cubicleId).push({ status: event.status, from: event.at.getTime() });
+  });
+
+  timelines.forEach((timeline, cubicleId) => {
+    timeline.forEach(({ status, from }, i) => {
+      const to = i + 1 < timeline.length ? timeline[i + 1].from : periodEnd;
+      for (let b = Math.floor((from - periodStart) / stepMs); b < buckets.length; b++) {
+        const bucketStart = buckets[b].start;
+        if (bucketStart >= to) break;
+        const overlap = Math.min(to, bucketStart + stepMs) - Math.max(from, bucketStart);
+        if (overlap <= 0) continue;
+        buckets[b].time[status] += overlap;
+        if (status === 'error') buckets[b].errorCubicles.add(cubicleId);
+      }
+    });
+  });
+
+  const average = ms => +(ms / stepMs).toFixed(2);
+  return buckets.map(({ start, time, errorCubicles }) => {
+    const recorded = Object.values(time).reduce((sum, ms) => sum + ms, 0);
+    return {
+      start: new Date(start),
+      available: average(time.available),
+      reserved: average(time.reserved),
+      occupied: average(time.occupied),
+      error: average(time.error),
+      utilizationPercent: cubicleIds.length > 0 ? Math.round((time.occupied / (cubicleIds.length * stepMs)) * 100) : 0,
+      recorded: recorded > 0,
+      errorCubicles
+    };
+  });
+}
+
+/**
+ * Busiest local hours of the day over a set of hourly buckets.
+ * @param {Array} hourly - Buckets from reconstructOccupancy
+ * @param {string} [timeZone] - Timezone the hours are expressed in
+ * @param {number} [count=4] - How many hours to return
+ * @returns {Array<{ hour: number, utilizationPercent: number }>} Peak hours, in hour order
+ */
+function findPeakHours(hourly, timeZone, count = 4) {
+  const byHour = new Map();
+  hourly.filter(bucket => bucket.recorded).forEach(bucket => {
+    const hour = getLocalHour(bucket.start, timeZone);
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(bucket.utilizationPercent);
+  });
+  return [...byHour.entries()]
+    .map(([hour, percents]) => ({
+      hour,
+      utilizationPercent: Math.round(percents.reduce((sum, p) => sum + p, 0) / percents.length)
+    }))
+    .filter(({ utilizationPercent }) => utilizationPercent > 0)
+    .sort((a, b) => b.utilizationPercent - a.utilizationPercent)
+    .slice(0, count)
+    .sort((a, b) => a.hour - b.hour);
+}
+
+module.exports = {
+  OCCUPANCY_STATUSES,
+  occupancyOf,
+  recordStatusChanges,
+  startOccupancyJob,
+  reconstructOccupancy,
+  findPeakHours
+};
@@ -0,0 +1,121 @@
+const BookingPolicy = require('../models/BookingPolicy');
+const { hasSitePermission } = require('./RoleService');
+
+/**
+ * Policy Service
+ * Finds the booking policies that apply to a reservation and checks a
+ * booking against their rules. Each violation names the rule it broke so
+ * clients can react to it programmatically.
+ */
+
+const POLICY_RULES = ['maxActiveReservations', 'maxHorizonDays', 'minNoticeMinutes', 'blackoutDates', 'allowedGroups'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Build the policy context for an authenticated user.
+ * Groups come from the `groups` custom claim; users holding `policies:bypass`
+ * are not bound by policies.
+ * @param {Object} user - Decoded Firebase token
+ * @returns {Promise<{ groups: Array<string>, bypass: boolean }>} Policy context
+ */
+async function buildPolicyContext(user) {
+  return {
+    groups: Array.isArray(user.groups) ? user.groups : [],
+    bypass: await hasSitePermission(user.uid, 'policies:bypass')
+  };
+}
+
+/**
+ * Get the enabled policies that apply to a cubicle and user.
+ * @param {Object} cubicle - Cubicle being booked
+ * @param {string} uid - UID of the user booking
+ * @returns {Promise<Array>} Applicable policies
+ */
+async function getApplicablePolicies(cubicle, uid) {
+  return BookingPolicy.find({
+    enabled: true,
+    $and: [
+      { $or: [{ sections: { $size: 0 } }, { sections: cubicle.section }] },
+      { $or: [{ users: { $size: 0 } }, { users: uid }] }
+    ]
+  }).lean();
+}
+
+/**
+ * Check one policy's rules against a booking.
+ * @returns {Object|null} The first violation, or null
+ */
+function checkPolicy(policy, { window, groups, activeReservations, now }) {
+  const rules = policy.rules || {};
+
+  if (rules.allowedGroups && rules.allowedGroups.length > 0 &&
+      !rules.allowedGroups.some(group => groups.includes(group))) {
+    return {
+      rule: 'allowedGroups',
+      message: 'This section is restricted to specific groups',
+      limit: rules.allowedGroups
+    };
+  }
+
+  const blackout = (rules.blackoutDates || []).find(period =>
+    new Date(period.start) < window.endTime && new Date(period.end) > window.startTime
+  );
+  if (blackout) {
+    return {
+      rule: 'blackoutDates',
+      message: `Bookings are not allowed during this period${blackout.reason ? `: ${blackout.reason}` : ''}`,
+      limit: { start: blackout.start, end: blackout.end }
+    };
+  }
+
+  if (rules.minNoticeMinutes > 0 && window.startTime - now < rules.minNoticeMinutes * MINUTE) {
+    return {
+      rule: 'minNoticeMinutes',
+      message: `Bookings must be made at least ${rules.minNoticeMinutes} minutes in advance`,
+      limit: rules.minNoticeMinutes
+    };
+  }
+
+  if (rules.maxHorizonDays !== undefined && rules.maxHorizonDays !== null &&
+      window.startTime - now > rules.maxHorizonDays * DAY) {
+    return {
+      rule: 'maxHorizonDays',
+      message: `Bookings may only be made up to ${rules.maxHorizonDays} days ahead`,
+      limit: rules.maxHorizonDays
+    };
+  }
+
+  if (rules.maxActiveReservations && activeReservations >= rules.maxActiveReservations) {
+    return {
+      rule: 'maxActiveReservations',
+      message: `You already hold the maximum of ${rules.maxActiveReservations} active reservations`,
+      limit: rules.maxActiveReservations
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find the first rule a booking violates across the applicable policies.
+ * @param {Object} params - { policies, window, groups, activeReservations, now }
+ * @returns {Object|null} Violation with `rule`, `message`, `limit` and the policy, or null
+ */
+function findViolation({ policies, window, groups = [], activeReservations = 0, now = new Date() }) {
+  for (const policy of policies) {
+    const violation = checkPolicy(policy, { window, groups, activeReservations, now });
+    if (violation) {
+      return { ...violation, policy: { _id: policy._id, name: policy.name } };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  POLICY_RULES,
+  buildPolicyContext,
+  getApplicablePolicies,
+  findViolation
+};
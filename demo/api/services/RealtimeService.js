@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const { reservationEvents, summarizeReservation } = require('./ReservationService');
+const { recordStatusChanges } = require('./OccupancyService');
+const { listSections } = require('./FloorPlanService');
+const { getCubicleCounts, getCubicleStatistics, withoutUserDetails } = require('./StatisticsService');
+const { getSiteTimezone } = require('./SiteService');
+const { getUserAccess, hasPermission, hasSitePermission } = require('./RoleService');
+const { toLocalDay } = require('../utils/timeUtils');
+
+/**
+ * Realtime Service
+ * Pushes changes to socket clients as small delta events instead of
+ * recomputed statistics. Changes are queued and sent together once none has
+ * come for a moment (and at most `maxWaitMs` after the first), so a burst
+ * such as a group booking or a sweep reaches clients as one batch.
+ *
+ * Rooms:
+ * - `stats:<site>` (`stats:all` for every site): the statistics a client
+ *   follows, chosen with the handshake `site` query or `selectSite`. Joining
+ *   sends the full `statisticsUpdate`; after that `statisticsDelta` carries
+ *   only the counts that changed.
+ * - `userStats:<site>`: the clients holding `statistics:users` at the
+ *   followed site, who also get the per-user figures, in `statisticsUpdate`
+ *   and then in `userStatistics` whenever they change. Other users never
+ *   receive them.
+ * - `site:<site>`, `site:all` and `section:<code>`: joined with `subscribe`
+ *   and left with `unsubscribe`. They get `cubicleStatusChanged` and
+ *   `reservationChanged` for the cubicles they cover, each change once per
+ *   client however many of its rooms cover it. Reservations are sent with
+ *   their cubicle, window and status only.
+ * - `userChanges:<room>`: joined in place of one of those rooms by clients
+ *   holding `statistics:users` at its site (at every site only super
+ *   admins do), who are also told who booked.
+ *
+ * Every event is broadcast to rooms, so a client that reconnects within the
+ * server's connection state recovery window gets the events it missed. Its
+ * token is checked again on reconnection and it keeps only the per-user
+ * statistics and change rooms it still has the permission for.
+ */
+
+let io = null;
+let debounceMs = 250;
+let maxWaitMs = 2000;
+// Changes waiting to be sent, when the first of them was queued, and the timer that sends them
+let queued = { statusEvents: [], reservations: [] };
+let firstQueuedAt = null;
+let timer = null;
+// Serializes sends so batches reach clients in order
+let sending = Promise.resolve();
+// Counts each statistics room last received, and per-user figures each admin room last
+// received, to send only what changed
+const lastCounts = new Map();
+const lastUserStatistics = new Map();
+
+// Socket rooms
+const statisticsRoom = site => `stats:${site || 'all'}`;
+const userStatisticsRoom = site => `userStats:${site || 'all'}`;
+const siteRoom = site => `site:${site || 'all'}`;
+const sectionRoom = section => `section:${section}`;
+const userChangesRoom = room => `userChanges:${room}`;
+
+// Per-user figures as sent to admins
+const userStatisticsOf = ({ site, users, comparisons, timestamp }) => ({ site, users, comparisons, timestamp });
+// What every subscriber is told of a reservation
+const publicReservationOf = ({ cubicle, startTime, endTime, slot, status }) => ({ cubicle, startTime, endTime, slot, status });
+
+/**
+ * Move a client to the statistics room of a site and send it that site's
+ * current statistics, with the per-user figures when it holds
+ * `statistics:users` at the site (at every site only super admins do).
+ * @param {Object} socket - Client socket, authenticated as socket.data.user
+ * @param {string} [site] - Building ID (every site when empty)
+ */
+async function followSite(socket, site) {
+  if (site && !mongoose.Types.ObjectId.isValid(site)) {
+    socket.emit('statisticsError', { error: 'Invalid site' });
+    return;
+  }
+  [...socket.rooms]
+    .filter(room => room.startsWith('stats:') || room.startsWith('userStats:'))
+    .forEach(room => socket.leave(room));
+  const [stats, isAdmin] = await Promise.all([
+    getCubicleStatistics(site),
+    hasSitePermission(socket.data.user.uid, 'statistics:users', site)
+  ]);
+  const room = statisticsRoom(site);
+  socket.join(room);
+  // The first client of a room starts it from what it was sent
+  if (!lastCounts.has(room)) lastCounts.set(room, { general: stats.general, sections: stats.sections });
+  if (isAdmin) {
+    const adminRoom = userStatisticsRoom(site);
+    socket.join(adminRoom);
+    if (!lastUserStatistics.has(adminRoom)) lastUserStatistics.set(adminRoom, userStatisticsOf(stats));
+  }
+  socket.emit('statisticsUpdate', isAdmin ? stats : withoutUserDetails(stats));
+}
+
+/**
+ * Take a resumed client out of the per-user statistics rooms of the sites at
+ * which it no longer holds `statistics:users`, and move it from their change
+ * rooms with booking users to the plain ones; its role may have changed
+ * while it was disconnected.
+ * @param {Object} socket - Client socket, authenticated as socket.data.user
+ */
+async function recheckRooms(socket) {
+  const adminRooms = [...socket.rooms].filter(room => room.startsWith('userStats:'));
+  await Promise.all(adminRooms.map(async room => {
+    const site = room.slice('userStats:'.length);
+    if (!await hasSitePermission(socket.data.user.uid, 'statistics:users', site === 'all' ? undefined : site)) {
+      socket.leave(room);
+    }
+  }));
+  const changeRooms = [...socket.rooms]
+    .filter(room => room.startsWith('userChanges:'))
+    .map(room => room.slice('userChanges:'.length));
+  const permitted = await roomsShowingUsers(socket.data.user.uid, changeRooms);
+  changeRooms.filter(room => !permitted.has(room)).forEach(room => {
+    socket.leave(userChangesRoom(room));
+    socket.join(room);
+  });
+}
+
+/**
+ * The change rooms in which a user may be told who booked: those of the
+ * sites, and of the sections of the sites, at which they hold
+ * `statistics:users`. Only super admins hold it for `site:all` and for
+ * sections that are not on the floor plan.
+ * @param {string} uid - User ID
+ * @param {Array<string>} rooms - Site and section rooms
+ * @returns {Promise<Set<string>>}
+ */
+async function roomsShowingUsers(uid, rooms) {
+  if (rooms.length === 0) return new Set();
+  const access = await getUserAccess(uid);
+  const sectionSites = rooms.some(room => room.startsWith('section:'))
+    ? new Map((await listSections()).map(({ code, site }) => [code, site ? String(site) : null]))
+    : new Map();
+  return new Set(rooms.filter(room => {
+    const site = room.startsWith('section:')
+      ? sectionSites.get(room.slice('section:'.length))
+      : room.slice('site:'.length);
+    return hasPermission(access, 'statistics:users', site === 'all' ? undefined : site);
+  }));
+}
+
+/**
+ * Rooms named by a subscription, or null when it names an invalid site or section.
+ * @param {Object} subscription - { sites, sections }, each an ID or code or a list of them; 'all' for every site
+ * @returns {Array<string>|null}
+ */
+function subscriptionRooms(subscription) {
+  const { sites = [], sections = [] } = subscription || {};
+  const list = value => (Array.isArray(value) ? value : [value]);
+  const siteIds = list(sites);
+  const sectionCodes = list(sections);
+  if (siteIds.some(site => site !== 'all' && !mongoose.Types.ObjectId.isValid(site))) return null;
+  if (sectionCodes.some(section => typeof section !== 'string' || !section.trim())) return null;
+  return [
+    ...siteIds.map(site => siteRoom(site === 'all' ? null : site)),
+    ...sectionCodes.map(section => sectionRoom(section.trim()))
+  ];
+}
+
+// Site and section rooms a client is in, with or without booking users
+const changeRoomsOf = socket => [...new Set([...socket.rooms]
+  .map(room => (room.startsWith('userChanges:') ? room.slice('userChanges:'.length) : room))
+  .filter(room => room.startsWith('site:') || room.startsWith('section:')))];
+
+/**
+ * Add a client to the change rooms of sites and sections, to the ones with
+ * booking users where it holds `statistics:users`.
+ * @param {Object} socket - Client socket, authenticated as socket.data.user
+ * @param {Object} subscription - { sites, sections }
+ * @returns {Promise<Array<string>|null>} The rooms the client is now in, or null when the subscription is invalid
+ */
+async function subscribe(socket, subscription) {
+  const rooms = subscriptionRooms(subscription);
+  if (!rooms) {
+    socket.emit('subscriptionError', { error: 'Invalid site or section' });
+    return null;
+  }
+  const permitted = await roomsShowingUsers(socket.data.user.uid, rooms);
+  rooms.forEach(room => {
+    if (permitted.has(room)) {
+      socket.leave(room);
+      socket.join(userChangesRoom(room));
+    } else {
+      socket.leave(userChangesRoom(room));
+      socket.join(room);
+    }
+  });
+  return changeRoomsOf(socket);
+}
+
+/**
+ * Remove a client from the change rooms of sites and sections.
+ * @param {Object} socket - Client socket
+ * @param {Object} subscription - { sites, sections }
+ * @returns {Array<string>|null} The rooms the client is still in, or null when the subscription is invalid
+ */
+function unsubscribe(socket, subscription) {
+  const rooms = subscriptionRooms(subscription);
+  if (!rooms) {
+    socket.emit('subscriptionError', { error: 'Invalid site or section' });
+    return null;
+  }
+  rooms.forEach(room => {
+    socket.leave(room);
+    socket.leave(userChangesRoom(room));
+  });
+  return changeRoomsOf(socket);
+}
+
+/**
+ * Queue changes to send to clients. Cubicle statuses are checked again when
+ * the batch is sent, so callers need not pass what changed.
+ * @param {Object} [changes] - { statusEvents (already recorded), reservations ({ type, reservation }) }
+ */
+function queueUpdate({ statusEvents = [], reservations = [] } = {}) {
+  if (!io) return;
+  queued.statusEvents.push(...statusEvents);
+  queued.reservations.push(...reservations);
+  const now = Date.now();
+  if (firstQueuedAt === null) firstQueuedAt = now;
+  clearTimeout(timer);
+  timer = setTimeout(flush, Math.max(0, Math.min(debounceMs, firstQueuedAt + maxWaitMs - now)));
+}
+
+/**
+ * Send the queued changes after the batch being sent, if any.
+ * @returns {Promise<void>}
+ */
+function flush() {
+  const changes = queued;
+  queued = { statusEvents: [], reservations: [] };
+  firstQueuedAt = null;
+  timer = null;
+  sending = sending
+    .then(() => sendChanges(changes))
+    .catch(err => logger.error('[REALTIME] Sending changes failed:', err));
+  return sending;
+}
+
+/**
+ * Send a batch of changes: the status and reservation deltas to the clients
+ * subscribed to them, then the changed counts to each statistics room.
+ */
+async function sendChanges({ statusEvents, reservations }) {
+  const recorded = await recordStatusChanges();
+  const events = [...statusEvents, ...recorded];
+
+  // Reservations name their cubicle only; sections name their site
+  const [sections, cubicles] = await Promise.all([
+    listSections(),
+    reservations.length > 0
+      ? Cubicle.find({ _id: { $in: reservations.map(({ reservation }) => reservation.cubicle) } }, 'section').lean()
+      : []
+  ]);
+  const sectionSites = new Map(sections.map(({ code, site }) => [code, site ? String(site) : null]));
+  const cubicleSections = new Map(cubicles.map(cubicle => [String(cubicle._id), cubicle.section]));
+  const locate = section => ({ section: section || null, site: sectionSites.get(section) || null });
+  // Booking days are told in the timezone of the cubicle's site
+  const reservationSites = new Set(reservations.map(({ reservation }) =>
+    locate(cubicleSections.get(String(reservation.cubicle))).site
+  ));
+  const timeZones = new Map();
+  for (const site of reservationSites) {
+    timeZones.set(site, await getSiteTimezone(site));
+  }
+
+  broadcastChanges('cubicleStatusChanged', events.map(event => ({
+    cubicle: String(event.cubicle),
+    ...locate(event.section),
+    status: event.status,
+    previousStatus: event.previousStatus || null,
+    at: event.at
+  })));
+  broadcastChanges('reservationChanged', reservations.map(({ type, reservation }) => {
+    const location = locate(cubicleSections.get(String(reservation.cubicle)));
+    return {
+      type,
+      cubicle: String(reservation.cubicle),
+      ...location,
+      day: toLocalDay(reservation.startTime, timeZones.get(location.site)),
+      reservation: summarizeReservation(reservation)
+    };
+  }), change => ({ ...change, reservation: publicReservationOf(change.reservation) }));
+
+  await sendStatisticsDeltas();
+  logger.info('[REALTIME] Changes sent', { statusChanges: events.length, reservationChanges: reservations.length });
+}
+
+/**
+ * Broadcast changes to the site and section rooms covering them, one event
+ * per section. The changes of a section go to the union of its rooms, so a
+ * client in several of them gets each change once. With `redact`, clients
+ * in none of the rooms with booking users get the redacted changes instead.
+ * @param {string} event - Event name
+ * @param {Array<Object>} changes - Changes, each with its `section` and `site`
+ * @param {Function} [redact] - Maps a change to what every subscriber may see of it
+ */
+function broadcastChanges(event, changes, redact) {
+  const bySection = new Map();
+  changes.forEach(change => {
+    if (!bySection.has(change.section)) bySection.set(change.section, []);
+    bySection.get(change.section).push(change);
+  });
+  bySection.forEach((sectionChanges, section) => {
+    const { site } = sectionChanges[0];
+    const rooms = [siteRoom(null)];
+    if (site) rooms.push(siteRoom(site));
+    if (section) rooms.push(sectionRoom(section));
+    const userRooms = rooms.map(userChangesRoom);
+    if (redact) {
+      io.to(rooms).except(userRooms).emit(event, { changes: sectionChanges.map(redact) });
+      io.to(userRooms).emit(event, { changes: sectionChanges });
+    } else {
+      io.to([...rooms, ...userRooms]).emit(event, { changes: sectionChanges });
+    }
+  });
+}
+
+/**
+ * The counts that changed between two sets of counts, or null when none did.
+ * @param {Object} previous - { general, sections } last sent
+ * @param {Object} counts - { site, general, sections, timestamp } now
+ * @returns {Object|null} { site, general (when changed), sections (changed ones), removedSections (codes), timestamp }
+ */
+function countsDelta(previous, counts) {
+  const before = new Map(previous.sections.map(section => [section.section, JSON.stringify(section)]));
+  const sections = counts.sections.filter(section => before.get(section.section) !== JSON.stringify(section));
+  const current = new Set(counts.sections.map(section => section.section));
+  const removedSections = [...before.keys()].filter(section => !current.has(section));
+  const generalChanged = JSON.stringify(previous.general) !== JSON.stringify(counts.general);
+  if (!generalChanged && sections.length === 0 && removedSections.length === 0) return null;
+
+  const delta = { site: counts.site, sections, removedSections, timestamp: counts.timestamp };
+  if (generalChanged) delta.general = counts.general;
+  return delta;
+}
+
+/**
+ * Send each statistics room the counts that changed since it last heard, and
+ * each admin room the per-user figures when they changed.
+ */
+async function sendStatisticsDeltas() {
+  const rooms = [...io.of('/').adapter.rooms.keys()];
+  for (const room of rooms.filter(name => name.startsWith('stats:'))) {
+    const site = room.slice('stats:'.length);
+    const counts = await getCubicleCounts(site === 'all' ? undefined : site);
+    const delta = countsDelta(lastCounts.get(room) || { general: null, sections: [] }, counts);
+    lastCounts.set(room, { general: counts.general, sections: counts.sections });
+    if (delta) io.to(room).emit('statisticsDelta', delta);
+  }
+  for (const room of rooms.filter(name => name.startsWith('userStats:'))) {
+    const site = room.slice('userStats:'.length);
+    const userStatistics = userStatisticsOf(await getCubicleStatistics(site === 'all' ? undefined : site));
+    const previous = lastUserStatistics.get(room);
+    lastUserStatistics.set(room, userStatistics);
+    const unchanged = previous &&
+      JSON.stringify([previous.users, previous.comparisons]) === JSON.stringify([userStatistics.users, userStatistics.comparisons]);
+    if (!unchanged) io.to(room).emit('userStatistics', userStatistics);
+  }
+}
+
+// Reservation event listeners
+const onCreated = created => {
+  queueUpdate({ reservations: created.map(reservation => ({ type: 'created', reservation })) });
+};
+const onReleased = released => {
+  queueUpdate({ reservations: released.map(reservation => ({ type: 'released', reservation })) });
+};
+
+/**
+ * Start sending changes to the clients of a socket server: reservations
+ * created, cancelled or released, and whatever is passed to queueUpdate.
+ * @param {Object} server - Socket.io server
+ * @param {Object} [options] - { debounceMs, maxWaitMs }
+ */
+function startRealtime(server, options = {}) {
+  io = server;
+  if (options.debounceMs !== undefined) debounceMs = options.debounceMs;
+  if (options.maxWaitMs !== undefined) maxWaitMs = options.maxWaitMs;
+  io.of('/').adapter.on('delete-room', room => {
+    lastCounts.delete(room);
+    lastUserStatistics.delete(room);
+  });
+  reservationEvents.on('created', onCreated);
+  reservationEvents.on('released', onReleased);
+}
+
+/**
+ * Stop sending changes: drop the queued ones and stop listening to
+ * reservation events, once the batch being sent is done.
+ * @returns {Promise<void>}
+ */
+async function stopRealtime() {
+  clearTimeout(timer);
+  timer = null;
+  queued = { statusEvents: [], reservations: [] };
+  firstQueuedAt = null;
+  reservationEvents.off('created', onCreated);
+  reservationEvents.off('released', onReleased);
+  await sending;
+  io = null;
+}
+
+module.exports = {
+  followSite,
+  recheckRooms,
+  subscribe,
+  unsubscribe,
+  queueUpdate,
+  flush,
+  startRealtime,
+  stopRealtime
+};
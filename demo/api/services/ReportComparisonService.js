@@ -0,0 +1,164 @@
+const UtilizationReport = require('../models/UtilizationReport');
+const { getPeriodBounds } = require('./ReportService');
+const { getSiteTimezone } = require('./SiteService');
+const { toLocalDay } = require('../utils/timeUtils');
+
+/**
+ * Report Comparison Service
+ * Lines up two or more stored reports side by side: summary metrics,
+ * per-section utilization and per-user activity, each with its change from
+ * the first (baseline) report. Reports are picked by ID, or by period type
+ * and a date within each period.
+ */
+
+const MIN_COMPARED_REPORTS = 2;
+const MAX_COMPARED_REPORTS = 6;
+
+// `better` tells which direction of change is an improvement (null when neither is)
+const SUMMARY_METRICS = [
+  { key: 'avgUtilization', label: 'Average Utilization %', better: 'higher' },
+  { key: 'peakUtilization', label: 'Peak Utilization %', better: 'higher' },
+  { key: 'lowestUtilization', label: 'Lowest Utilization %', better: 'higher' },
+  { key: 'totalCubicles', label: 'Total Cubicles', better: null },
+  { key: 'totalReservations', label: 'Total Reservations', better: 'higher' },
+  { key: 'uniqueUsers', label: 'Unique Users', better: 'higher' },
+  { key: 'checkIns', label: 'Check-ins', better: 'higher' },
+  { key: 'noShows', label: 'No-shows', better: 'lower' },
+  { key: 'noShowRate', label: 'No-show Rate %', better: 'lower' },
+  { key: 'cancellations', label: 'Cancellations', better: 'lower' },
+  { key: 'errorIncidents', label: 'Error Incidents', better: 'lower' }
+];
+const SECTION_METRICS = [
+  { key: 'avgUtilization', label: 'Average Utilization %', better: 'higher' },
+  { key: 'peakUtilization', label: 'Peak Utilization %', better: 'higher' },
+  { key: 'totalReservations', label: 'Total Reservations', better: 'higher' },
+  { key: 'errorIncidents', label: 'Error Incidents', better: 'lower' }
+];
+const USER_METRICS = [
+  { key: 'totalReservations', label: 'Total Reservations', better: null },
+  { key: 'checkIns', label: 'Check-ins', better: 'higher' },
+  { key: 'noShows', label: 'No-shows', better: 'lower' },
+  { key: 'daysActive', label: 'Days Active', better: null }
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+const hasValue = value => value !== null && value !== undefined;
+
+/**
+ * Values of a metric across reports and their changes from the first.
+ * @param {Object} metric - { key, label, better }
+ * @param {Array<Object|null>} rows - The row of each report (null where it has none)
+ * @param {number} [missing] - Value of a missing row (null leaves it out)
+ */
+function metricRow(metric, rows, missing = null) {
+  const values = rows.map(row => row && hasValue(row[metric.key]) ? row[metric.key] : missing);
+  const baseline = values[0];
+  return {
+    ...metric,
+    values,
+    deltas: values.map((value, i) => i === 0 || !hasValue(value) || !hasValue(baseline) ? null : round1(value - baseline))
+  };
+}
+
+/**
+ * Group the rows of each report by a key, in order of first appearance.
+ * @returns {Array<{ key: string, rows: Array<Object|null> }>}
+ */
+function alignRows(reports, listOf, keyOf) {
+  const groups = new Map();
+  reports.forEach((report, i) => {
+    listOf(report).forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, Array(reports.length).fill(null));
+      groups.get(key)[i] = row;
+    });
+  });
+  return [...groups.entries()].map(([key, rows]) => ({ key, rows }));
+}
+
+/**
+ * Label of a report's period in its site's timezone.
+ */
+async function periodLabel(report) {
+  const timeZone = await getSiteTimezone(report.site);
+  const first = toLocalDay(report.weekStartDate, timeZone);
+  const last = toLocalDay(report.weekEndDate, timeZone);
+  return first === last ? first : `${first} to ${last}`;
+}
+
+/**
+ * Compare stored reports, the first being the baseline.
+ * @param {Array<Object>} reports - Utilization reports, in display order
+ * @returns {Promise<Object>} { reports, summary, sections, users }
+ */
+async function compareReports(reports) {
+  const sections = alignRows(reports, report => report.sections, section => section.section)
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(({ key, rows }) => ({
+      section: key,
+      metrics: SECTION_METRICS.map(metric => metricRow(metric, rows))
+    }));
+
+  // A user missing from a report had no activity in its period
+  const users = alignRows(reports, report => report.users, user => user.email)
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(({ key, rows }) => ({
+      email: key,
+      displayName: (rows.find(row => row && row.displayName) || {}).displayName || '',
+      metrics: USER_METRICS.map(metric => metricRow(metric, rows, 0))
+    }));
+
+  return {
+    reports: await Promise.all(reports.map(async report => ({
+      _id: report._id,
+      period: report.period,
+      site: report.site,
+      weekStartDate: report.weekStartDate,
+      weekEndDate: report.weekEndDate,
+      generatedAt: report.generatedAt,
+      label: await periodLabel(report)
+    }))),
+    summary: SUMMARY_METRICS.map(metric => metricRow(metric, reports.map(report => report.summary))),
+    sections,
+    users
+  };
+}
+
+/**
+ * Find the reports a comparison names: by ID, or the latest report of the
+ * period of a type containing each date.
+ * @param {Object} params - { ids } or { period, dates, site }
+ * @param {Array<string>} [params.dates] - Days (YYYY-MM-DD) within each period, in the site's timezone
+ * @returns {Promise<{ reports: Array, missing: Array<string> }>} Reports in the order named, and the IDs or dates without one
+ */
+async function findComparedReports({ ids, period, dates, site }) {
+  if (ids) {
+    const found = await UtilizationReport.find({ _id: { $in: ids } }).lean();
+    const byId = new Map(found.map(report => [String(report._id), report]));
+    return {
+      reports: ids.map(id => byId.get(id)).filter(Boolean),
+      missing: ids.filter(id => !byId.has(id))
+    };
+  }
+
+  const timeZone = await getSiteTimezone(site);
+  const reports = [];
+  const missing = [];
+  for (const date of dates) {
+    // Midday keeps the date on the same local day in any timezone
+    const { startDate } = getPeriodBounds(period, new Date(`${date}T12:00:00Z`), timeZone);
+    const report = await UtilizationReport.findOne({ period, site: site || null, weekStartDate: startDate })
+      .sort({ generatedAt: -1 })
+      .lean();
+    if (report) reports.push(report);
+    else missing.push(date);
+  }
+  return { reports, missing };
+}
+
+module.exports = {
+  MIN_COMPARED_REPORTS,
+  MAX_COMPARED_REPORTS,
+  compareReports,
+  findComparedReports
+};
@@ -0,0 +1,528 @@
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const { getSiteTimezone } = require('./SiteService');
+const { toLocalDay, getLocalHour, DEFAULT_TIMEZONE } = require('../utils/timeUtils');
+
+/**
+ * Report Export Service
+ * Renders a utilization report as XLSX, CSV, JSON or PDF, entirely in
+ * process. The tabular formats share the same sheets (summary, sections,
+ * users, trends, forecast); CSV holds one sheet at a time. The PDF lays out
+ * the summary, charts, and the section and user tables for printing.
+ * Comparisons of several reports export as one combined workbook, and the
+ * runs of custom report definitions as their results table.
+ */
+
+const EXPORT_FORMATS = ['xlsx', 'pdf', 'csv', 'json'];
+const EXPORT_SHEETS = ['summary', 'sections', 'users', 'trends', 'forecast', 'sectionForecast'];
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const hasValue = value => value !== null && value !== undefined;
+
+/**
+ * Build the sheets of a report. Each sheet has columns ({ key, header }) and
+ * rows of values in column order; keys name the fields in JSON exports.
+ * @param {Object} report - Utilization report
+ * @param {string} [timeZone] - Timezone dates are written in
+ * @returns {Array<{ key: string, name: string, columns: Array, rows: Array }>}
+ */
+function buildSheets(report, timeZone = DEFAULT_TIMEZONE) {
+  const formatDay = date => toLocalDay(date, timeZone);
+  const { summary, advanced = {} } = report;
+  const trendAnalysis = advanced.trendAnalysis || {};
+  const forecast = advanced.forecast;
+  const metricColumns = [{ key: 'metric', header: 'Metric' }, { key: 'value', header: 'Value' }];
+
+  return [
+    {
+      key: 'summary',
+      name: 'Summary',
+      columns: metricColumns,
+      rows: [
+        ['Period', report.period || 'day'],
+        ['Period Start Date', formatDay(report.weekStartDate)],
+        ['Period End Date', formatDay(report.weekEndDate)],
+        ['Generated At', new Date(report.generatedAt).toISOString()],
+        ['Total Cubicles', summary.totalCubicles],
+        ['Average Utilization %', summary.avgUtilization],
+        ['Peak Utilization %', summary.peakUtilization],
+        ['Lowest Utilization %', summary.lowestUtilization],
+        ['Total Reservations', summary.totalReservations],
+        ['Unique Users', summary.uniqueUsers],
+        ['Error Incidents', summary.errorIncidents],
+        ['Check-ins', summary.checkIns],
+        ['No-shows', summary.noShows],
+        ['Cancellations', summary.cancellations],
+        ['No-show Rate %', summary.noShowRate]
+      ]
+    },
+    {
+      key: 'sections',
+      name: 'Section Analysis',
+      columns: [
+        { key: 'section', header: 'Section' },
+        { key: 'totalCubicles', header: 'Total Cubicles' },
+        { key: 'avgUtilization', header: 'Avg Utilization %' },
+        { key: 'peakUtilization', header: 'Peak Utilization %' },
+        { key: 'totalReservations', header: 'Total Reservations' },
+        { key: 'errorIncidents', header: 'Error Incidents' }
+      ],
+      rows: report.sections.map(s => [s.section, s.totalCubicles, s.avgUtilization, s.peakUtilization, s.totalReservations, s.errorIncidents])
+    },
+    {
+      key: 'users',
+      name: 'Users',
+      columns: [
+        { key: 'email', header: 'Email' },
+        { key: 'displayName', header: 'Display Name' },
+        { key: 'totalReservations', header: 'Total Reservations' },
+        { key: 'checkIns', header: 'Check-ins' },
+        { key: 'noShows', header: 'No-shows' },
+        { key: 'daysActive', header: 'Days Active' },
+        { key: 'favoriteSection', header: 'Favorite Section' },
+        { key: 'avgDailyReservations', header: 'Avg Daily Reservations' },
+        { key: 'cubicleSequence', header: 'Cubicle Sequence' }
+      ],
+      rows: report.users.map(u => [
+        u.email,
+        u.displayName || '',
+        u.totalReservations,
+        u.checkIns,
+        u.noShows,
+        u.daysActive,
+        u.favoriteSection || '',
+        u.avgDailyReservations,
+        u.cubicleSequence || ''
+      ])
+    },
+    {
+      key: 'trends',
+      name: 'Advanced Analytics',
+      columns: metricColumns,
+      rows: [
+        ['Previous Period Change (pts)', hasValue(trendAnalysis.previousPeriodChange) ? trendAnalysis.previousPeriodChange : null],
+        ['Week-over-Week Change (pts)', hasValue(trendAnalysis.weekOverWeekChange) ? trendAnalysis.weekOverWeekChange : null],
+        ['Utilization Trend', trendAnalysis.utilizationTrend || 'stable'],
+        ['Predicted Next Week %', hasValue(trendAnalysis.predictedNextWeek) ? trendAnalysis.predictedNextWeek : null]
+      ]
+    },
+    {
+      key: 'forecast',
+      name: 'Forecast',
+      columns: [
+        { key: 'date', header: 'Date' },
+        { key: 'dayOfWeek', header: 'Day' },
+        { key: 'predicted', header: 'Predicted %' },
+        { key: 'lower', header: 'Lower %' },
+        { key: 'upper', header: 'Upper %' }
+      ],
+      rows: forecast ? forecast.weekdays.map(d => [formatDay(d.date), d.dayOfWeek, d.predicted, d.lower, d.upper]) : []
+    },
+    {
+      key: 'sectionForecast',
+      name: 'Section Forecast',
+      columns: [
+        { key: 'section', header: 'Section' },
+        { key: 'predicted', header: 'Predicted %' },
+        { key: 'lower', header: 'Lower %' },
+        { key: 'upper', header: 'Upper %' }
+      ],
+      rows: forecast ? forecast.sections.map(s => [s.section, s.predicted, s.lower, s.upper]) : []
+    }
+  ];
+}
+
+function toXlsx(sheets) {
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(sheet => {
+    const data = [sheet.columns.map(c => c.header), ...sheet.rows];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), sheet.name);
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Quote a CSV field when needed. Text starting like a formula is prefixed
+ * with an apostrophe so spreadsheets do not evaluate it.
+ */
+function csvField(value) {
+  if (!hasValue(value)) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(sheet) {
+  return [sheet.columns.map(c => c.header), ...sheet.rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function sheetRecords(sheet) {
+  return sheet.rows.map(row => Object.fromEntries(sheet.columns.map((c, i) => [c.key, row[i]])));
+}
+
+// PDF layout (A4 in points)
+const PAGE_MARGIN = 50;
+const PRIMARY = '#0f62fe';
+const MUTED = '#6f6f6f';
+const GRID = '#e0e0e0';
+
+function pageBottom(doc) {
+  return doc.page.height - PAGE_MARGIN;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#161616').text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Draw a table, repeating its header on each new page.
+ * @param {Array<{ header: string, width: number, align?: string }>} columns
+ */
+function table(doc, columns, rows) {
+  const rowHeight = 16;
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    if (shade) doc.rect(PAGE_MARGIN, y - 3, doc.page.width - PAGE_MARGIN * 2, rowHeight).fill('#f4f4f4');
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('#161616');
+    cells.forEach((cell, i) => {
+      doc.text(hasValue(cell) ? String(cell) : '', x + 2, y, {
+        width: columns[i].width - 4,
+        height: rowHeight - 6,
+        align: columns[i].align || 'left',
+        ellipsis: true
+      });
+      x += columns[i].width;
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.header), { bold: true, shade: true });
+  rows.forEach(row => {
+    if (doc.y + rowHeight > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(columns.map(c => c.header), { bold: true, shade: true });
+    }
+    drawRow(row);
+  });
+}
+
+/**
+ * Draw a vertical bar chart of percentages (0-100).
+ */
+function barChart(doc, labels, values, { height = 140 } = {}) {
+  ensureSpace(doc, height + 30);
+  const left = PAGE_MARGIN + 30;
+  const width = doc.page.width - PAGE_MARGIN - left;
+  const top = doc.y + 5;
+  const bottom = top + height;
+
+  doc.font('Helvetica').fontSize(7);
+  [0, 25, 50, 75, 100].forEach(tick => {
+    const y = bottom - (tick / 100) * height;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(GRID).stroke();
+    doc.fillColor(MUTED).text(`${tick}%`, PAGE_MARGIN, y - 3, { width: 26, align: 'right', lineBreak: false });
+  });
+
+  const slot = width / Math.max(values.length, 1);
+  const barWidth = Math.max(Math.min(slot * 0.7, 40), 1);
+  // Label every bar when they fit, otherwise every few
+  const labelEvery = Math.ceil(values.length / Math.max(Math.floor(width / 30), 1));
+  values.forEach((value, i) => {
+    const barHeight = (Math.min(Math.max(value || 0, 0), 100) / 100) * height;
+    const x = left + i * slot + (slot - barWidth) / 2;
+    if (barHeight > 0) doc.rect(x, bottom - barHeight, barWidth, barHeight).fill(PRIMARY);
+    if (i % labelEvery === 0) {
+      doc.fillColor(MUTED).text(labels[i], left + i * slot - 10, bottom + 4, { width: slot + 20, align: 'center', lineBreak: false });
+    }
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 20;
+}
+
+/**
+ * Draw the forecast as a line with its confidence band.
+ */
+function forecastChart(doc, weekdays, { height = 140 } = {}) {
+  ensureSpace(doc, height + 30);
+  const left = PAGE_MARGIN + 30;
+  const width = doc.page.width - PAGE_MARGIN - left;
+  const top = doc.y + 5;
+  const bottom = top + height;
+  const step = weekdays.length > 1 ? width / (weekdays.length - 1) : 0;
+  const point = (i, value) => [left + i * step, bottom - (value / 100) * height];
+
+  doc.font('Helvetica').fontSize(7);
+  [0, 25, 50, 75, 100].forEach(tick => {
+    const y = bottom - (tick / 100) * height;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(GRID).stroke();
+    doc.fillColor(MUTED).text(`${tick}%`, PAGE_MARGIN, y - 3, { width: 26, align: 'right', lineBreak: false });
+  });
+
+  const band = [
+    ...weekdays.map((d, i) => point(i, d.upper)),
+    ...weekdays.map((d, i) => point(i, d.lower)).reverse()
+  ];
+  doc.polygon(...band).fillOpacity(0.2).fill(PRIMARY).fillOpacity(1);
+
+  weekdays.forEach((d, i) => {
+    const [x, y] = point(i, d.predicted);
+    if (i === 0) doc.moveTo(x, y);
+    else doc.lineTo(x, y);
+  });
+  doc.lineWidth(1.5).strokeColor(PRIMARY).stroke();
+
+  weekdays.forEach((d, i) => {
+    doc.fillColor(MUTED).text(d.dayOfWeek.slice(0, 3), left + i * step - 20, bottom + 4, { width: 40, align: 'center', lineBreak: false });
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 20;
+}
+
+/**
+ * Render the printable PDF of a report.
+ * @param {Object} report - Utilization report
+ * @param {string} [timeZone] - Timezone dates and hours are written in
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(report, timeZone = DEFAULT_TIMEZONE) {
+  const formatDay = date => toLocalDay(date, timeZone);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: 'Utilization Report' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { summary, advanced = {} } = report;
+    const period = report.period || 'day';
+    const range = period === 'day'
+      ? formatDay(report.weekStartDate)
+      : `${formatDay(report.weekStartDate)} to ${formatDay(report.weekEndDate)}`;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#161616').text('Utilization Report');
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+      .text(`${period.charAt(0).toUpperCase() + period.slice(1)} report: ${range}`)
+      .text(`Generated ${new Date(report.generatedAt).toLocaleString('en-US', { timeZone })}`);
+
+    heading(doc, 'Summary');
+    const half = (doc.page.width - PAGE_MARGIN * 2) / 2;
+    table(doc, [
+      { header: 'Metric', width: half * 0.6 },
+      { header: 'Value', width: half * 0.4, align: 'right' },
+      { header: 'Metric', width: half * 0.6 },
+      { header: 'Value', width: half * 0.4, align: 'right' }
+    ], [
+      ['Average utilization', `${summary.avgUtilization}%`, 'Total reservations', summary.totalReservations],
+      ['Peak utilization', `${summary.peakUtilization}%`, 'Unique users', summary.uniqueUsers],
+      ['Lowest utilization', `${summary.lowestUtilization}%`, 'Check-ins', summary.checkIns],
+      ['Total cubicles', summary.totalCubicles, 'No-shows', `${summary.noShows} (${summary.noShowRate}%)`],
+      ['Error incidents', summary.errorIncidents, 'Cancellations', summary.cancellations]
+    ]);
+
+    // A day report charts its hours; longer periods chart their days
+    const recordedHours = (report.hourly || []).filter(hour => hour.recorded);
+    if (report.daily.length > 1) {
+      heading(doc, 'Daily Utilization');
+      barChart(doc, report.daily.map(day => formatDay(day.date).slice(5)), report.daily.map(day => day.utilizationPercent));
+    } else if (recordedHours.length > 0) {
+      heading(doc, 'Hourly Occupancy');
+      barChart(doc, recordedHours.map(hour => String(getLocalHour(hour.start, timeZone)).padStart(2, '0')), recordedHours.map(hour => hour.utilizationPercent));
+    }
+
+    if (report.sections.length > 0) {
+      heading(doc, 'Section Utilization');
+      barChart(doc, report.sections.map(s => s.section), report.sections.map(s => s.avgUtilization), { height: 110 });
+      const width = (doc.page.width - PAGE_MARGIN * 2) / 6;
+      table(doc, [
+        { header: 'Section', width },
+        { header: 'Cubicles', width, align: 'right' },
+        { header: 'Avg %', width, align: 'right' },
+        { header: 'Peak %', width, align: 'right' },
+        { header: 'Reservations', width, align: 'right' },
+        { header: 'Errors', width, align: 'right' }
+      ], report.sections.map(s => [s.section, s.totalCubicles, s.avgUtilization, s.peakUtilization, s.totalReservations, s.errorIncidents]));
+    }
+
+    const trendAnalysis = advanced.trendAnalysis || {};
+    const change = value => hasValue(value) ? `${value > 0 ? '+' : ''}${value} pts` : 'no earlier report';
+    heading(doc, 'Trends and Forecast');
+    doc.font('Helvetica').fontSize(9).fillColor('#161616')
+      .text(`Previous period: ${change(trendAnalysis.previousPeriodChange)}. Week over week: ${change(trendAnalysis.weekOverWeekChange)}. Trend: ${trendAnalysis.utilizationTrend || 'stable'}.`);
+    const forecast = advanced.forecast;
+    if (forecast && forecast.weekdays.length > 0) {
+      doc.fillColor(MUTED).text(`Next ${forecast.weekdays.length} days, ${forecast.confidence}% confidence band, from ${forecast.historyDays} days of history.`);
+      forecastChart(doc, forecast.weekdays);
+    }
+
+    if (report.users.length > 0) {
+      heading(doc, 'Users');
+      table(doc, [
+        { header: 'Email', width: 165 },
+        { header: 'Reservations', width: 60, align: 'right' },
+        { header: 'Check-ins', width: 50, align: 'right' },
+        { header: 'No-shows', width: 50, align: 'right' },
+        { header: 'Days', width: 35, align: 'right' },
+        { header: 'Section', width: 40 },
+        { header: 'Cubicles', width: 95 }
+      ], report.users.map(u => [u.email, u.totalReservations, u.checkIns, u.noShows, u.daysActive, u.favoriteSection, u.cubicleSequence]));
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Export a report in a format.
+ * @param {Object} report - Utilization report
+ * @param {Object} options - { format, sheet }; CSV needs a sheet, JSON exports every sheet without one
+ * @returns {Promise<{ body: Buffer|string, contentType: string, filename: string }>}
+ */
+async function exportReport(report, { format = 'xlsx', sheet } = {}) {
+  const timeZone = await getSiteTimezone(report.site);
+  const sheets = buildSheets(report, timeZone);
+  const selected = sheets.find(s => s.key === sheet);
+  let body;
+  if (format === 'pdf') {
+    body = await toPdf(report, timeZone);
+  } else if (format === 'csv') {
+    if (!selected) throw new Error(`CSV exports one sheet: pass sheet as one of ${EXPORT_SHEETS.join(', ')}`);
+    body = toCsv(selected);
+  } else if (format === 'json') {
+    body = JSON.stringify(selected
+      ? sheetRecords(selected)
+      : Object.fromEntries(sheets.map(s => [s.key, sheetRecords(s)])), null, 2);
+  } else {
+    body = toXlsx(sheets);
+  }
+  // Single-sheet exports name their sheet
+  const sheetKey = (format === 'csv' || format === 'json') && selected ? selected.key : null;
+  const name = ['utilization-report', toLocalDay(report.weekStartDate, timeZone), sheetKey].filter(Boolean).join('-');
+  return { body, contentType: CONTENT_TYPES[format], filename: `${name}.${format}` };
+}
+
+/**
+ * Export a comparison of reports as one workbook: summary, section and user
+ * sheets with a column per report, then the change of each from the first.
+ * @param {Object} comparison - From ReportComparisonService.compareReports
+ * @returns {{ body: Buffer, contentType: string, filename: string }}
+ */
+function exportComparison(comparison) {
+  const labels = comparison.reports.map(report => report.label);
+  const valueHeaders = [
+    ...labels,
+    ...labels.slice(1).map(label => `Change ${label} vs ${labels[0]}`)
+  ];
+  const cells = metric => [...metric.values, ...metric.deltas.slice(1)];
+  const sheet = (key, name, leading, rows) => ({
+    key,
+    name,
+    columns: [...leading, ...valueHeaders].map(header => ({ header })),
+    rows
+  });
+
+  const body = toXlsx([
+    sheet('summary', 'Summary', ['Metric'], comparison.summary.map(metric => [metric.label, ...cells(metric)])),
+    sheet('sections', 'Sections', ['Section', 'Metric'], comparison.sections.flatMap(section =>
+      section.metrics.map(metric => [section.section, metric.label, ...cells(metric)]))),
+    sheet('users', 'Users', ['Email', 'Display Name', 'Metric'], comparison.users.flatMap(user =>
+      user.metrics.map(metric => [user.email, user.displayName, metric.label, ...cells(metric)])))
+  ]);
+  const days = comparison.reports.map(report => report.label.split(' ')[0]);
+  return {
+    body,
+    contentType: CONTENT_TYPES.xlsx,
+    filename: `utilization-comparison-${days[0]}-vs-${days[days.length - 1]}.xlsx`
+  };
+}
+
+/**
+ * Lay out the results table of a custom report run for printing.
+ * @returns {Promise<Buffer>}
+ */
+function customReportPdf(run, range, timeZone) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: run.name } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#161616').text(run.name);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+      .text(`Custom report: ${range}`)
+      .text(`Generated ${new Date(run.generatedAt).toLocaleString('en-US', { timeZone })}`);
+
+    heading(doc, 'Results');
+    const width = (doc.page.width - PAGE_MARGIN * 2) / run.columns.length;
+    table(doc, run.columns.map(c => ({
+      header: c.header,
+      width,
+      // Metric columns hold numbers; dimension columns come first and hold text
+      align: run.rows.some(row => typeof row[run.columns.indexOf(c)] === 'number') ? 'right' : 'left'
+    })), run.rows);
+
+    doc.end();
+  });
+}
+
+/**
+ * Export the results of a custom report run in a format. XLSX adds a sheet
+ * describing the run; the other formats hold the results alone.
+ * @param {Object} run - Custom report run
+ * @param {Object} options - { format }
+ * @returns {Promise<{ body: Buffer|string, contentType: string, filename: string }>}
+ */
+async function exportCustomReport(run, { format = 'xlsx' } = {}) {
+  const timeZone = await getSiteTimezone(run.site);
+  const first = toLocalDay(run.startDate, timeZone);
+  const last = toLocalDay(run.endDate, timeZone);
+  const range = first === last ? first : `${first} to ${last}`;
+  const results = { key: 'results', name: 'Results', columns: run.columns, rows: run.rows };
+  let body;
+  if (format === 'pdf') {
+    body = await customReportPdf(run, range, timeZone);
+  } else if (format === 'csv') {
+    body = toCsv(results);
+  } else if (format === 'json') {
+    body = JSON.stringify(sheetRecords(results), null, 2);
+  } else {
+    body = toXlsx([results, {
+      key: 'details',
+      name: 'Details',
+      columns: [{ header: 'Field' }, { header: 'Value' }],
+      rows: [
+        ['Report', run.name],
+        ['Period', range],
+        ['Generated', new Date(run.generatedAt).toLocaleString('en-US', { timeZone })],
+        ['Trigger', run.trigger]
+      ]
+    }]);
+  }
+  const slug = run.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom-report';
+  return { body, contentType: CONTENT_TYPES[format], filename: `${slug}-${first}.${format}` };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SHEETS,
+  buildSheets,
+  exportReport,
+  exportComparison,
+  exportCustomReport
+};
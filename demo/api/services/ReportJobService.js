@@ -0,0 +1,148 @@
+const logger = require('../logger');
+const ReportJob = require('../models/ReportJob');
+const { generatePeriodReport, storeReport } = require('./ReportService');
+
+/**
+ * Report Job Service
+ * Generates utilization reports in the background. Requests queue a job in
+ * Mongo and return at once; a worker claims queued jobs one at a time,
+ * records their progress while the report is built, and stores the report.
+ * A job cut short by a restart is picked up again, up to MAX_ATTEMPTS times.
+ */
+
+// A job still marked running after this long was cut short by a restart
+const STALE_JOB_MS = 30 * 60 * 1000;
+// Attempts before an interrupted job is failed
+const MAX_ATTEMPTS = 3;
+const PENDING_STATUSES = ['queued', 'running'];
+
+// Called with a job's status each time it changes; set by startReportJobWorker
+let notify = () => {};
+// The queue being worked through, if any, and whether to look for jobs again once it is empty
+let draining = null;
+let wakeUp = false;
+
+/**
+ * Status of a job as sent to clients.
+ */
+function jobStatus(job) {
+  const { __v, ...status } = job.toObject ? job.toObject() : job;
+  return status;
+}
+
+/**
+ * Queue the generation of a report. A job already queued or running for the
+ * same period and site is returned instead of queuing another.
+ * @param {Object} params - { period, startDate, endDate, site, requestedBy }
+ * @returns {Promise<Object>} The job
+ */
+async function enqueueReportJob({ period, startDate, endDate, site, requestedBy }) {
+  const key = { period, startDate, endDate, site: site || null };
+  const pending = await ReportJob.findOne({ ...key, status: { $in: PENDING_STATUSES } });
+  if (pending) return pending;
+
+  const job = await ReportJob.create({ ...key, requestedBy });
+  logger.info('[REPORT JOBS] Queued report job', { jobId: String(job._id), period, site: site || 'all' });
+  processQueue();
+  return job;
+}
+
+/**
+ * Claim the oldest queued job, or one cut short by a restart.
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob() {
+  const stale = new Date(Date.now() - STALE_JOB_MS);
+  await ReportJob.updateMany(
+    { status: 'running', startedAt: { $lt: stale }, attempts: { $gte: MAX_ATTEMPTS } },
+    { $set: { status: 'failed', error: 'Interrupted too many times', completedAt: new Date() } }
+  );
+  return ReportJob.findOneAndUpdate(
+    { $or: [{ status: 'queued' }, { status: 'running', startedAt: { $lt: stale } }] },
+    { $set: { status: 'running', progress: 0, stage: 'Starting', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { queuedAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Build and store the report of a claimed job, recording its progress.
+ */
+async function runJob(job) {
+  const site = job.site ? String(job.site) : undefined;
+  const period = { period: job.period, startDate: job.startDate, endDate: job.endDate, site };
+  notify(jobStatus(job));
+  try {
+    const reportData = await generatePeriodReport({
+      ...period,
+      onProgress: async (fraction, stage) => {
+        job.progress = Math.min(99, Math.round(fraction * 100));
+        job.stage = stage;
+        await job.save();
+        notify(jobStatus(job));
+      }
+    });
+    const { report, created, replaced } = await storeReport({ ...period, reportData });
+    job.status = 'completed';
+    job.progress = 100;
+    job.stage = 'Completed';
+    job.report = report._id;
+    job.result = replaced ? 'replaced' : created ? 'created' : 'unchanged';
+    job.completedAt = new Date();
+    await job.save();
+    logger.info('[REPORT JOBS] Report job completed', {
+      jobId: String(job._id),
+      reportId: String(report._id),
+      result: job.result
+    });
+  } catch (err) {
+    job.status = 'failed';
+    job.stage = 'Failed';
+    job.error = err.message;
+    job.completedAt = new Date();
+    await job.save();
+    logger.error(`[REPORT JOBS] Report job ${job._id} failed:`, err);
+  }
+  notify(jobStatus(job));
+}
+
+/**
+ * Work through the queued jobs one at a time. Calls while the queue is being
+ * worked through share that run, which looks for jobs once more before ending.
+ * @returns {Promise<void>}
+ */
+function processQueue() {
+  wakeUp = true;
+  if (!draining) {
+    draining = (async () => {
+      while (wakeUp) {
+        wakeUp = false;
+        let job;
+        while ((job = await claimNextJob())) {
+          await runJob(job);
+        }
+      }
+    })()
+      .catch(err => logger.error('[REPORT JOBS] Processing the report queue failed:', err))
+      .finally(() => { draining = null; });
+  }
+  return draining;
+}
+
+/**
+ * Process queued report jobs now and on an interval, so jobs queued by other
+ * API instances or left over from a restart are run too.
+ * @param {Object} [options] - { intervalMs, onProgress(status) }
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startReportJobWorker({ intervalMs = 5 * 1000, onProgress } = {}) {
+  if (onProgress) notify = onProgress;
+  processQueue();
+  return setInterval(processQueue, intervalMs);
+}
+
+module.exports = {
+  jobStatus,
+  enqueueReportJob,
+  processQueue,
+  startReportJobWorker
+};
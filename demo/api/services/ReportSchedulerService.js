@@ -0,0 +1,204 @@
+const logger = require('../logger');
+const Building = require('../models/Building');
+const ScheduledReportRun = require('../models/ScheduledReportRun');
+const NotificationService = require('./NotificationService');
+const { getPeriodBounds, generatePeriodReport, storeReport } = require('./ReportService');
+const { getSiteTimezone } = require('./SiteService');
+const { runDueCustomReports } = require('./CustomReportService');
+const { parseCron, nextCronRun } = require('../utils/cronUtils');
+
+/**
+ * Report Scheduler Service
+ * Generates daily, weekly and monthly utilization reports on cron schedules,
+ * for all sites together and for each site in its own timezone. Each run
+ * reports on the last complete period (yesterday, last Monday-Sunday week,
+ * last calendar month; longer periods roll up the day reports) and is
+ * claimed in ScheduledReportRun first, so a period is generated once however
+ * many times the job runs or restarts. A run missed while the API was down is
+ * made up for on the next check. The same check runs the custom report
+ * definitions whose own schedule is due.
+ */
+
+const REPORT_SCHEDULES = ['daily', 'weekly', 'monthly'];
+// Report period each schedule generates
+const SCHEDULE_PERIODS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const DEFAULT_CRON = {
+  daily: '5 0 * * *',
+  weekly: '15 0 * * 1',
+  monthly: '30 0 1 * *'
+};
+// A run still marked running after this long was cut short by a restart and may be retried
+const STALE_RUN_MS = 30 * 60 * 1000;
+// Attempts before a failing period is left alone
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Read the cron expression of each schedule from REPORT_CRON_DAILY,
+ * REPORT_CRON_WEEKLY and REPORT_CRON_MONTHLY. "off" disables a schedule;
+ * an invalid expression is logged and the schedule skipped.
+ * @returns {Array<{ name: string, cron: Object }>} Enabled schedules
+ */
+function loadSchedules() {
+  return REPORT_SCHEDULES.reduce((schedules, name) => {
+    const expression = process.env[`REPORT_CRON_${name.toUpperCase()}`] || DEFAULT_CRON[name];
+    if (expression === 'off') return schedules;
+    try {
+      schedules.push({ name, cron: parseCron(expression) });
+    } catch (err) {
+      logger.error(`[REPORTS] Ignoring ${name} report schedule: ${err.message}`);
+    }
+    return schedules;
+  }, []);
+}
+
+/**
+ * Last period of a schedule that was complete at an instant.
+ * @param {string} name - daily, weekly or monthly
+ * @param {Date} now - Instant the period must have ended by
+ * @param {string} timeZone - Timezone the period's days are counted in
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+function lastCompletePeriod(name, now, timeZone) {
+  const period = SCHEDULE_PERIODS[name];
+  const current = getPeriodBounds(period, now, timeZone);
+  return getPeriodBounds(period, new Date(current.startDate.getTime() - 1), timeZone);
+}
+
+/**
+ * Claim a period's run: a new run, or one that failed (up to MAX_ATTEMPTS) or was cut short.
+ * @returns {Promise<Object|null>} The run, or null if it is done or in progress elsewhere
+ */
+async function claimRun(name, site, period) {
+  const key = { schedule: name, site: site || null, periodStart: period.startDate };
+  try {
+    return await ScheduledReportRun.create({ ...key, periodEnd: period.endDate });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  return ScheduledReportRun.findOneAndUpdate(
+    {
+      ...key,
+      attempts: { $lt: MAX_ATTEMPTS },
+      $or: [
+        { status: 'failed' },
+        { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }
+      ]
+    },
+    { $set: { status: 'running', startedAt: new Date() }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Generate and store the report of a run, then announce it on Slack and
+ * open a Monday.com follow-up task when it needs action. A failed
+ * announcement is recorded on the run, which stays completed so the report
+ * is not generated and announced again.
+ */
+async function completeRun(run) {
+  const site = run.site ? String(run.site) : undefined;
+  const period = { period: SCHEDULE_PERIODS[run.schedule], startDate: run.periodStart, endDate: run.periodEnd, site };
+  let report;
+  try {
+    const reportData = await generatePeriodReport(period);
+    // A run retried after storing its report finds it unchanged and reuses it
+    ({ report } = await storeReport({ ...period, reportData }));
+    run.status = 'completed';
+    run.report = report._id;
+    run.completedAt = new Date();
+    await run.save();
+    logger.info('[REPORTS] Scheduled report generated', {
+      schedule: run.schedule,
+      site: site || 'all',
+      periodStart: run.periodStart,
+      reportId: String(report._id)
+    });
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err.message;
+    await run.save();
+    logger.error(`[REPORTS] Scheduled ${run.schedule} report failed:`, err);
+    return null;
+  }
+
+  try {
+    const notificationService = new NotificationService();
+    await notificationService.sendSlackReportNotification(report, run.schedule);
+    await notificationService.createMondayTask(report);
+  } catch (err) {
+    run.notificationError = err.message;
+    await run.save();
+    logger.error(`[REPORTS] Announcing the scheduled ${run.schedule} report failed:`, err);
+  }
+  return report;
+}
+
+/**
+ * Generate every scheduled report that is due: for each schedule and site,
+ * the last complete period once the schedule has run since it ended.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} The reports generated
+ */
+async function runDueReports(now = new Date()) {
+  const schedules = loadSchedules();
+  if (schedules.length === 0) return [];
+  const sites = [undefined, ...(await Building.find({}, '_id').lean()).map(b => String(b._id))];
+
+  const reports = [];
+  for (const site of sites) {
+    const timeZone = await getSiteTimezone(site);
+    for (const { name, cron } of schedules) {
+      const period = lastCompletePeriod(name, now, timeZone);
+      if (!nextCronRun(cron, period.endDate, timeZone, now)) continue;
+      const done = await ScheduledReportRun.exists({
+        schedule: name,
+        site: site || null,
+        periodStart: period.startDate,
+        status: 'completed'
+      });
+      if (done) continue;
+
+      const run = await claimRun(name, site, period);
+      if (!run) continue;
+      const report = await completeRun(run);
+      if (report) reports.push(report);
+    }
+  }
+  return reports;
+}
+
+// Serializes checks so a slow generation is not started twice
+let checking = Promise.resolve();
+
+/**
+ * Check for due scheduled and custom reports on an interval, and once right away to
+ * make up for runs missed while the API was down.
+ * @param {Object} [options] - { intervalMs }
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startReportScheduler({ intervalMs = 60 * 1000 } = {}) {
+  const check = () => {
+    checking = checking.then(async () => {
+      try {
+        await runDueReports();
+      } catch (err) {
+        logger.error('[REPORTS] Scheduled report check failed:', err);
+      }
+      try {
+        await runDueCustomReports();
+      } catch (err) {
+        logger.error('[CUSTOM REPORTS] Scheduled custom report check failed:', err);
+      }
+    });
+  };
+  check();
+  return setInterval(check, intervalMs);
+}
+
+module.exports = {
+  REPORT_SCHEDULES,
+  loadSchedules,
+  lastCompletePeriod,
+  runDueReports,
+  startReportScheduler
+};
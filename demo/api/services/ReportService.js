@@ -0,0 +1,664 @@
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const UtilizationReport = require('../models/UtilizationReport');
+const Reservation = require('../models/Reservation');
+const { USED_STATUSES } = require('./ReservationService');
+const { listSections } = require('./FloorPlanService');
+const { findTicketsForPeriod, wasOutOfService } = require('./MaintenanceService');
+const { reconstructOccupancy, findPeakHours } = require('./OccupancyService');
+const { forecastUtilization, compareWithStoredReports } = require('./TrendService');
+const { cubicleFilterForSite, reservationFilterForSite, getSiteTimezone } = require('./SiteService');
+const { toLocalDay, addDays, getWeekday, getLocalDayBounds } = require('../utils/timeUtils');
+
+/**
+ * Report Service
+ * Builds the data of a utilization report for a period: summary, daily
+ * breakdown, hourly occupancy, sections, user activity and advanced analytics.
+ * Day reports count the reservations with aggregation pipelines in Mongo;
+ * weeks, months, quarters and custom ranges are rolled up from the stored day
+ * reports they cover.
+ */
+
+const REPORT_PERIODS = ['day', 'week', 'month', 'quarter', 'custom'];
+
+/**
+ * Generate cubicle code sequences for a user's reservations
+ * @param {Array} reservations - User's reservations with populated cubicle data
+ * @returns {String} Formatted cubicle codes
+ */
+function generateCubicleCodeSequence(reservations) {
+  if (!reservations || reservations.length === 0) return '';
+  
+  // Sort reservations by date and cubicle serial
+  const sortedReservations = reservations
+    .filter(r => r.cubicle && r.cubicle.serial)
+    .sort((a, b) => {
+      const dateComparison = new Date(a.date) - new Date(b.date);
+      if (dateComparison !== 0) return dateComparison;
+      return a.cubicle.serial.localeCompare(b.cubicle.serial);
+    });
+
+  if (sortedReservations.length === 0) return '';
+  
+  // Group by date first, then process sequences
+  const dateGroups = {};
+  sortedReservations.forEach(r => {
+    const dateStr = r.date.toDateString();
+    if (!dateGroups[dateStr]) {
+      dateGroups[dateStr] = [];
+    }
+    dateGroups[dateStr].push(r.cubicle.serial);
+  });
+  
+  const allCodes = [];
+  
+  // Process each date group for sequences
+  Object.keys(dateGroups).sort().forEach(dateStr => {
+    const codes = dateGroups[dateStr].sort();
+    const sequences = [];
+    
+    let sequenceStart = codes[0];
+    let sequenceEnd = sequenceStart;
+    
+    for (let i = 1; i < codes.length; i++) {
+      if (isSequentialCode(sequenceEnd, codes[i])) {
+        sequenceEnd = codes[i];
+      } else {
+        // End current sequence and start a new one
+        if (sequenceStart === sequenceEnd) {
+          sequences.push(sequenceStart);
+        } else {
+          sequences.push(`${sequenceStart}-${sequenceEnd}`);
+        }
+        sequenceStart = codes[i];
+        sequenceEnd = codes[i];
+      }
+    }
+    
+    // Add the last sequence
+    if (sequenceStart === sequenceEnd) {
+      sequences.push(sequenceStart);
+    } else {
+      sequences.push(`${sequenceStart}-${sequenceEnd}`);
+    }
+    
+    allCodes.push(...sequences);
+  });
+  
+  return allCodes.join(', ');
+}
+
+/**
+ * Check if two cubicle codes are sequential
+ * @param {String} code1 - First cubicle code
+ * @param {String} code2 - Second cubicle code
+ * @returns {Boolean} True if codes are sequential
+ */
+function isSequentialCode(code1, code2) {
+  // Extract section and number from codes like "A1", "B12", etc.
+  const regex = /^([A-Z])(\d+)$/;
+  const match1 = code1.match(regex);
+  const match2 = code2.match(regex);
+  
+  if (!match1 || !match2) return false;
+  
+  const section1 = match1[1];
+  const number1 = parseInt(match1[2]);
+  const section2 = match2[1];
+  const number2 = parseInt(match2[2]);
+  
+  // Same section and consecutive numbers
+  return section1 === section2 && Math.abs(number1 - number2) === 1;
+}
+
+/**
+ * Advanced analytics of a report: peak hours from the status history, trends
+ * against the stored reports of earlier periods of the same type, the
+ * forecast for the days after the period, and efficiency figures.
+ * @param {Object} params - { startDate, endDate, site, period, hourly, sections, summary, forecast }
+ * @param {boolean} [params.forecast=true] - Whether to forecast the days after the period
+ * @returns {Promise<Object>}
+ */
+async function buildAdvancedAnalytics({ startDate, endDate, site, period, hourly, sections, summary, forecast: withForecast = true }) {
+  const timeZone = await getSiteTimezone(site);
+  const trend = await compareWithStoredReports({ startDate, endDate, site, period, avgUtilization: summary.avgUtilization });
+  const forecast = withForecast ? await forecastUtilization({
+    endDate,
+    site,
+    sections: sections.map(s => s.section),
+    timeZone
+  }) : null;
+
+  return {
+    peakHours: findPeakHours(hourly, timeZone),
+    trendAnalysis: {
+      ...trend,
+      predictedNextWeek: forecast ? Math.round(forecast.predicted) : summary.avgUtilization
+    },
+    forecast,
+    efficiency: {
+      spaceTurnover: summary.totalReservations > 0 ? +(summary.totalCubicles / summary.totalReservations).toFixed(2) : 0,
+      averageSessionDuration: 8, // Assuming 8-hour sessions
+      utilizationEfficiency: summary.avgUtilization
+    }
+  };
+}
+
+/**
+ * Count a period's reservations in Mongo: per local day, per section and per
+ * user, plus the totals. Cancelled bookings are counted apart; they never
+ * held a desk. Occupancy counts distinct cubicles, so a cubicle booked in the
+ * morning and in the afternoon is one occupied cubicle that day.
+ * @param {Object} params - { startDate, endDate, site, timeZone }
+ * @returns {Promise<Object>} { cancellations, totals, days, sections, users }
+ */
+async function aggregateReservations({ startDate, endDate, site, timeZone }) {
+  const match = { date: { $gte: startDate, $lte: endDate }, ...await reservationFilterForSite(site) };
+  const used = { $in: ['$status', USED_STATUSES] };
+  const count = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+  const hasEmail = { $ne: [{ $ifNull: ['$user.email', ''] }, ''] };
+  // Distinct non-empty values of a set that may hold nulls
+  const sizeWithoutNull = field => ({ $size: { $setDifference: [field, [null]] } });
+
+  const [cancellations, [facets]] = await Promise.all([
+    Reservation.countDocuments({ ...match, status: 'cancelled' }),
+    Reservation.aggregate([
+      { $match: { ...match, status: { $ne: 'cancelled' } } },
+      {
+        $lookup: {
+          from: Cubicle.collection.name,
+          localField: 'cubicle',
+          foreignField: '_id',
+          as: 'cubicle'
+        }
+      },
+      {
+        $set: {
+          cubicle: { $arrayElemAt: ['$cubicle', 0] },
+          day: { $dateToString: { date: '$date', format: '%Y-%m-%d', timezone: timeZone } }
+        }
+      },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              totalReservations: { $sum: 1 },
+              checkIns: count(used),
+              noShows: count({ $eq: ['$status', 'no-show'] }),
+              users: { $addToSet: { $cond: [hasEmail, '$user.email', null] } }
+            }
+          }],
+          days: [
+            {
+              $group: {
+                _id: '$day',
+                reservations: { $sum: 1 },
+                reservedCubicles: { $addToSet: { $cond: [used, '$cubicle._id', null] } },
+                activeUsers: { $addToSet: { $cond: [{ $and: [used, hasEmail] }, '$user.email', null] } }
+              }
+            },
+            { $set: { reserved: sizeWithoutNull('$reservedCubicles') } }
+          ],
+          sections: [
+            { $match: { 'cubicle.section': { $exists: true } } },
+            {
+              $group: {
+                _id: '$cubicle.section',
+                totalReservations: { $sum: 1 },
+                // Cubicle-days the section's desks were used
+                usedCubicleDays: { $addToSet: { $cond: [used, { day: '$day', cubicle: '$cubicle._id' }, null] } }
+              }
+            },
+            { $project: { totalReservations: 1, used: sizeWithoutNull('$usedCubicleDays') } }
+          ],
+          users: [
+            { $match: { 'user.email': { $nin: [null, ''] } } },
+            {
+              $group: {
+                _id: { email: '$user.email', section: '$cubicle.section' },
+                displayName: { $first: '$user.displayName' },
+                reservations: { $sum: 1 },
+                checkIns: count(used),
+                noShows: count({ $eq: ['$status', 'no-show'] }),
+                days: { $addToSet: '$day' },
+                visits: { $push: { date: '$date', cubicle: { serial: '$cubicle.serial' } } }
+              }
+            },
+            {
+              $group: {
+                _id: '$_id.email',
+                displayName: { $first: '$displayName' },
+                totalReservations: { $sum: '$reservations' },
+                checkIns: { $sum: '$checkIns' },
+                noShows: { $sum: '$noShows' },
+                sections: { $push: { section: '$_id.section', count: '$reservations' } },
+                days: { $push: '$days' },
+                visits: { $push: '$visits' }
+              }
+            },
+            {
+              $project: {
+                displayName: 1,
+                totalReservations: 1,
+                checkIns: 1,
+                noShows: 1,
+                sections: 1,
+                daysActive: { $size: { $reduce: { input: '$days', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } } },
+                visits: { $reduce: { input: '$visits', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } }
+              }
+            }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const totals = facets.totals[0] || { totalReservations: 0, checkIns: 0, noShows: 0, users: [] };
+  return {
+    cancellations,
+    totals: { ...totals, uniqueUsers: totals.users.filter(email => email !== null).length },
+    days: new Map(facets.days.map(day => [day._id, {
+      reservations: day.reservations,
+      reserved: day.reserved,
+      activeUsers: day.activeUsers.filter(email => email !== null).length
+    }])),
+    sections: new Map(facets.sections.map(section => [section._id, section])),
+    users: facets.users
+  };
+}
+
+/**
+ * Generate utilization report data for a given day. Reservations are counted
+ * by aggregation in Mongo rather than loaded into memory.
+ * @param {Date} startDate - Start of the day
+ * @param {Date} endDate - End of the day
+ * @param {string} [site] - Building to report on (all sites when omitted)
+ * @param {Object} [options] - { onProgress(fraction, stage), forecast }
+ * @param {boolean} [options.forecast=true] - Whether to forecast the days after it
+ * @returns {Promise<Object>} Report data
+ */
+async function generateReportData(startDate, endDate, site, { onProgress = async () => {}, forecast = true } = {}) {
+  try {
+    const timeZone = await getSiteTimezone(site);
+    const cubicleFilter = await cubicleFilterForSite(site);
+    const [cubicleIds, sectionSizes] = await Promise.all([
+      Cubicle.find(cubicleFilter).distinct('_id'),
+      Cubicle.aggregate([{ $match: cubicleFilter }, { $group: { _id: '$section', count: { $sum: 1 } } }])
+    ]);
+    const totalCubicles = cubicleIds.length;
+
+    await onProgress(0.1, 'Counting reservations');
+    const counts = await aggregateReservations({ startDate, endDate, site, timeZone });
+    // Error incidents come from the maintenance tickets of the site's cubicles
+    const tickets = await findTicketsForPeriod(startDate, endDate, { cubicle: { $in: cubicleIds } });
+    const reportedTickets = tickets.filter(t => t.createdAt >= startDate && t.createdAt <= endDate);
+
+    await onProgress(0.4, 'Rebuilding occupancy');
+    // Hourly occupancy replayed from the cubicle status history
+    const hourly = await reconstructOccupancy(cubicleIds, startDate, endDate);
+
+    await onProgress(0.6, 'Summarizing');
+    // Daily breakdown, by local day
+    const daily = [];
+    for (let day = toLocalDay(startDate, timeZone); day <= toLocalDay(endDate, timeZone); day = addDays(day, 1)) {
+      const { dayStart, dayEnd } = getLocalDayBounds(`${day}T12:00:00Z`, timeZone);
+      const dayCounts = counts.days.get(day) || { reservations: 0, reserved: 0, activeUsers: 0 };
+      const reserved = dayCounts.reserved;
+
+      // Cubicles out of service for maintenance or in error at some point of this day
+      const outOfService = new Set(
+        tickets
+          .filter(t => wasOutOfService(t, { startTime: dayStart, endTime: dayEnd }))
+          .map(t => String(t.cubicle))
+      );
+      hourly
+        .filter(hour => hour.start >= dayStart && hour.start <= dayEnd)
+        .forEach(hour => hour.errorCubicles.forEach(id => outOfService.add(id)));
+
+      daily.push({
+        date: dayStart,
+        dayOfWeek: dayStart.toLocaleDateString('en-US', { weekday: 'long', timeZone }),
+        reserved,
+        available: totalCubicles - reserved,
+        error: outOfService.size,
+        utilizationPercent: totalCubicles > 0 ? Math.round((reserved / totalCubicles) * 100) : 0,
+        reservations: dayCounts.reservations,
+        activeUsers: dayCounts.activeUsers
+      });
+    }
+
+    // Summary statistics
+    const { totalReservations, checkIns, noShows, uniqueUsers } = counts.totals;
+    const avgUtilization = daily.reduce((sum, day) => sum + day.utilizationPercent, 0) / daily.length || 0;
+    const peakUtilization = Math.max(...daily.map(day => day.utilizationPercent));
+    const lowestUtilization = Math.min(...daily.map(day => day.utilizationPercent));
+
+    // Error incidents are the problems reported during the period
+    const errorIncidents = reportedTickets.length;
+    const noShowRate = totalReservations > 0 ? Math.round((noShows / totalReservations) * 100) : 0;
+
+    // Section analysis, in floor plan order
+    const sizes = new Map(sectionSizes.map(({ _id, count }) => [_id, count]));
+    const sections = (await listSections({ site })).map(({ code: section }) => {
+      const sectionCounts = counts.sections.get(section) || { totalReservations: 0, used: 0 };
+      const sectionTotal = sizes.get(section) || 0;
+      const avgUtilization = sectionTotal > 0 ?
+        Math.round((sectionCounts.used / (sectionTotal * daily.length)) * 100) : 0;
+
+      return {
+        section,
+        totalCubicles: sectionTotal,
+        avgUtilization,
+        peakUtilization: avgUtilization, // Using same as avg for now
+        totalReservations: sectionCounts.totalReservations,
+        // Problems reported in this section during the period
+        errorIncidents: reportedTickets.filter(t => t.section === section).length
+      };
+    });
+
+    // User activity analysis
+    const users = counts.users.map(user => {
+      // Favorite section is the one booked most, the first by name on a tie
+      const favorite = user.sections
+        .filter(({ section }) => section)
+        .sort((a, b) => b.count - a.count || a.section.localeCompare(b.section))[0];
+
+      return {
+        email: user._id,
+        displayName: user.displayName || '',
+        totalReservations: user.totalReservations,
+        daysActive: user.daysActive,
+        favoriteSection: favorite ? favorite.section : '',
+        avgDailyReservations: user.daysActive > 0 ? +(user.totalReservations / user.daysActive).toFixed(2) : 0,
+        cubicleSequence: generateCubicleCodeSequence(user.visits),
+        checkIns: user.checkIns,
+        noShows: user.noShows
+      };
+    }).sort((a, b) => b.totalReservations - a.totalReservations || a.email.localeCompare(b.email));
+
+    const summary = {
+      totalCubicles,
+      avgUtilization: Math.round(avgUtilization),
+      peakUtilization,
+      lowestUtilization,
+      totalReservations,
+      uniqueUsers,
+      errorIncidents,
+      checkIns,
+      noShows,
+      cancellations: counts.cancellations,
+      noShowRate
+    };
+    await onProgress(0.8, 'Analyzing trends');
+    // Peak hours are the busiest local hours in the status history
+    const advanced = await buildAdvancedAnalytics({ startDate, endDate, site, period: 'day', hourly, sections, summary, forecast });
+
+    return {
+      summary,
+      daily,
+      hourly: hourly.map(({ errorCubicles, ...hour }) => hour),
+      sections,
+      users,
+      advanced
+    };
+  } catch (error) {
+    throw new Error(`Error generating report data: ${error.message}`);
+  }
+}
+
+/**
+ * First and last local day of the period of a type that contains a day.
+ */
+function periodDays(period, day) {
+  if (period === 'day') return { first: day, last: day };
+  if (period === 'week') {
+    const monday = addDays(day, -((getWeekday(day) + 6) % 7));
+    return { first: monday, last: addDays(monday, 6) };
+  }
+  const month = Number(day.slice(5, 7));
+  const firstMonth = period === 'quarter' ? month - ((month - 1) % 3) : month;
+  const months = period === 'quarter' ? 3 : 1;
+  const monthStart = m => `${Number(day.slice(0, 4)) + Math.floor((m - 1) / 12)}-${String(((m - 1) % 12) + 1).padStart(2, '0')}-01`;
+  return { first: monthStart(firstMonth), last: addDays(monthStart(firstMonth + months), -1) };
+}
+
+/**
+ * Bounds of the period of a type containing an instant, in a timezone.
+ * Custom periods run from the day of `date` through the day of `until`.
+ * @param {string} period - day, week (Monday-Sunday), month, quarter or custom
+ * @param {Date} date - Any instant within the period (its first day for custom)
+ * @param {string} timeZone - Timezone the period's days are counted in
+ * @param {Date} [until] - Any instant within the last day of a custom period
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+function getPeriodBounds(period, date, timeZone, until) {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new Error(`Unknown report period "${period}"`);
+  }
+  const day = toLocalDay(date, timeZone);
+  const { first, last } = period === 'custom'
+    ? { first: day, last: toLocalDay(until, timeZone) }
+    : periodDays(period, day);
+  return {
+    startDate: getLocalDayBounds(`${first}T12:00:00Z`, timeZone).dayStart,
+    endDate: getLocalDayBounds(`${last}T12:00:00Z`, timeZone).dayEnd
+  };
+}
+
+// Summary counts that make a regenerated report worth storing again
+const CHANGE_FIELDS = ['totalReservations', 'uniqueUsers', 'avgUtilization', 'errorIncidents', 'checkIns', 'noShows', 'cancellations'];
+
+/**
+ * Store the report for a period, unless the latest stored report of the
+ * period has the same summary counts; that report is returned instead.
+ * @param {Object} params - { period, startDate, endDate, site, reportData }
+ * @returns {Promise<{ report: Object, created: boolean, replaced: boolean }>}
+ */
+async function storeReport({ period = 'day', startDate, endDate, site, reportData }) {
+  const existingReport = await UtilizationReport.findOne({
+    period,
+    weekStartDate: startDate,
+    weekEndDate: endDate,
+    site: site || null
+  }).sort({ generatedAt: -1 });
+
+  const hasChanges = !existingReport ||
+    CHANGE_FIELDS.some(field => existingReport.summary[field] !== reportData.summary[field]);
+  if (!hasChanges) {
+    return { report: existingReport, created: false, replaced: false };
+  }
+
+  const report = new UtilizationReport({
+    period,
+    weekStartDate: startDate,
+    weekEndDate: endDate,
+    site,
+    ...reportData
+  });
+  await report.save();
+  return { report, created: true, replaced: !!existingReport };
+}
+
+/**
+ * Day reports covering a period, one per day that has started: the latest
+ * stored report of each day, generated (and stored) for days without one or
+ * whose report was generated before the day was over. Day reports generated
+ * here only feed the roll-up, so they are not forecast.
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @param {string} [site] - Building reported on
+ * @param {Function} [onProgress] - Called with the fraction of days collected
+ * @returns {Promise<Array>} Day reports in day order
+ */
+async function collectDayReports(startDate, endDate, site, onProgress = async () => {}) {
+  const timeZone = await getSiteTimezone(site);
+  const now = new Date();
+  const stored = await UtilizationReport.find({
+    period: 'day',
+    site: site || null,
+    weekStartDate: { $gte: startDate, $lte: endDate }
+  }).sort({ generatedAt: -1 }).lean();
+  const latest = new Map();
+  stored.forEach(report => {
+    const key = report.weekStartDate.getTime();
+    if (!latest.has(key)) latest.set(key, report);
+  });
+
+  const days = [];
+  const lastDay = toLocalDay(endDate < now ? endDate : now, timeZone);
+  for (let day = toLocalDay(startDate, timeZone); day <= lastDay; day = addDays(day, 1)) days.push(day);
+
+  const reports = [];
+  for (const day of days) {
+    const { dayStart, dayEnd } = getLocalDayBounds(`${day}T12:00:00Z`, timeZone);
+    let report = latest.get(dayStart.getTime());
+    if (!report || report.generatedAt <= dayEnd) {
+      await onProgress(reports.length / days.length, `Generating the report of ${day}`);
+      const reportData = await generateReportData(dayStart, dayEnd, site, { forecast: false });
+      report = (await storeReport({ startDate: dayStart, endDate: dayEnd, site, reportData })).report.toObject();
+    }
+    reports.push(report);
+  }
+  return reports;
+}
+
+/**
+ * Merge the user activity of several day reports.
+ */
+function rollUpUsers(dayReports) {
+  const byEmail = new Map();
+  dayReports.forEach(report => report.users.forEach(user => {
+    if (!byEmail.has(user.email)) {
+      byEmail.set(user.email, {
+        email: user.email,
+        displayName: user.displayName,
+        totalReservations: 0,
+        daysActive: 0,
+        checkIns: 0,
+        noShows: 0,
+        sequences: [],
+        sections: {}
+      });
+    }
+    const merged = byEmail.get(user.email);
+    merged.totalReservations += user.totalReservations;
+    merged.daysActive += user.daysActive;
+    merged.checkIns += user.checkIns;
+    merged.noShows += user.noShows;
+    if (user.cubicleSequence) merged.sequences.push(user.cubicleSequence);
+    // Each day only keeps the favorite section, weighted here by that day's reservations
+    if (user.favoriteSection) {
+      merged.sections[user.favoriteSection] = (merged.sections[user.favoriteSection] || 0) + user.totalReservations;
+    }
+  }));
+
+  return [...byEmail.values()].map(({ sequences, sections, ...user }) => ({
+    ...user,
+    favoriteSection: Object.keys(sections).sort((a, b) => sections[b] - sections[a])[0] || '',
+    avgDailyReservations: user.daysActive > 0 ? +(user.totalReservations / user.daysActive).toFixed(2) : 0,
+    cubicleSequence: sequences.join(', ')
+  })).sort((a, b) => b.totalReservations - a.totalReservations);
+}
+
+/**
+ * Combine day reports into the data of a longer period's report. Daily and
+ * hourly breakdowns are concatenated; utilization averages the days; counts
+ * are summed.
+ * @param {Array} dayReports - Day reports in day order
+ * @returns {Object} Report data without advanced analytics
+ */
+function rollUpDayReports(dayReports) {
+  const sum = (items, pick) => items.reduce((total, item) => total + (pick(item) || 0), 0);
+  const daily = dayReports.flatMap(report => report.daily);
+  const summaries = dayReports.map(report => report.summary);
+  const users = rollUpUsers(dayReports);
+  const utilizations = daily.map(day => day.utilizationPercent);
+  const totalReservations = sum(summaries, s => s.totalReservations);
+  const noShows = sum(summaries, s => s.noShows);
+
+  // Sections in the floor plan order of the latest day
+  const sectionDays = new Map();
+  [...dayReports].reverse().forEach(report => report.sections.forEach(section => {
+    if (!sectionDays.has(section.section)) sectionDays.set(section.section, []);
+    sectionDays.get(section.section).push(section);
+  }));
+  const sections = [...sectionDays.entries()].map(([section, days]) => ({
+    section,
+    totalCubicles: days[0].totalCubicles,
+    avgUtilization: Math.round(sum(days, d => d.avgUtilization) / days.length),
+    peakUtilization: Math.max(...days.map(d => d.avgUtilization)),
+    totalReservations: sum(days, d => d.totalReservations),
+    errorIncidents: sum(days, d => d.errorIncidents)
+  }));
+
+  return {
+    summary: {
+      totalCubicles: summaries.length > 0 ? summaries[summaries.length - 1].totalCubicles : 0,
+      avgUtilization: utilizations.length > 0 ? Math.round(sum(utilizations, u => u) / utilizations.length) : 0,
+      peakUtilization: utilizations.length > 0 ? Math.max(...utilizations) : 0,
+      lowestUtilization: utilizations.length > 0 ? Math.min(...utilizations) : 0,
+      totalReservations,
+      uniqueUsers: users.length,
+      errorIncidents: sum(summaries, s => s.errorIncidents),
+      checkIns: sum(summaries, s => s.checkIns),
+      noShows,
+      cancellations: sum(summaries, s => s.cancellations),
+      noShowRate: totalReservations > 0 ? Math.round((noShows / totalReservations) * 100) : 0
+    },
+    daily,
+    hourly: dayReports.flatMap(report => report.hourly || []),
+    sections,
+    users
+  };
+}
+
+/**
+ * Generate the data of a report of any period type. Longer periods roll up
+ * the day reports they cover, generating the missing ones.
+ * @param {Object} params - { period, startDate, endDate, site, onProgress }
+ * @param {Function} [params.onProgress] - Called with the fraction done (0-1) and the current stage
+ * @returns {Promise<Object>} Report data
+ */
+async function generatePeriodReport({ period = 'day', startDate, endDate, site, onProgress = async () => {} }) {
+  if (period === 'day') {
+    return generateReportData(startDate, endDate, site, { onProgress });
+  }
+  // Collecting the day reports is most of the work
+  const dayReports = await collectDayReports(startDate, endDate, site, (fraction, stage) => onProgress(fraction * 0.8, stage));
+  await onProgress(0.8, 'Rolling up day reports');
+  const reportData = rollUpDayReports(dayReports);
+  reportData.advanced = await buildAdvancedAnalytics({ startDate, endDate, site, period, ...reportData });
+  return reportData;
+}
+
+/**
+ * Give reports stored before period types existed the type their dates
+ * match, or `custom`.
+ */
+async function migrateReportPeriods() {
+  const reports = await UtilizationReport.find({ period: { $exists: false } }, 'weekStartDate weekEndDate site').lean();
+  if (reports.length === 0) return;
+  const updates = [];
+  for (const report of reports) {
+    const timeZone = await getSiteTimezone(report.site);
+    const period = ['day', 'week', 'month', 'quarter'].find(type => {
+      const bounds = getPeriodBounds(type, report.weekStartDate, timeZone);
+      return bounds.startDate.getTime() === report.weekStartDate.getTime() &&
+        bounds.endDate.getTime() === report.weekEndDate.getTime();
+    }) || 'custom';
+    updates.push({ updateOne: { filter: { _id: report._id }, update: { $set: { period } } } });
+  }
+  await UtilizationReport.bulkWrite(updates);
+  logger.info('[REPORTS] Set the period type of older reports', { reports: updates.length });
+}
+
+module.exports = {
+  REPORT_PERIODS,
+  getPeriodBounds,
+  generateReportData,
+  generatePeriodReport,
+  rollUpDayReports,
+  storeReport,
+  migrateReportPeriods
+};
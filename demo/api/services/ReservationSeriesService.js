@@ -0,0 +1,292 @@
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const { toLocalDay, addDays, getWeekday, getLocalDayBounds } = require('../utils/timeUtils');
+const {
+  ACTIVE_STATUSES,
+  BookingError,
+  resolveWindow,
+  createReservation,
+  cancelMatching,
+  reservationEvents
+} = require('./ReservationService');
+const { findSiteOf, getSiteTimezone } = require('./SiteService');
+
+/**
+ * Reservation Series Service
+ * Expands recurring reservation series into individual reservations and
+ * keeps them in sync when a series is edited, skipped or cancelled.
+ */
+
+// Upper bound on the occurrences a single series may expand to
+const MAX_SERIES_OCCURRENCES = 260;
+// Upper bound on the days scanned while expanding a series
+const MAX_SERIES_SPAN_DAYS = 731;
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly'];
+// Fields a series owner may change through an edit
+const EDITABLE_FIELDS = ['cubicle', 'slot', 'frequency', 'daysOfWeek', 'startDate', 'until', 'count', 'exceptions'];
+
+/**
+ * Check that a series definition can be expanded.
+ * @param {Object} series - Series definition
+ */
+function validateSeries({ frequency, daysOfWeek, startDate, until, count }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new BookingError(`Unknown frequency "${frequency}"`);
+  }
+  if (frequency === 'weekly' && (!daysOfWeek || daysOfWeek.length === 0)) {
+    throw new BookingError('Weekly series need at least one day of the week');
+  }
+  if (!until && !count) {
+    throw new BookingError('A series needs either an end date (until) or a number of occurrences (count)');
+  }
+  if (until && until < startDate) {
+    throw new BookingError('The series end date must not be before its start date');
+  }
+}
+
+/**
+ * Make sure the series points at an existing cubicle.
+ */
+async function ensureCubicleExists(cubicleId) {
+  if (!(await Cubicle.exists({ _id: cubicleId }))) {
+    throw new BookingError('Cubicle not found', 404);
+  }
+}
+
+/**
+ * Check whether a day matches the series frequency.
+ */
+function matchesFrequency(day, { frequency, daysOfWeek = [] }) {
+  const weekday = getWeekday(day);
+  if (frequency === 'weekdays') return weekday >= 1 && weekday <= 5;
+  if (frequency === 'weekly') return daysOfWeek.includes(weekday);
+  return true;
+}
+
+/**
+ * Expand a series into the local days it books.
+ * Skipped days still count towards `count`, so skipping never extends a series.
+ * @param {Object} series - Series definition
+ * @returns {Array<string>} Local days (YYYY-MM-DD), exceptions removed
+ */
+function expandOccurrences(series) {
+  const { startDate, until, count, exceptions = [] } = series;
+  const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  const days = [];
+  let occurrences = 0;
+
+  for (let i = 0, day = startDate; i < MAX_SERIES_SPAN_DAYS && occurrences < limit; i++, day = addDays(day, 1)) {
+    if (until && day > until) break;
+    if (!matchesFrequency(day, series)) continue;
+    occurrences++;
+    if (!exceptions.includes(day)) days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Timezone of the site a series' cubicle is in.
+ */
+async function seriesTimezone(series) {
+  return getSiteTimezone(await findSiteOf({ cubicle: series.cubicle }));
+}
+
+/**
+ * Turn the end date and exceptions given for a series into days of its site.
+ * @param {Object} fields - Series fields, `until` and `exceptions` as dates or days
+ * @param {string} timeZone - Timezone of the series' site
+ * @returns {Object} The days given, as YYYY-MM-DD
+ */
+function localDays({ until, exceptions }, timeZone) {
+  const days = {};
+  if (until !== undefined) days.until = until ? toLocalDay(until, timeZone) : undefined;
+  if (exceptions) days.exceptions = exceptions.map(day => toLocalDay(day, timeZone));
+  return days;
+}
+
+/**
+ * Create reservations for every occurrence of a series that has not ended yet.
+ * Occurrence days are booked in the timezone of the cubicle's site.
+ * Occurrences that clash with an existing booking are skipped and reported.
+ * @param {Object} series - Series document
+ * @param {Object} [options] - { since, skipDays, policy }
+ * @returns {Promise<{ created: Array, conflicts: Array }>} Expansion result
+ */
+async function materializeSeries(series, { since = new Date(), skipDays = [], policy = {} } = {}) {
+  const created = [];
+  const conflicts = [];
+  const timeZone = await seriesTimezone(series);
+
+  for (const day of expandOccurrences(series)) {
+    if (skipDays.includes(day)) continue;
+    const window = resolveWindow({ date: day, slot: series.slot }, timeZone);
+    if (window.endTime <= since) continue;
+    try {
+      const reservation = await createReservation({
+        cubicleId: series.cubicle,
+        user: series.user,
+        window,
+        series: series._id,
+        policy
+      });
+      created.push(reservation);
+    } catch (err) {
+      if (!(err instanceof BookingError)) throw err;
+      conflicts.push({ date: day, error: err.message, ...err.details, conflicts: err.details.conflicts || [] });
+    }
+  }
+
+  logger.info('[SERIES] Materialized', {
+    seriesId: String(series._id),
+    created: created.length,
+    conflicts: conflicts.length
+  });
+  return { created, conflicts };
+}
+
+/**
+ * Cancel the upcoming booked occurrences of a series.
+ * Checked-in occurrences are left alone.
+ * @returns {Promise<number>} Number of reservations cancelled
+ */
+async function cancelUpcomingOccurrences(series, cancelledBy, now = new Date()) {
+  const cancelled = await cancelMatching(
+    { series: series._id, status: 'booked', endTime: { $gt: now } },
+    cancelledBy,
+    now
+  );
+  return cancelled.length;
+}
+
+/**
+ * Create a series and book its occurrences.
+ * @param {Object} definition - Series fields plus `cubicle` and `user`
+ * @param {Object} [policy] - Policy context of the user creating the series
+ * @returns {Promise<{ series: Object, created: Array, conflicts: Array }>}
+ */
+async function createSeries(definition, policy = {}) {
+  await ensureCubicleExists(definition.cubicle);
+  const timeZone = await seriesTimezone(definition);
+  const series = new ReservationSeries({
+    ...definition,
+    ...localDays(definition, timeZone),
+    startDate: toLocalDay(definition.startDate || new Date(), timeZone)
+  });
+  validateSeries(series);
+  await series.save();
+  const result = await materializeSeries(series, { policy });
+  return { series, ...result };
+}
+
+/**
+ * Apply an edit to the whole series. Upcoming occurrences the new definition
+ * still books on the same cubicle and time are kept as they are; the others
+ * are cancelled and the days the edit adds are booked. The cancelled
+ * occurrences are announced as released once the new ones are booked, so the
+ * waitlist is never offered a time the owner moved to.
+ * @param {Object} series - Series document
+ * @param {Object} changes - Edited fields
+ * @param {Object} editedBy - User making the change
+ * @param {Object} [policy] - Policy context of the user making the change
+ * @returns {Promise<{ series: Object, created: Array, conflicts: Array, cancelled: number }>}
+ */
+async function updateSeries(series, changes, editedBy, policy = {}) {
+  if (series.status !== 'active') {
+    throw new BookingError('Cancelled series cannot be edited', 409);
+  }
+  const cubicle = changes.cubicle || series.cubicle;
+  await ensureCubicleExists(cubicle);
+  const timeZone = await seriesTimezone({ cubicle });
+  const edited = {
+    ...changes,
+    ...localDays(changes, timeZone),
+    ...(changes.startDate ? { startDate: toLocalDay(changes.startDate, timeZone) } : {})
+  };
+  EDITABLE_FIELDS.forEach(field => {
+    if (edited[field] !== undefined) series[field] = edited[field];
+  });
+  validateSeries(series);
+
+  // Windows the edited series books, by day
+  const windows = new Map(expandOccurrences(series).map(day => [
+    day,
+    resolveWindow({ date: day, slot: series.slot }, timeZone)
+  ]));
+  const unchanged = reservation => {
+    const window = windows.get(toLocalDay(reservation.startTime, timeZone));
+    return Boolean(window) && String(reservation.cubicle) === String(series.cubicle) &&
+      reservation.startTime.getTime() === window.startTime.getTime() &&
+      reservation.endTime.getTime() === window.endTime.getTime();
+  };
+
+  // Occurrences already checked in stay as they are
+  const now = new Date();
+  const upcoming = await Reservation.find({ series: series._id, status: { $in: ACTIVE_STATUSES }, endTime: { $gt: now } }).lean();
+  const dropped = upcoming.filter(r => r.status === 'booked' && !unchanged(r));
+  const keptDays = upcoming.filter(r => !dropped.includes(r)).map(r => toLocalDay(r.startTime, timeZone));
+
+  // Step out of the dropped occurrences first, so a new time on the same cubicle does not clash with them
+  await Reservation.updateMany(
+    { _id: { $in: dropped.map(r => r._id) }, status: 'booked' },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelledBy: editedBy } }
+  );
+  await series.save();
+
+  const result = await materializeSeries(series, { since: now, skipDays: keptDays, policy });
+  if (dropped.length > 0) reservationEvents.emit('released', dropped);
+  return { series, ...result, cancelled: dropped.length };
+}
+
+/**
+ * Skip a single occurrence of a series.
+ * @param {Object} series - Series document
+ * @param {string} date - Day to skip
+ * @param {Object} skippedBy - User skipping the occurrence
+ * @returns {Promise<{ series: Object, cancelled: number }>}
+ */
+async function skipOccurrence(series, date, skippedBy) {
+  const timeZone = await seriesTimezone(series);
+  const day = toLocalDay(date, timeZone);
+  if (!expandOccurrences({ ...series.toObject(), exceptions: [] }).includes(day)) {
+    throw new BookingError(`${day} is not an occurrence of this series`);
+  }
+  if (!series.exceptions.includes(day)) {
+    series.exceptions.push(day);
+    await series.save();
+  }
+
+  const { dayStart, dayEnd } = getLocalDayBounds(day, timeZone);
+  const cancelled = await cancelMatching(
+    { series: series._id, startTime: { $gte: dayStart, $lte: dayEnd } },
+    skippedBy
+  );
+  return { series, cancelled: cancelled.length };
+}
+
+/**
+ * Cancel a series and its upcoming occurrences.
+ * @returns {Promise<{ series: Object, cancelled: number }>}
+ */
+async function cancelSeries(series, cancelledBy) {
+  if (series.status !== 'active') {
+    throw new BookingError('Series is already cancelled', 409);
+  }
+  const cancelled = await cancelUpcomingOccurrences(series, cancelledBy);
+  series.status = 'cancelled';
+  await series.save();
+  return { series, cancelled };
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  expandOccurrences,
+  materializeSeries,
+  createSeries,
+  updateSeries,
+  skipOccurrence,
+  cancelSeries
+};
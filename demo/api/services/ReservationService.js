@@ -0,0 +1,591 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const BookingLock = require('../models/BookingLock');
+const { toLocalDay, atLocalTime } = require('../utils/timeUtils');
+const { getApplicablePolicies, findViolation } = require('./PolicyService');
+
+/**
+ * Reservation Service
+ * Resolves booking time windows, detects overlapping reservations,
+ * computes cubicle availability for a window and drives the reservation
+ * lifecycle (check-in, cancellation, no-show release, completion).
+ * Cubicles cannot be booked while a maintenance ticket has them out of service.
+ *
+ * Emits `created` on `reservationEvents` with each new reservation, and
+ * `released` with the reservations whose cubicle was freed by a
+ * cancellation, release or no-show.
+ */
+
+const reservationEvents = new EventEmitter();
+
+// Local working hours covered by each bookable slot ([hour, minute])
+const SLOTS = {
+  'full-day': { start: [8, 0], end: [18, 0] },
+  morning: { start: [8, 0], end: [13, 0] },
+  afternoon: { start: [13, 0], end: [18, 0] }
+};
+const SLOT_NAMES = [...Object.keys(SLOTS), 'custom'];
+
+const RESERVATION_STATUSES = ['booked', 'checked-in', 'cancelled', 'no-show', 'completed'];
+// Reservations in these states hold their cubicle
+const ACTIVE_STATUSES = ['booked', 'checked-in'];
+// Reservations in these states count as real usage
+const USED_STATUSES = ['checked-in', 'completed'];
+
+// Minutes after the start time a booking is held without a check-in
+const CHECK_IN_GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES) || 30;
+// Minutes before the start time check-in opens
+const CHECK_IN_EARLY_MINUTES = 15;
+
+// Longest single booking, so one reservation cannot hold a cubicle for weeks
+const MAX_BOOKING_HOURS = 24;
+
+// How long a booking lock is held at most, and how long to wait for a busy one
+const BOOKING_LOCK_TTL_MS = 10 * 1000;
+const BOOKING_LOCK_WAIT_MS = 2 * 1000;
+const BOOKING_LOCK_RETRY_MS = 50;
+
+/**
+ * Error raised when a booking request cannot be fulfilled.
+ * Carries the HTTP status and any extra fields for the response body.
+ */
+class BookingError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BookingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Resolve a booking window from request input.
+ * Explicit startTime/endTime win; otherwise the named slot is applied to `date`.
+ * @param {Object} input - { date, slot, startTime, endTime }
+ * @param {string} [timeZone] - IANA timezone the slot hours are expressed in
+ * @returns {{ startTime: Date, endTime: Date, slot: string }} Window
+ */
+function resolveWindow({ date, slot, startTime, endTime } = {}, timeZone) {
+  if (startTime || endTime) {
+    if (!startTime || !endTime) {
+      throw new BookingError('Both startTime and endTime are required for a custom window');
+    }
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (!(start < end)) {
+      throw new BookingError('endTime must be after startTime');
+    }
+    return { startTime: start, endTime: end, slot: 'custom' };
+  }
+
+  const slotName = slot && slot !== 'custom' ? slot : 'full-day';
+  const hours = SLOTS[slotName];
+  if (!hours) {
+    throw new BookingError(`Unknown slot "${slot}"`);
+  }
+  const day = toLocalDay(date || new Date(), timeZone);
+  return {
+    startTime: atLocalTime(day, hours.start[0], hours.start[1], timeZone),
+    endTime: atLocalTime(day, hours.end[0], hours.end[1], timeZone),
+    slot: slotName
+  };
+}
+
+/**
+ * Mongo filter matching active reservations that overlap a window.
+ */
+function overlapQuery({ startTime, endTime }) {
+  return { status: { $in: ACTIVE_STATUSES }, startTime: { $lt: endTime }, endTime: { $gt: startTime } };
+}
+
+/**
+ * Build a filter for unresolved maintenance tickets whose out-of-service
+ * window overlaps a window. A window without an end lasts until resolved.
+ */
+function outageQuery({ startTime, endTime }) {
+  return {
+    status: { $ne: 'resolved' },
+    'outOfService.startTime': { $lt: endTime },
+    $or: [{ 'outOfService.endTime': null }, { 'outOfService.endTime': { $gt: startTime } }]
+  };
+}
+
+/**
+ * Build a filter for waitlist offers holding their cubicle during a window.
+ */
+function holdQuery({ startTime, endTime }) {
+  return {
+    status: 'offered',
+    'offer.expiresAt': { $gt: new Date() },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+}
+
+/**
+ * Build the reservation user sub-document from a decoded Firebase token.
+ */
+function buildUserInfo(user) {
+  return {
+    uid: user.uid,
+    email: user.email,
+    displayName: user.name || user.displayName || null
+  };
+}
+
+/**
+ * Reduce a reservation to the fields returned in conflict reports.
+ */
+function summarizeReservation(reservation) {
+  return {
+    _id: reservation._id,
+    cubicle: reservation.cubicle,
+    user: reservation.user,
+    startTime: reservation.startTime,
+    endTime: reservation.endTime,
+    slot: reservation.slot,
+    status: reservation.status,
+    groupBooking: reservation.groupBooking,
+    maintenanceTicket: reservation.maintenanceTicket
+  };
+}
+
+/**
+ * Find reservations on a cubicle that overlap a window.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Object} window - { startTime, endTime }
+ * @returns {Promise<Array>} Overlapping reservations
+ */
+async function findConflicts(cubicleId, window) {
+  return Reservation.find({ cubicle: cubicleId, ...overlapQuery(window) }).lean();
+}
+
+/**
+ * Find waitlist offers holding a cubicle during a window for other users.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Object} window - { startTime, endTime }
+ * @param {string} [uid] - User the hold does not apply to
+ * @returns {Promise<Array>} Holding waitlist entries
+ */
+async function findOfferHolds(cubicleId, window, uid) {
+  return WaitlistEntry.find({
+    ...holdQuery(window),
+    'offer.cubicle': cubicleId,
+    'user.uid': { $ne: uid }
+  }).lean();
+}
+
+/**
+ * Find maintenance tickets taking a cubicle out of service during a window.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Object} window - { startTime, endTime }
+ * @returns {Promise<Array>} Overlapping unresolved tickets
+ */
+async function findOutages(cubicleId, window) {
+  return MaintenanceTicket.find({ cubicle: cubicleId, ...outageQuery(window) }).lean();
+}
+
+/**
+ * Run `fn` while holding the booking lock of a cubicle.
+ * The lock is taken with a conditional update on the cubicle document, so
+ * only one request at a time can check for conflicts and insert a
+ * reservation for that cubicle. Locks left behind by a crashed request
+ * expire after BOOKING_LOCK_TTL_MS.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Function} fn - Work to do while holding the lock
+ * @returns {Promise<*>} Result of `fn`
+ */
+async function withCubicleLock(cubicleId, fn) {
+  const token = crypto.randomUUID();
+  const giveUpAt = Date.now() + BOOKING_LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    const locked = await Cubicle.updateOne(
+      {
+        _id: cubicleId,
+        $or: [{ 'bookingLock.expiresAt': { $exists: false } }, { 'bookingLock.expiresAt': { $lte: now } }]
+      },
+      { $set: { bookingLock: { token, expiresAt: new Date(now.getTime() + BOOKING_LOCK_TTL_MS) } } }
+    );
+    if (locked.modifiedCount === 1) break;
+    if (Date.now() >= giveUpAt) {
+      throw new BookingError('Cubicle is being booked by someone else, please try again', 409, {
+        code: 'BOOKING_IN_PROGRESS'
+      });
+    }
+    await new Promise(resolve => setTimeout(resolve, BOOKING_LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Cubicle.updateOne({ _id: cubicleId, 'bookingLock.token': token }, { $unset: { bookingLock: '' } });
+  }
+}
+
+/**
+ * Run `fn` while holding the booking lock of a user.
+ * The lock is a BookingLock document inserted or taken over with an upsert:
+ * while another request holds it, the upsert fails on the duplicate key.
+ * Used to check booking policy quotas one booking at a time, since parallel
+ * bookings on different cubicles do not share a cubicle lock. Locks left
+ * behind by a crashed request expire after BOOKING_LOCK_TTL_MS.
+ * @param {string} uid - User UID
+ * @param {Function} fn - Work to do while holding the lock
+ * @returns {Promise<*>} Result of `fn`
+ */
+async function withUserLock(uid, fn) {
+  const key = `user:${uid}`;
+  const token = crypto.randomUUID();
+  const giveUpAt = Date.now() + BOOKING_LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    try {
+      await BookingLock.updateOne(
+        { _id: key, expiresAt: { $lte: now } },
+        { $set: { token, expiresAt: new Date(now.getTime() + BOOKING_LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+      break;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+    if (Date.now() >= giveUpAt) {
+      throw new BookingError('Another booking of yours is in progress, please try again', 409, {
+        code: 'BOOKING_IN_PROGRESS'
+      });
+    }
+    await new Promise(resolve => setTimeout(resolve, BOOKING_LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await BookingLock.deleteOne({ _id: key, token });
+  }
+}
+
+/**
+ * Reject a booking that breaks an applicable booking policy.
+ * @param {Object} params - { cubicle, user, window, policy }
+ * @param {Object} params.policy - { groups, bypass } from buildPolicyContext
+ */
+async function enforcePolicies({ cubicle, user, window, policy = {} }) {
+  if (policy.bypass) return;
+  const policies = await getApplicablePolicies(cubicle, user.uid);
+  if (policies.length === 0) return;
+
+  const now = new Date();
+  const activeReservations = await Reservation.countDocuments({
+    'user.uid': user.uid,
+    status: { $in: ACTIVE_STATUSES },
+    endTime: { $gt: now }
+  });
+  const violation = findViolation({ policies, window, groups: policy.groups || [], activeReservations, now });
+  if (violation) {
+    throw new BookingError(violation.message, 403, {
+      code: 'POLICY_VIOLATION',
+      rule: violation.rule,
+      limit: violation.limit,
+      policy: violation.policy
+    });
+  }
+}
+
+/**
+ * Create a reservation for a cubicle, rejecting overlapping bookings and
+ * bookings that break a booking policy. The policy check, conflict check and
+ * insert run under the user's and the cubicle's booking locks (always taken
+ * in that order), so concurrent requests can neither both book the cubicle
+ * nor both use up the user's last allowed booking. Users not bound by
+ * policies only take the cubicle lock.
+ * @param {Object} params - { cubicleId, user, window, series, groupBooking, policy }
+ * @returns {Promise<Object>} The created reservation
+ */
+async function createReservation({ cubicleId, user, window, series = null, groupBooking = null, policy = {} }) {
+  if (window.endTime <= new Date()) {
+    throw new BookingError('Cannot book a time that has already passed');
+  }
+  if (window.endTime - window.startTime > MAX_BOOKING_HOURS * 60 * 60 * 1000) {
+    throw new BookingError(`A booking may last at most ${MAX_BOOKING_HOURS} hours`);
+  }
+
+  const cubicle = await Cubicle.findById(cubicleId);
+  if (!cubicle || cubicle.status === 'error') {
+    throw new BookingError('Not available', 400);
+  }
+
+  const outages = await findOutages(cubicle._id, window);
+  if (outages.length > 0) {
+    throw new BookingError('Cubicle is out of service for maintenance at the requested time', 409, {
+      code: 'OUT_OF_SERVICE',
+      ticket: outages[0]._id
+    });
+  }
+
+  const book = () => withCubicleLock(cubicle._id, async () => {
+    await enforcePolicies({ cubicle, user, window, policy });
+
+    const conflicts = await findConflicts(cubicle._id, window);
+    if (conflicts.length > 0) {
+      throw new BookingError('Cubicle is already booked for the requested time', 409, {
+        conflicts: conflicts.map(summarizeReservation)
+      });
+    }
+
+    const holds = await findOfferHolds(cubicle._id, window, user.uid);
+    if (holds.length > 0) {
+      throw new BookingError('Cubicle is held for a waitlist offer', 409, {
+        heldUntil: holds[0].offer.expiresAt
+      });
+    }
+
+    return Reservation.create({
+      cubicle: cubicle._id,
+      user,
+      date: window.startTime,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      slot: window.slot,
+      series,
+      groupBooking
+    });
+  });
+  const reservation = policy.bypass ? await book() : await withUserLock(user.uid, book);
+  logger.info('[RESERVATION] Created', { reservationId: reservation._id, cubicleId: String(cubicle._id) });
+  reservationEvents.emit('created', [reservation.toObject()]);
+  return reservation;
+}
+
+/**
+ * Cancel the active reservations matching a filter and announce the freed cubicles.
+ * A `status` in the filter narrows the active states that are cancelled.
+ * @param {Object} filter - Reservation filter
+ * @param {Object} [cancelledBy] - User cancelling the reservations
+ * @param {Date} [now] - Cancellation time
+ * @returns {Promise<Array>} The cancelled reservations
+ */
+async function cancelMatching(filter, cancelledBy = null, now = new Date()) {
+  const cancelled = await Reservation.find({ status: { $in: ACTIVE_STATUSES }, ...filter }).lean();
+  if (cancelled.length === 0) return [];
+  await Reservation.updateMany(
+    { _id: { $in: cancelled.map(r => r._id) }, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelledBy } }
+  );
+  reservationEvents.emit('released', cancelled);
+  return cancelled;
+}
+
+/**
+ * Cancel the active reservations on a cubicle that overlap a window.
+ * @param {string} cubicleId - Cubicle ID
+ * @param {Object} window - { startTime, endTime }
+ * @param {Object} [cancelledBy] - User releasing the cubicle
+ * @returns {Promise<number>} Number of reservations cancelled
+ */
+async function releaseReservations(cubicleId, window, cancelledBy = null) {
+  const cancelled = await cancelMatching({ cubicle: cubicleId, ...overlapQuery(window) }, cancelledBy);
+  return cancelled.length;
+}
+
+/**
+ * Cancel a single reservation.
+ * @param {Object} reservation - Reservation document
+ * @param {Object} [cancelledBy] - User cancelling the reservation
+ * @returns {Promise<Object>} The cancelled reservation
+ */
+async function cancelReservation(reservation, cancelledBy = null) {
+  if (!ACTIVE_STATUSES.includes(reservation.status)) {
+    throw new BookingError(`Reservation is already ${reservation.status}`, 409);
+  }
+  reservation.status = 'cancelled';
+  reservation.cancelledAt = new Date();
+  reservation.cancelledBy = cancelledBy;
+  await reservation.save();
+  logger.info('[RESERVATION] Cancelled', { reservationId: reservation._id });
+  reservationEvents.emit('released', [reservation.toObject()]);
+  return reservation;
+}
+
+/**
+ * Check a user in to their reservation.
+ * Check-in opens shortly before the start time and closes when the grace period ends.
+ * @param {Object} reservation - Reservation document
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} The checked-in reservation
+ */
+async function checkIn(reservation, now = new Date()) {
+  if (reservation.status !== 'booked') {
+    throw new BookingError(`Cannot check in to a reservation that is ${reservation.status}`, 409);
+  }
+  const opensAt = new Date(reservation.startTime.getTime() - CHECK_IN_EARLY_MINUTES * 60 * 1000);
+  const closesAt = new Date(Math.min(
+    reservation.startTime.getTime() + CHECK_IN_GRACE_MINUTES * 60 * 1000,
+    reservation.endTime.getTime()
+  ));
+  if (now < opensAt || now > closesAt) {
+    throw new BookingError('Check-in is only available around the reservation start time', 409, {
+      checkInOpensAt: opensAt,
+      checkInClosesAt: closesAt
+    });
+  }
+  reservation.status = 'checked-in';
+  reservation.checkedInAt = now;
+  await reservation.save();
+  logger.info('[RESERVATION] Checked in', { reservationId: reservation._id });
+  return reservation;
+}
+
+/**
+ * Release bookings nobody checked in to within the grace period and
+ * complete checked-in reservations whose window has ended.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{ released: Array, completed: number }>} Sweep result
+ */
+async function sweepReservations(now = new Date()) {
+  const graceCutoff = new Date(now.getTime() - CHECK_IN_GRACE_MINUTES * 60 * 1000);
+  const released = await Reservation.find({ status: 'booked', startTime: { $lte: graceCutoff } }).lean();
+  if (released.length > 0) {
+    await Reservation.updateMany(
+      { _id: { $in: released.map(r => r._id) }, status: 'booked' },
+      { $set: { status: 'no-show', releasedAt: now } }
+    );
+    reservationEvents.emit('released', released);
+  }
+  const { modifiedCount: completed } = await Reservation.updateMany(
+    { status: 'checked-in', endTime: { $lte: now } },
+    { $set: { status: 'completed', completedAt: now } }
+  );
+  if (released.length > 0 || completed > 0) {
+    logger.info('[RESERVATION] Lifecycle sweep', { released: released.length, completed });
+  }
+  return { released, completed };
+}
+
+/**
+ * Run the lifecycle sweep on an interval.
+ * @param {Object} [options] - { intervalMs, onChange }
+ * @param {Function} [options.onChange] - Called with the sweep result when anything changed
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startLifecycleJob({ intervalMs = 60 * 1000, onChange } = {}) {
+  return setInterval(async () => {
+    try {
+      const result = await sweepReservations();
+      if (onChange && (result.released.length > 0 || result.completed > 0)) {
+        await onChange(result);
+      }
+    } catch (err) {
+      logger.error('[RESERVATION] Lifecycle sweep failed:', err);
+    }
+  }, intervalMs);
+}
+
+/**
+ * Compute each cubicle's status for a window from the reservations that overlap it.
+ * Cubicles flagged `error` or out of service for maintenance during the
+ * window are in error; cubicles held for a waitlist offer count as reserved;
+ * the rest are reserved or available.
+ * @param {Object} window - { startTime, endTime }
+ * @param {Object} [filter] - Extra Cubicle filter
+ * @returns {Promise<Array>} Cubicles with computed `status`, `reservation` and `heldUntil`
+ */
+async function getCubicleAvailability(window, filter = {}) {
+  const [cubicles, reservations, holds, outages] = await Promise.all([
+    Cubicle.find(filter).lean(),
+    Reservation.find(overlapQuery(window)).lean(),
+    WaitlistEntry.find(holdQuery(window)).lean(),
+    MaintenanceTicket.find(outageQuery(window), 'cubicle').lean()
+  ]);
+
+  const reservationByCubicle = new Map();
+  reservations.forEach(r => reservationByCubicle.set(String(r.cubicle), r));
+  const holdByCubicle = new Map();
+  holds.forEach(entry => holdByCubicle.set(String(entry.offer.cubicle), entry));
+  const outOfService = new Set(outages.map(ticket => String(ticket.cubicle)));
+
+  return cubicles.map(cubicle => {
+    const reservation = reservationByCubicle.get(String(cubicle._id));
+    const hold = holdByCubicle.get(String(cubicle._id));
+    let status = 'available';
+    if (cubicle.status === 'error' || outOfService.has(String(cubicle._id))) status = 'error';
+    else if (reservation || hold) status = 'reserved';
+    return {
+      ...cubicle,
+      status,
+      reservation: reservation ? summarizeReservation(reservation) : null,
+      heldUntil: !reservation && hold ? hold.offer.expiresAt : null
+    };
+  });
+}
+
+/**
+ * Backfill time windows and lifecycle states on reservations created before
+ * they existed, and clear the legacy `reserved` flag now that availability
+ * is computed. Past legacy bookings predate check-in and count as completed.
+ */
+async function migrateLegacyReservations() {
+  const legacy = await Reservation.find({ startTime: { $exists: false } }).lean();
+  for (const reservation of legacy) {
+    const window = resolveWindow({ date: reservation.date || new Date() });
+    await Reservation.updateOne(
+      { _id: reservation._id },
+      { $set: { date: window.startTime, startTime: window.startTime, endTime: window.endTime, slot: window.slot } }
+    );
+  }
+  const now = new Date();
+  const withoutStatus = { status: { $exists: false } };
+  const completed = await Reservation.updateMany(
+    { ...withoutStatus, endTime: { $lte: now } },
+    { $set: { status: 'completed', completedAt: now } }
+  );
+  const booked = await Reservation.updateMany(withoutStatus, { $set: { status: 'booked' } });
+  const { modifiedCount } = await Cubicle.updateMany({ status: 'reserved' }, { $set: { status: 'available' } });
+  const statuses = completed.modifiedCount + booked.modifiedCount;
+  if (legacy.length > 0 || statuses > 0 || modifiedCount > 0) {
+    logger.info('[RESERVATION] Migrated legacy reservations', {
+      reservations: legacy.length,
+      statuses,
+      cubicles: modifiedCount
+    });
+  }
+}
+
+module.exports = {
+  SLOTS,
+  SLOT_NAMES,
+  RESERVATION_STATUSES,
+  ACTIVE_STATUSES,
+  USED_STATUSES,
+  CHECK_IN_GRACE_MINUTES,
+  BookingError,
+  reservationEvents,
+  resolveWindow,
+  overlapQuery,
+  outageQuery,
+  holdQuery,
+  buildUserInfo,
+  summarizeReservation,
+  findConflicts,
+  findOfferHolds,
+  findOutages,
+  withCubicleLock,
+  withUserLock,
+  enforcePolicies,
+  createReservation,
+  cancelMatching,
+  releaseReservations,
+  cancelReservation,
+  checkIn,
+  sweepReservations,
+  startLifecycleJob,
+  getCubicleAvailability,
+  migrateLegacyReservations
+};
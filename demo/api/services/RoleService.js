@@ -0,0 +1,258 @@
+const logger = require('../logger');
+const admin = require('../firebaseAdmin');
+const Building = require('../models/Building');
+const UserRole = require('../models/UserRole');
+const { recordAudit } = require('./AuditService');
+const { getAdminUids } = require('../utils/adminUtils');
+
+/**
+ * Role Service
+ * Role-based access control. Every user has one role, stored in Mongo
+ * (UserRole) and granting the permissions of ROLE_PERMISSIONS. Facility
+ * managers and site admins hold theirs at the sites they were given only;
+ * super admins hold every permission at every site. The users listed in
+ * ADMIN_UIDS are super admins, so a new install has someone to hand out
+ * roles, and the admins listed on a building are site admins of it.
+ * Users made admins with the Firebase `admin` claim, before roles existed,
+ * are given the super admin role once at startup (migrateAdminClaims).
+ * Access is cached for ACCESS_CACHE_MS per user.
+ */
+
+const ROLES = ['user', 'facility-manager', 'site-admin', 'super-admin'];
+
+const FACILITY_MANAGER_PERMISSIONS = [
+  'cubicles:status',      // Mark cubicles out of order and return them to service
+  'maintenance:manage'    // See, assign and resolve maintenance tickets, schedule outages
+];
+const SITE_ADMIN_PERMISSIONS = [
+  ...FACILITY_MANAGER_PERMISSIONS,
+  'cubicles:manage',      // Create, edit and delete cubicles
+  'bookings:override',    // Release or change other users' bookings
+  'floorPlan:manage',     // Edit buildings, floors and sections
+  'reports:manage',       // Generate utilization reports and custom report definitions
+  'notifications:send',   // Send bulk notifications
+  'statistics:users'      // See the per-user statistics
+];
+
+/**
+ * Permissions of each role. Only super admins hold the permissions that are
+ * not tied to a site.
+ */
+const ROLE_PERMISSIONS = {
+  user: [],
+  'facility-manager': FACILITY_MANAGER_PERMISSIONS,
+  'site-admin': SITE_ADMIN_PERMISSIONS,
+  'super-admin': [
+    ...SITE_ADMIN_PERMISSIONS,
+    'buildings:manage',     // Create and delete buildings, choose their site admins
+    'policies:manage',      // Edit booking policies
+    'policies:bypass',      // Book without being bound by booking policies
+    'users:manage',         // Manage user accounts, groups and roles
+    'audit:view',           // Read the audit log
+    'notifications:stats',  // See notification statistics
+    'system:manage'         // System checks and test endpoints
+  ]
+};
+
+// How long a user's access is reused before it is looked up again
+const ACCESS_CACHE_MS = 30 * 1000;
+// uid -> { access (promise), expiresAt }
+const accessCache = new Map();
+
+/**
+ * What a user may do.
+ * @typedef UserAccess
+ * @type {object}
+ * @property {string} uid - User UID
+ * @property {string} role - The user's highest role
+ * @property {Array<string>} permissions - Every permission the user holds, at one site at least
+ * @property {Array<object>} sites - { site (building ID), role, permissions } for each site a facility manager or site admin looks after
+ */
+
+/**
+ * Look up a user's access in the role store and the buildings' admin lists.
+ * @param {string} uid - User UID
+ * @returns {Promise<UserAccess>}
+ */
+async function loadAccess(uid) {
+  if (getAdminUids().includes(uid)) {
+    return { uid, role: 'super-admin', permissions: ROLE_PERMISSIONS['super-admin'], sites: [] };
+  }
+  const [stored, adminOf] = await Promise.all([
+    UserRole.findOne({ uid }).lean(),
+    Building.find({ admins: uid }).distinct('_id')
+  ]);
+
+  const sites = new Map();
+  if (stored && stored.role !== 'super-admin') {
+    (stored.sites || []).forEach(site => sites.set(String(site), stored.role));
+  }
+  // Being listed as a building's admin makes the user a site admin of it
+  adminOf.forEach(site => sites.set(String(site), 'site-admin'));
+
+  const roles = [stored ? stored.role : 'user', ...sites.values()];
+  const role = ROLES[Math.max(...roles.map(r => ROLES.indexOf(r)))];
+  return {
+    uid,
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+    sites: [...sites].map(([site, siteRole]) => ({ site, role: siteRole, permissions: ROLE_PERMISSIONS[siteRole] }))
+  };
+}
+
+/**
+ * Get a user's role, sites and permissions.
+ * @param {string} uid - User UID
+ * @returns {Promise<UserAccess>}
+ */
+function getUserAccess(uid) {
+  const cached = accessCache.get(uid);
+  if (cached && cached.expiresAt > Date.now()) return cached.access;
+
+  const access = loadAccess(uid);
+  accessCache.set(uid, { access, expiresAt: Date.now() + ACCESS_CACHE_MS });
+  access.catch(() => accessCache.delete(uid));
+  return access;
+}
+
+/**
+ * Forget the cached access of a user, or of every user (after the admins of a
+ * building changed).
+ * @param {string} [uid] - User UID
+ */
+function invalidateAccess(uid) {
+  if (uid) accessCache.delete(uid);
+  else accessCache.clear();
+}
+
+/**
+ * Check whether an access holds a permission at a site. Without a site
+ * (every site, or a cubicle that is not on the floor plan) only super admins
+ * hold it.
+ * @param {UserAccess} access
+ * @param {string} permission
+ * @param {Object|string} [site] - Building or building ID
+ * @returns {boolean}
+ */
+function hasPermission(access, permission, site) {
+  if (access.role === 'super-admin') return access.permissions.includes(permission);
+  if (!site) return false;
+  const siteId = String(site._id || site);
+  const entry = access.sites.find(s => s.site === siteId);
+  return Boolean(entry && entry.permissions.includes(permission));
+}
+
+/**
+ * Check whether a user holds a permission at a site.
+ * @param {string} uid - User UID
+ * @param {string} permission
+ * @param {Object|string} [site] - Building or building ID
+ * @returns {Promise<boolean>}
+ */
+async function hasSitePermission(uid, permission, site) {
+  return hasPermission(await getUserAccess(uid), permission, site);
+}
+
+/**
+ * The sites at which an access holds a permission.
+ * @param {UserAccess} access
+ * @param {string} permission
+ * @returns {Array<string>|null} Building IDs, or null for every site
+ */
+function sitesWithPermission(access, permission) {
+  if (access.role === 'super-admin') return access.permissions.includes(permission) ? null : [];
+  return access.sites
+    .filter(({ permissions }) => permissions.includes(permission))
+    .map(({ site }) => site);
+}
+
+/**
+ * List the roles given to users, highest first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listUserRoles() {
+  const roles = await UserRole.find().populate('sites', 'name').lean();
+  return roles.sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || String(a.email).localeCompare(String(b.email)));
+}
+
+/**
+ * Give a user a role. Facility managers and site admins need the sites they
+ * look after; the sites of other roles are dropped. The change is audited.
+ * @param {Object} params - { uid, email, role, sites }
+ * @param {Object} actor - { uid, email } of the user making the change
+ * @returns {Promise<Object>} The stored role
+ */
+async function setUserRole({ uid, email, role, sites = [] }, actor) {
+  const previous = await UserRole.findOne({ uid }).lean();
+  const scoped = role === 'facility-manager' || role === 'site-admin';
+  const userRole = await UserRole.findOneAndUpdate(
+    { uid },
+    {
+      $set: {
+        role,
+        sites: scoped ? sites : [],
+        updatedBy: { uid: actor.uid, email: actor.email },
+        updatedAt: new Date(),
+        ...(email ? { email } : {})
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+  invalidateAccess(uid);
+
+  await recordAudit({
+    action: 'user.role',
+    actor,
+    target: { type: 'user', id: uid },
+    affectedUser: { uid, email: userRole.email },
+    details: {
+      previous: previous ? { role: previous.role, sites: (previous.sites || []).map(String) } : { role: 'user', sites: [] },
+      role,
+      sites: userRole.sites.map(String)
+    }
+  });
+  return userRole;
+}
+
+/**
+ * Give the super admin role to the users holding the Firebase `admin` custom
+ * claim, which made users admins before roles existed. Users who already have
+ * a role keep it, so running it again changes nothing and a demoted admin
+ * stays demoted. Does nothing when Firebase is not set up.
+ */
+async function migrateAdminClaims() {
+  const auth = admin.auth();
+  if (typeof auth.listUsers !== 'function') return;
+  let pageToken;
+  let migrated = 0;
+  do {
+    const page = await auth.listUsers(1000, pageToken);
+    for (const user of page.users) {
+      if (!user.customClaims || user.customClaims.admin !== true) continue;
+      const result = await UserRole.updateOne(
+        { uid: user.uid },
+        { $setOnInsert: { role: 'super-admin', email: user.email, sites: [] } },
+        { upsert: true }
+      );
+      migrated += result.upsertedCount;
+    }
+    pageToken = page.pageToken;
+  } while (pageToken);
+  if (migrated > 0) {
+    invalidateAccess();
+    logger.info('[ROLES] Migrated Firebase admin claims to super admin roles', { users: migrated });
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getUserAccess,
+  invalidateAccess,
+  hasPermission,
+  hasSitePermission,
+  sitesWithPermission,
+  listUserRoles,
+  setUserRole,
+  migrateAdminClaims
+};
@@ -0,0 +1,78 @@
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Section = require('../models/Section');
+const Cubicle = require('../models/Cubicle');
+const { DEFAULT_TIMEZONE } = require('../utils/timeUtils');
+
+/**
+ * Site Service
+ * A site is a building of the floor plan. Scopes cubicles, reservations,
+ * stats and reports to a site. Who may manage a site is decided by the
+ * RoleService.
+ */
+
+/**
+ * Get the section codes on every floor of a site.
+ * @param {string} siteId - Building ID
+ * @returns {Promise<Array<string>>}
+ */
+async function getSiteSectionCodes(siteId) {
+  const floorIds = await Floor.find({ building: siteId }).distinct('_id');
+  return Section.find({ floor: { $in: floorIds } }).distinct('code');
+}
+
+/**
+ * Cubicle filter for a site; an empty filter when no site is given.
+ * @param {string} [siteId] - Building ID
+ * @returns {Promise<Object>}
+ */
+async function cubicleFilterForSite(siteId) {
+  if (!siteId) return {};
+  return { section: { $in: await getSiteSectionCodes(siteId) } };
+}
+
+/**
+ * Reservation filter for a site; an empty filter when no site is given.
+ * @param {string} [siteId] - Building ID
+ * @returns {Promise<Object>}
+ */
+async function reservationFilterForSite(siteId) {
+  if (!siteId) return {};
+  const cubicleIds = await Cubicle.find(await cubicleFilterForSite(siteId)).distinct('_id');
+  return { cubicle: { $in: cubicleIds } };
+}
+
+/**
+ * Find the site a section or cubicle belongs to.
+ * @param {Object} target - { section } or { cubicle } (ID)
+ * @returns {Promise<Object|null>} The building, or null if it is not on the floor plan
+ */
+async function findSiteOf({ section, cubicle }) {
+  if (!section && cubicle) {
+    const doc = await Cubicle.findById(cubicle, 'section').lean();
+    section = doc && doc.section;
+  }
+  if (!section) return null;
+  const sectionDoc = await Section.findOne({ code: section }, 'floor').lean();
+  const floor = sectionDoc && await Floor.findById(sectionDoc.floor, 'building').lean();
+  return floor ? Building.findById(floor.building).lean() : null;
+}
+
+/**
+ * Get the timezone of a site, or the business default.
+ * @param {Object|string} [site] - Building or building ID
+ * @returns {Promise<string>} IANA timezone name
+ */
+async function getSiteTimezone(site) {
+  if (!site) return DEFAULT_TIMEZONE;
+  const building = site.timezone ? site : await Building.findById(site._id || site, 'timezone').lean();
+  return (building && building.timezone) || DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  getSiteSectionCodes,
+  cubicleFilterForSite,
+  reservationFilterForSite,
+  findSiteOf,
+  getSiteTimezone
+};
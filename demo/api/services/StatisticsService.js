@@ -0,0 +1,222 @@
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const { resolveWindow, overlapQuery, outageQuery, holdQuery } = require('./ReservationService');
+const { listSections } = require('./FloorPlanService');
+const {
+  cubicleFilterForSite,
+  reservationFilterForSite,
+  getSiteTimezone
+} = require('./SiteService');
+const { hasSitePermission } = require('./RoleService');
+
+/**
+ * Statistics Service
+ * The live cubicle statistics shown on the statistics page, served by
+ * /api/cubicle-stats and /cubicles/statistics and sent to socket clients as
+ * `statisticsUpdate`. Cubicle states (for today's full-day window) and
+ * per-user reservation counts are counted with aggregation pipelines in
+ * Mongo, so no cubicle or reservation is loaded into memory. Only users
+ * holding `statistics:users` at the site get the per-user figures.
+ */
+
+/**
+ * Cubicle statistics of a site, or of every site.
+ * @typedef CubicleStatistics
+ * @type {object}
+ * @property {string|null} site - The building the statistics cover (null for every site)
+ * @property {object} general - Cubicles in each state today
+ * @property {number} general.total - Cubicles
+ * @property {number} general.reserved - Cubicles held by a booking or a waitlist offer
+ * @property {number} general.available - Cubicles free to book
+ * @property {number} general.error - Cubicles in error or out of service
+ * @property {number} general.percentReserved - Reserved cubicles, in percent of the total
+ * @property {number} general.percentAvailable - Available cubicles, in percent of the total
+ * @property {number} general.percentError - Cubicles in error, in percent of the total
+ * @property {Array<object>} users - { user (email), reserved (bookings ever made, cancelled ones aside), percent (of all those bookings) }, most active first
+ * @property {Array<object>} sections - { section, name, floor, building, site, total, reserved, available, error, percentReserved }, in floor plan order
+ * @property {Array<object>} comparisons - { metric, value } headline figures
+ * @property {string} timestamp - When the statistics were computed (ISO 8601)
+ */
+
+const percentOf = (count, total) => total ? Math.round((count / total) * 100) : 0;
+
+// Headline figures that name a user
+const USER_COMPARISONS = ['Most Active User', 'Least Active User'];
+
+/**
+ * Count the cubicles in each state (available, reserved, error) per section
+ * during a window.
+ * @param {Object} filter - Cubicle filter
+ * @param {Object} window - { startTime, endTime }
+ * @returns {Promise<Array<{ section: string, available: number, reserved: number, error: number }>>}
+ */
+async function countCubicleStates(filter, window) {
+  // Only the cubicles held or out of service during the window are listed, at most one per cubicle
+  const [booked, held, outOfService] = await Promise.all([
+    Reservation.distinct('cubicle', overlapQuery(window)),
+    WaitlistEntry.distinct('offer.cubicle', holdQuery(window)),
+    MaintenanceTicket.distinct('cubicle', outageQuery(window))
+  ]);
+
+  const groups = await Cubicle.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        section: 1,
+        state: {
+          $switch: {
+            branches: [
+              { case: { $or: [{ $eq: ['$status', 'error'] }, { $in: ['$_id', outOfService] }] }, then: 'error' },
+              { case: { $in: ['$_id', [...booked, ...held]] }, then: 'reserved' }
+            ],
+            default: 'available'
+          }
+        }
+      }
+    },
+    { $group: { _id: { section: '$section', state: '$state' }, count: { $sum: 1 } } }
+  ]);
+
+  const sections = new Map();
+  groups.forEach(({ _id, count }) => {
+    if (!sections.has(_id.section)) sections.set(_id.section, { section: _id.section, available: 0, reserved: 0, error: 0 });
+    sections.get(_id.section)[_id.state] = count;
+  });
+  return [...sections.values()];
+}
+
+/**
+ * Count the bookings of each user, cancelled ones aside.
+ * @param {Object} filter - Reservation filter
+ * @returns {Promise<Array<{ user: string, reserved: number }>>} Most active first
+ */
+async function countUserReservations(filter) {
+  const users = await Reservation.aggregate([
+    { $match: { ...filter, status: { $ne: 'cancelled' }, 'user.email': { $nin: [null, ''] } } },
+    { $group: { _id: '$user.email', reserved: { $sum: 1 } } },
+    { $sort: { reserved: -1, _id: 1 } }
+  ]);
+  return users.map(({ _id, reserved }) => ({ user: _id, reserved }));
+}
+
+/**
+ * Count the cubicles of a site, or of every site, in each state today: the
+ * `general` and `sections` parts of the statistics, without the per-user
+ * figures. Today is resolved in the site's timezone.
+ * @param {string} [site] - Building ID
+ * @returns {Promise<{ site: string|null, general: Object, sections: Array<Object>, timestamp: string }>}
+ */
+async function getCubicleCounts(site) {
+  const window = resolveWindow({}, await getSiteTimezone(site));
+  const [stateCounts, floorPlanSections] = await Promise.all([
+    countCubicleStates(await cubicleFilterForSite(site), window),
+    listSections({ site })
+  ]);
+
+  const sum = state => stateCounts.reduce((total, section) => total + section[state], 0);
+  const reserved = sum('reserved');
+  const available = sum('available');
+  const error = sum('error');
+  const total = reserved + available + error;
+  const general = {
+    total,
+    reserved,
+    available,
+    error,
+    percentReserved: percentOf(reserved, total),
+    percentAvailable: percentOf(available, total),
+    percentError: percentOf(error, total)
+  };
+
+  // Sections in floor plan order; cubicles of sections not on it count in the totals only
+  const bySection = new Map(stateCounts.map(counts => [counts.section, counts]));
+  const sections = floorPlanSections.map(({ code: section, name, floor, building, site: sectionSite }) => {
+    const counts = bySection.get(section) || { available: 0, reserved: 0, error: 0 };
+    const sectionTotal = counts.available + counts.reserved + counts.error;
+    return {
+      section,
+      name,
+      floor,
+      building,
+      site: sectionSite,
+      total: sectionTotal,
+      reserved: counts.reserved,
+      available: counts.available,
+      error: counts.error,
+      percentReserved: percentOf(counts.reserved, sectionTotal)
+    };
+  });
+
+  return { site: site || null, general, sections, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Compute the cubicle statistics of a site, or of every site.
+ * @param {string} [site] - Building ID
+ * @returns {Promise<CubicleStatistics>}
+ */
+async function getCubicleStatistics(site) {
+  const [{ general, sections }, userCounts] = await Promise.all([
+    getCubicleCounts(site),
+    countUserReservations(await reservationFilterForSite(site))
+  ]);
+
+  const totalReservations = userCounts.reduce((count, user) => count + user.reserved, 0);
+  const users = userCounts.map(user => ({ ...user, percent: percentOf(user.reserved, totalReservations) }));
+
+  const topUser = users[0] || null;
+  const bottomUser = users.length > 1 ? users[users.length - 1] : null;
+  const comparisons = [
+    { metric: 'Total Users', value: users.length },
+    { metric: 'Total Reservations', value: totalReservations },
+    { metric: 'Average per User', value: users.length > 0 ? (totalReservations / users.length).toFixed(1) : 0 },
+    { metric: 'Most Active User', value: topUser ? `${topUser.user} (${topUser.reserved})` : 'None' },
+    { metric: 'Least Active User', value: bottomUser ? `${bottomUser.user} (${bottomUser.reserved})` : 'None' },
+    { metric: 'Utilization Rate', value: `${general.percentReserved}%` }
+  ];
+
+  return {
+    site: site || null,
+    general,
+    users,
+    sections,
+    comparisons,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Statistics without the figures of individual users, for users who may not
+ * see them at the site: the per-user counts and the headline figures naming a
+ * user are left out.
+ * @param {CubicleStatistics} stats
+ * @returns {Object} The statistics without `users`
+ */
+function withoutUserDetails(stats) {
+  const { users, ...rest } = stats;
+  return { ...rest, comparisons: stats.comparisons.filter(({ metric }) => !USER_COMPARISONS.includes(metric)) };
+}
+
+/**
+ * Compute the statistics of a site, or of every site, as a user may see them:
+ * with the per-user figures only when the user holds `statistics:users` at the site.
+ * @param {string} uid - User UID
+ * @param {string} [site] - Building ID
+ * @returns {Promise<Object>}
+ */
+async function getStatisticsForUser(uid, site) {
+  const [stats, seesUsers] = await Promise.all([
+    getCubicleStatistics(site),
+    hasSitePermission(uid, 'statistics:users', site)
+  ]);
+  return seesUsers ? stats : withoutUserDetails(stats);
+}
+
+module.exports = {
+  getCubicleCounts,
+  getCubicleStatistics,
+  getStatisticsForUser,
+  withoutUserDetails
+};
@@ -0,0 +1,244 @@
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const UtilizationReport = require('../models/UtilizationReport');
+const { USED_STATUSES } = require('./ReservationService');
+const { cubicleFilterForSite } = require('./SiteService');
+const { toLocalDay, addDays, getWeekday, getLocalDayBounds, DEFAULT_TIMEZONE } = require('../utils/timeUtils');
+
+/**
+ * Trend Service
+ * Compares a report with the reports stored for earlier periods and
+ * forecasts utilization for the days after it. The forecast is a weekday
+ * seasonal model with a linear trend, fitted to the daily check-in history
+ * of the last weeks, with a confidence band from the fit's residuals.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Days of history the forecast is fitted to, and days it looks ahead
+const HISTORY_DAYS = 56;
+const FORECAST_DAYS = 7;
+// Fewest days of history worth fitting a weekly pattern to
+const MIN_HISTORY_DAYS = 14;
+// Stored periods the utilization trend is measured over
+const TREND_PERIODS = 8;
+// Change in points per period below which utilization counts as stable
+const STABLE_SLOPE = 1;
+// Two-sided 95% confidence band
+const CONFIDENCE = 95;
+const CONFIDENCE_Z = 1.96;
+
+const round1 = value => Math.round(value * 10) / 10;
+const clampPercent = value => Math.min(100, Math.max(0, value));
+
+/**
+ * Least-squares line through the points (i, values[i]).
+ * @returns {{ intercept: number, slope: number }}
+ */
+function fitLine(values) {
+  const n = values.length;
+  if (n < 2) return { intercept: values[0] || 0, slope: 0 };
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  values.forEach((v, x) => {
+    sxy += (x - meanX) * (v - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  });
+  const slope = sxy / sxx;
+  return { intercept: meanY - slope * meanX, slope };
+}
+
+/**
+ * Fit a weekday seasonal model with a linear trend to a daily series.
+ * @param {Array<{ weekday: number, value: number }>} series - One point per consecutive day
+ * @returns {Function} (dayIndex, weekday) => { predicted, lower, upper }
+ */
+function fitSeasonalModel(series) {
+  // Weekday effects first, so a history that is not whole weeks does not tilt the trend
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  series.forEach(point => {
+    sums[point.weekday] += point.value;
+    counts[point.weekday]++;
+  });
+  const means = sums.map((sum, weekday) => counts[weekday] ? sum / counts[weekday] : null);
+  const observed = means.filter(mean => mean !== null);
+  const level = observed.reduce((sum, mean) => sum + mean, 0) / observed.length;
+  const seasonal = means.map(mean => mean === null ? 0 : mean - level);
+
+  const deseasonalized = series.map(point => point.value - seasonal[point.weekday]);
+  const { intercept, slope } = fitLine(deseasonalized);
+
+  // Residual spread after trend and weekday effects (2 trend + 7 weekday parameters)
+  const squared = deseasonalized.reduce((sum, value, i) => sum + (value - (intercept + slope * i)) ** 2, 0);
+  const sigma = Math.sqrt(squared / Math.max(1, series.length - 9));
+  const margin = CONFIDENCE_Z * sigma * Math.sqrt(1 + 1 / series.length);
+
+  return (dayIndex, weekday) => {
+    const predicted = clampPercent(intercept + slope * dayIndex + seasonal[weekday]);
+    return {
+      predicted: round1(predicted),
+      lower: round1(clampPercent(predicted - margin)),
+      upper: round1(clampPercent(predicted + margin))
+    };
+  };
+}
+
+/**
+ * Forecast daily utilization for the days after a period, overall and per
+ * section, from the check-ins of the weeks before it.
+ * @param {Object} params - { endDate, site, sections, timeZone }
+ * @param {Array<string>} params.sections - Section codes to forecast, in report order
+ * @returns {Promise<Object|null>} Forecast, or null when there is too little history
+ */
+async function forecastUtilization({ endDate, site, sections = [], timeZone = DEFAULT_TIMEZONE }) {
+  const lastDay = toLocalDay(endDate, timeZone);
+  const cubicles = await Cubicle.find(await cubicleFilterForSite(site), 'section').lean();
+  if (cubicles.length === 0) return null;
+
+  const firstBooking = await Reservation.findOne({
+    cubicle: { $in: cubicles.map(c => c._id) },
+    status: { $in: USED_STATUSES }
+  }).sort({ startTime: 1 }).lean();
+  if (!firstBooking) return null;
+
+  // History starts at the first check-in so days before the system was used do not count as empty
+  let firstDay = addDays(lastDay, 1 - HISTORY_DAYS);
+  const firstUse = toLocalDay(firstBooking.startTime, timeZone);
+  if (firstUse > firstDay) firstDay = firstUse;
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) days.push(day);
+  if (days.length < MIN_HISTORY_DAYS) return null;
+
+  // Cubicles checked in to per local day and section, counted in Mongo
+  const used = await Reservation.aggregate([
+    {
+      $match: {
+        cubicle: { $in: cubicles.map(c => c._id) },
+        status: { $in: USED_STATUSES },
+        startTime: {
+          $gte: getLocalDayBounds(`${firstDay}T12:00:00Z`, timeZone).dayStart,
+          $lte: getLocalDayBounds(`${lastDay}T12:00:00Z`, timeZone).dayEnd
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: Cubicle.collection.name,
+        localField: 'cubicle',
+        foreignField: '_id',
+        as: 'desk'
+      }
+    },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { date: '$startTime', format: '%Y-%m-%d', timezone: timeZone } },
+          section: { $arrayElemAt: ['$desk.section', 0] }
+        },
+        cubicles: { $addToSet: '$cubicle' }
+      }
+    },
+    { $project: { _id: 0, day: '$_id.day', section: '$_id.section', count: { $size: '$cubicles' } } }
+  ]);
+
+  // Check-ins per day, overall and per section
+  const sectionSizes = {};
+  cubicles.forEach(c => { sectionSizes[c.section] = (sectionSizes[c.section] || 0) + 1; });
+  const counts = {};
+  used.forEach(({ day, section, count }) => {
+    counts[day] = counts[day] || { total: 0 };
+    counts[day].total += count;
+    if (section) counts[day][section] = count;
+  });
+  const seriesFor = (key, size) => days.map(day => ({
+    weekday: getWeekday(day),
+    value: size > 0 ? clampPercent((((counts[day] || {})[key] || 0) / size) * 100) : 0
+  }));
+
+  const ahead = Array.from({ length: FORECAST_DAYS }, (_, i) => addDays(lastDay, i + 1));
+  const predictAhead = model => ahead.map((day, i) => model(days.length + i, getWeekday(day)));
+  const mean = (points, field) => round1(points.reduce((sum, p) => sum + p[field], 0) / points.length);
+
+  const overall = predictAhead(fitSeasonalModel(seriesFor('total', cubicles.length)));
+  return {
+    model: 'weekday-seasonal-linear-trend',
+    historyDays: days.length,
+    confidence: CONFIDENCE,
+    weekdays: ahead.map((day, i) => ({
+      date: getLocalDayBounds(`${day}T12:00:00Z`, timeZone).dayStart,
+      dayOfWeek: DAY_NAMES[getWeekday(day)],
+      ...overall[i]
+    })),
+    sections: sections
+      .filter(section => sectionSizes[section])
+      .map(section => {
+        const predictions = predictAhead(fitSeasonalModel(seriesFor(section, sectionSizes[section])));
+        return {
+          section,
+          predicted: mean(predictions, 'predicted'),
+          lower: mean(predictions, 'lower'),
+          upper: mean(predictions, 'upper')
+        };
+      }),
+    predicted: mean(overall, 'predicted')
+  };
+}
+
+/**
+ * Compare a period's utilization with the reports stored for earlier
+ * periods of the same type and site. Custom periods are compared with
+ * custom periods of the same length.
+ * @param {Object} params - { startDate, endDate, site, period, avgUtilization }
+ * @returns {Promise<Object>} { previousPeriodChange, weekOverWeekChange, utilizationTrend, comparedPeriods }
+ */
+async function compareWithStoredReports({ startDate, endDate, site, period = 'day', avgUtilization }) {
+  const length = endDate - startDate;
+  const earlier = await UtilizationReport.find({
+    period,
+    site: site || null,
+    weekStartDate: { $lt: startDate }
+  }, 'weekStartDate weekEndDate summary.avgUtilization generatedAt')
+    .sort({ weekStartDate: -1, generatedAt: -1 })
+    .lean();
+
+  // Latest generation of each earlier period (custom ones as long as this one, within an hour for DST days)
+  const periods = [];
+  const seen = new Set();
+  earlier.forEach(report => {
+    const key = report.weekStartDate.getTime();
+    const otherLength = period === 'custom' && Math.abs((report.weekEndDate - report.weekStartDate) - length) > 60 * 60 * 1000;
+    if (seen.has(key) || otherLength) return;
+    seen.add(key);
+    periods.push(report);
+  });
+
+  const change = report => report ? round1(avgUtilization - report.summary.avgUtilization) : null;
+  const previous = periods.find(report => report.weekEndDate < startDate);
+  const weekBefore = startDate.getTime() - 7 * 24 * 60 * 60 * 1000;
+  const lastWeek = periods.find(report => Math.abs(report.weekStartDate.getTime() - weekBefore) <= 60 * 60 * 1000);
+
+  const recent = periods.slice(0, TREND_PERIODS - 1).reverse();
+  let utilizationTrend = 'stable';
+  if (recent.length > 0) {
+    const { slope } = fitLine([...recent.map(report => report.summary.avgUtilization), avgUtilization]);
+    if (slope > STABLE_SLOPE) utilizationTrend = 'increasing';
+    else if (slope < -STABLE_SLOPE) utilizationTrend = 'decreasing';
+  }
+
+  return {
+    previousPeriodChange: change(previous),
+    weekOverWeekChange: change(lastWeek),
+    utilizationTrend,
+    comparedPeriods: recent.length
+  };
+}
+
+module.exports = {
+  HISTORY_DAYS,
+  FORECAST_DAYS,
+  fitSeasonalModel,
+  forecastUtilization,
+  compareWithStoredReports
+};
@@ -0,0 +1,314 @@
+const logger = require('../logger');
+const Cubicle = require('../models/Cubicle');
+const Building = require('../models/Building');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const NotificationService = require('./NotificationService');
+const {
+  BookingError,
+  reservationEvents,
+  overlapQuery,
+  findConflicts,
+  findOfferHolds,
+  findOutages,
+  withCubicleLock,
+  getCubicleAvailability,
+  createReservation
+} = require('./ReservationService');
+const { findSiteOf, cubicleFilterForSite } = require('./SiteService');
+
+/**
+ * Waitlist Service
+ * Queues users for full booking windows and offers them freed cubicles in
+ * the order they joined. An offer holds the cubicle for the user until it
+ * is claimed or expires, after which the next person in line gets it.
+ */
+
+const WAITLIST_SCOPES = ['cubicle', 'section', 'date'];
+// Entries still in line or holding an offer
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Minutes a waitlist offer holds its cubicle before moving on
+const OFFER_EXPIRY_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+/**
+ * Cubicle filter for the cubicles an entry is waiting for.
+ */
+async function cubicleFilterFor(entry) {
+  if (entry.scope === 'cubicle') return { _id: entry.cubicle };
+  if (entry.scope === 'section') return { section: entry.section };
+  return cubicleFilterForSite(entry.site);
+}
+
+/**
+ * Check whether a cubicle can be offered to an entry: it must be free,
+ * unheld and in service for the whole wanted window, and the user must not
+ * already hold a booking or offer for that time.
+ */
+async function isEligible(entry, cubicle) {
+  if (cubicle.status === 'error') return false;
+  const window = { startTime: entry.startTime, endTime: entry.endTime };
+
+  const [conflicts, holds, outages, booked, offered] = await Promise.all([
+    findConflicts(cubicle._id, window),
+    findOfferHolds(cubicle._id, window, entry.user.uid),
+    findOutages(cubicle._id, window),
+    Reservation.exists({ 'user.uid': entry.user.uid, ...overlapQuery(window) }),
+    WaitlistEntry.exists({
+      _id: { $ne: entry._id },
+      'user.uid': entry.user.uid,
+      status: 'offered',
+      startTime: { $lt: window.endTime },
+      endTime: { $gt: window.startTime }
+    })
+  ]);
+  return conflicts.length === 0 && holds.length === 0 && outages.length === 0 && !booked && !offered;
+}
+
+/**
+ * Offer a cubicle to a waiting entry and notify the user.
+ * Eligibility is checked under the cubicle's booking lock so a booking made
+ * at the same moment cannot slip in between.
+ * @returns {Promise<Object|null>} The offered entry, or null if it was not eligible or no longer waiting
+ */
+async function offerSpot(entry, cubicle, now = new Date()) {
+  const expiresAt = new Date(Math.min(now.getTime() + OFFER_EXPIRY_MINUTES * 60 * 1000, entry.endTime.getTime()));
+  let offered;
+  try {
+    offered = await withCubicleLock(cubicle._id, async () => {
+      if (!(await isEligible(entry, cubicle))) return null;
+      return WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'offered', offer: { cubicle: cubicle._id, offeredAt: now, expiresAt }, updatedAt: now } },
+        { new: true }
+      );
+    });
+  } catch (err) {
+    // Someone is booking the cubicle right now; it is not free to offer
+    if (err instanceof BookingError) return null;
+    throw err;
+  }
+  if (!offered) return null;
+
+  logger.info('[WAITLIST] Offered', { entryId: String(offered._id), cubicleId: String(cubicle._id), expiresAt });
+  try {
+    await new NotificationService().sendWaitlistOfferNotification(offered, cubicle);
+  } catch (err) {
+    logger.error('[WAITLIST] Error sending offer notification:', err);
+  }
+  return offered;
+}
+
+/**
+ * Offer a freed cubicle to the waiting entries it satisfies, oldest first.
+ * A freed window may serve several entries (e.g. a morning and an afternoon).
+ * @param {string} cubicleId - Freed cubicle
+ * @param {Object} window - { startTime, endTime } that was freed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} Entries that received an offer
+ */
+async function offerFreedCubicle(cubicleId, window, now = new Date()) {
+  const cubicle = await Cubicle.findById(cubicleId).lean();
+  if (!cubicle || cubicle.status === 'error') return [];
+  const site = await findSiteOf({ section: cubicle.section });
+
+  const candidates = await WaitlistEntry.find({
+    status: 'waiting',
+    startTime: { $gte: window.startTime },
+    endTime: { $lte: window.endTime, $gt: now },
+    $or: [
+      { scope: 'cubicle', cubicle: cubicle._id },
+      { scope: 'section', section: cubicle.section },
+      // Entries for a date wait at one site, or at any site when they name none
+      { scope: 'date', site: { $in: site ? [null, site._id] : [null] } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const offers = [];
+  for (const entry of candidates) {
+    const offered = await offerSpot(entry, cubicle, now);
+    if (offered) offers.push(offered);
+  }
+  return offers;
+}
+
+/**
+ * Offer the cubicles of cancelled or released reservations to the waitlist.
+ * @param {Array} reservations - Freed reservations
+ * @returns {Promise<Array>} Entries that received an offer
+ */
+async function offerReleasedSpots(reservations) {
+  const offers = [];
+  for (const reservation of reservations) {
+    offers.push(...await offerFreedCubicle(reservation.cubicle, reservation));
+  }
+  return offers;
+}
+
+/**
+ * Queue a user for a booking window.
+ * If a matching cubicle is already free the user is offered it straight away.
+ * @param {Object} params - { user, scope, cubicleId, section, site, window }; `site` limits a date entry to one site
+ * @returns {Promise<Object>} The waitlist entry
+ */
+async function joinWaitlist({ user, scope, cubicleId, section, site, window }) {
+  if (!WAITLIST_SCOPES.includes(scope)) {
+    throw new BookingError(`Unknown waitlist scope "${scope}"`);
+  }
+  if (window.endTime <= new Date()) {
+    throw new BookingError('Cannot join the waitlist for a time that has already passed');
+  }
+  if (scope === 'cubicle' && !(cubicleId && await Cubicle.exists({ _id: cubicleId }))) {
+    throw new BookingError('Cubicle not found', 404);
+  }
+  if (scope === 'section' && !(section && await Cubicle.exists({ section }))) {
+    throw new BookingError('Section not found', 404);
+  }
+  if (scope === 'date' && site && !(await Building.exists({ _id: site }))) {
+    throw new BookingError('Site not found', 404);
+  }
+
+  const target = {
+    scope,
+    cubicle: scope === 'cubicle' ? cubicleId : undefined,
+    section: scope === 'section' ? section : undefined,
+    site: scope === 'date' && site ? site : undefined
+  };
+  const duplicate = await WaitlistEntry.exists({
+    'user.uid': user.uid,
+    ...target,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    status: { $in: OPEN_STATUSES }
+  });
+  if (duplicate) {
+    throw new BookingError('You are already on the waitlist for this time', 409);
+  }
+
+  const entry = await WaitlistEntry.create({
+    user,
+    ...target,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    slot: window.slot
+  });
+  logger.info('[WAITLIST] Joined', { entryId: String(entry._id), scope });
+
+  // The window may have opened up since the user saw it full
+  const open = await getCubicleAvailability(window, await cubicleFilterFor(entry));
+  for (const cubicle of open.filter(c => c.status === 'available')) {
+    const offered = await offerSpot(entry, cubicle);
+    if (offered) return offered;
+  }
+  return entry;
+}
+
+/**
+ * Claim an offer by booking the held cubicle.
+ * @param {Object} entry - Waitlist entry document
+ * @param {Object} [policy] - Policy context of the claiming user
+ * @returns {Promise<{ entry: Object, reservation: Object }>}
+ */
+async function claimOffer(entry, policy = {}) {
+  if (entry.status !== 'offered') {
+    throw new BookingError(`Waitlist entry is ${entry.status}, there is no offer to claim`, 409);
+  }
+  if (entry.offer.expiresAt <= new Date()) {
+    throw new BookingError('The offer has expired', 409);
+  }
+
+  const reservation = await createReservation({
+    cubicleId: entry.offer.cubicle,
+    user: entry.user,
+    window: { startTime: entry.startTime, endTime: entry.endTime, slot: entry.slot },
+    policy
+  });
+  entry.status = 'claimed';
+  entry.reservation = reservation._id;
+  await entry.save();
+  logger.info('[WAITLIST] Claimed', { entryId: String(entry._id), reservationId: String(reservation._id) });
+  return { entry, reservation };
+}
+
+/**
+ * Leave the waitlist. A pending offer is passed on to the next person in line.
+ * @param {Object} entry - Waitlist entry document
+ * @returns {Promise<Object>} The cancelled entry
+ */
+async function leaveWaitlist(entry) {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw new BookingError(`Waitlist entry is already ${entry.status}`, 409);
+  }
+  const declinedOffer = entry.status === 'offered' ? entry.offer.cubicle : null;
+  entry.status = 'cancelled';
+  await entry.save();
+  if (declinedOffer) {
+    await offerFreedCubicle(declinedOffer, entry);
+  }
+  return entry;
+}
+
+/**
+ * Expire unclaimed offers (passing their cubicle on) and entries whose window has ended.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{ expiredOffers: number, reoffered: number, expiredEntries: number }>}
+ */
+async function sweepWaitlist(now = new Date()) {
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } }).lean();
+  if (lapsed.length > 0) {
+    await WaitlistEntry.updateMany(
+      { _id: { $in: lapsed.map(e => e._id) }, status: 'offered' },
+      { $set: { status: 'expired', updatedAt: now } }
+    );
+  }
+  let reoffered = 0;
+  for (const entry of lapsed) {
+    reoffered += (await offerFreedCubicle(entry.offer.cubicle, entry, now)).length;
+  }
+
+  const { modifiedCount: expiredEntries } = await WaitlistEntry.updateMany(
+    { status: 'waiting', endTime: { $lte: now } },
+    { $set: { status: 'expired', updatedAt: now } }
+  );
+  if (lapsed.length > 0 || expiredEntries > 0) {
+    logger.info('[WAITLIST] Sweep', { expiredOffers: lapsed.length, reoffered, expiredEntries });
+  }
+  return { expiredOffers: lapsed.length, reoffered, expiredEntries };
+}
+
+/**
+ * Run the waitlist sweep on an interval.
+ * @param {Object} [options] - { intervalMs, onChange }
+ * @param {Function} [options.onChange] - Called with the sweep result when an offer expired
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startWaitlistJob({ intervalMs = 60 * 1000, onChange } = {}) {
+  return setInterval(async () => {
+    try {
+      const result = await sweepWaitlist();
+      if (onChange && result.expiredOffers > 0) {
+        await onChange(result);
+      }
+    } catch (err) {
+      logger.error('[WAITLIST] Sweep failed:', err);
+    }
+  }, intervalMs);
+}
+
+// Offer freed cubicles as soon as a reservation is cancelled or released
+reservationEvents.on('released', reservations => {
+  offerReleasedSpots(reservations).catch(err => {
+    logger.error('[WAITLIST] Error offering released cubicles:', err);
+  });
+});
+
+module.exports = {
+  WAITLIST_SCOPES,
+  OFFER_EXPIRY_MINUTES,
+  joinWaitlist,
+  claimOffer,
+  leaveWaitlist,
+  offerFreedCubicle,
+  sweepWaitlist,
+  startWaitlistJob
+};
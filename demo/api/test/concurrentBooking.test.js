@@ -0,0 +1,101 @@
+// Concurrent booking: parallel requests for the same cubicle and window must
+// leave exactly one reservation, and a user's booking policy quota must hold
+// when they book several cubicles at once. Runs the API on an in-memory
+// MongoDB; ID tokens are the UID of the user they sign in.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Never talk to a configured database or Firebase project
+process.env.MONGO_URI = '';
+process.env.FIREBASE_CREDENTIALS_JSON = '';
+process.env.SEED = 'false';
+process.env.PORT = '0';
+
+const firebaseAdmin = require('../firebaseAdmin');
+firebaseAdmin.auth = () => ({
+  verifyIdToken: async token => ({ uid: token, email: `${token}@example.com` })
+});
+
+const { start } = require('../index');
+const Cubicle = require('../models/Cubicle');
+const Reservation = require('../models/Reservation');
+const BookingPolicy = require('../models/BookingPolicy');
+
+const PARALLEL_REQUESTS = 8;
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+let api;
+let baseUrl;
+let cubicles;
+
+function send(method, path, uid, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${uid}` },
+    body: JSON.stringify(body)
+  });
+}
+
+function reserve(uid, cubicle) {
+  return send('POST', '/reserve', uid, { cubicleId: String(cubicle._id), date: tomorrow, slot: 'morning' });
+}
+
+function reserveThroughCubicle(uid, cubicle) {
+  return send('PUT', `/cubicles/${cubicle._id}`, uid, { status: 'reserved', date: tomorrow, slot: 'morning' });
+}
+
+function succeeded(responses) {
+  return responses.filter(res => res.ok);
+}
+
+before(async () => {
+  api = await start();
+  baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+});
+
+after(async () => {
+  if (api) await api.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([Reservation.deleteMany({}), BookingPolicy.deleteMany({}), Cubicle.deleteMany({})]);
+  cubicles = await Cubicle.create([
+    { section: 'A', row: 1, col: 1, serial: 'A-1-1', name: 'A1' },
+    { section: 'A', row: 1, col: 2, serial: 'A-1-2', name: 'A2' }
+  ]);
+});
+
+test('parallel /reserve requests for one cubicle book it once', async () => {
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, i) => reserve(`user-${i}`, cubicles[0]))
+  );
+
+  assert.strictEqual(succeeded(responses).length, 1);
+  responses.filter(res => !res.ok).forEach(res => assert.strictEqual(res.status, 409));
+  assert.strictEqual(await Reservation.countDocuments({ cubicle: cubicles[0]._id, status: 'booked' }), 1);
+});
+
+test('parallel /reserve and PUT /cubicles/:id requests for one cubicle book it once', async () => {
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, i) => (i % 2
+      ? reserve(`user-${i}`, cubicles[0])
+      : reserveThroughCubicle(`user-${i}`, cubicles[0])))
+  );
+
+  assert.strictEqual(succeeded(responses).length, 1);
+  responses.filter(res => !res.ok).forEach(res => assert.strictEqual(res.status, 409));
+  assert.strictEqual(await Reservation.countDocuments({ cubicle: cubicles[0]._id, status: 'booked' }), 1);
+});
+
+test('parallel bookings of different cubicles by one user respect the reservation quota', async () => {
+  await BookingPolicy.create({ name: 'One desk at a time', rules: { maxActiveReservations: 1 } });
+
+  const responses = await Promise.all([
+    reserve('user-quota', cubicles[0]),
+    reserveThroughCubicle('user-quota', cubicles[1])
+  ]);
+
+  assert.strictEqual(succeeded(responses).length, 1);
+  responses.filter(res => !res.ok).forEach(res => assert.ok([403, 409].includes(res.status)));
+  assert.strictEqual(await Reservation.countDocuments({ 'user.uid': 'user-quota', status: 'booked' }), 1);
+});
@@ -0,0 +1,129 @@
+// demo/api/utils/cronUtils.js
+// Minimal five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in a timezone. Fields accept *, numbers, ranges, lists and /steps.
+const { DEFAULT_TIMEZONE } = require('./timeUtils');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Expand one cron field into the set of values it matches.
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      [from, to = from] = range.split('-').map(Number);
+      // "5/15" means every 15 from 5 on
+      if (stepText !== undefined && !range.includes('-')) to = max;
+    }
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} "${text}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression - Five space-separated fields, e.g. "5 0 * * 1"
+ * @returns {Object} Parsed schedule for cronMatches and nextCronRun
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+  const schedule = { expression };
+  FIELDS.forEach((field, i) => { schedule[field.name] = parseField(parts[i], field); });
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  // As in cron, when both day fields are restricted a day matching either one runs
+  schedule.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  return schedule;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ */
+function localParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    minute: 'numeric',
+    hour: 'numeric',
+    day: 'numeric',
+    month: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+function dayMatches(schedule, parts) {
+  const byMonthDay = schedule.dayOfMonth.has(parts.dayOfMonth);
+  const byWeekday = schedule.dayOfWeek.has(parts.dayOfWeek);
+  return schedule.month.has(parts.month) && (schedule.anyDay ? byMonthDay || byWeekday : byMonthDay && byWeekday);
+}
+
+/**
+ * Check whether a schedule runs in the minute of an instant.
+ * @param {Object} schedule - From parseCron
+ * @param {Date} date - Instant to check
+ * @param {string} [timeZone] - Timezone the schedule is expressed in
+ * @returns {boolean}
+ */
+function cronMatches(schedule, date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = localParts(date, timeZone);
+  return dayMatches(schedule, parts) && schedule.hour.has(parts.hour) && schedule.minute.has(parts.minute);
+}
+
+/**
+ * Find the first minute after an instant in which a schedule runs.
+ * Days and hours that cannot match are skipped whole.
+ * @param {Object} schedule - From parseCron
+ * @param {Date} after - Runs at or before this instant are ignored
+ * @param {string} [timeZone] - Timezone the schedule is expressed in
+ * @param {Date} [until] - Give up after this instant
+ * @returns {Date|null} Start of the minute of the next run, or null if there is none before `until`
+ */
+function nextCronRun(schedule, after, timeZone = DEFAULT_TIMEZONE, until = new Date(after.getTime() + 366 * 24 * 60 * MINUTE_MS)) {
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  while (time <= until.getTime()) {
+    const parts = localParts(new Date(time), timeZone);
+    if (!dayMatches(schedule, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+    } else if (!schedule.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!schedule.minute.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  nextCronRun
+};
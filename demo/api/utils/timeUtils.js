@@ -0,0 +1,132 @@
+// demo/api/utils/timeUtils.js
+// Timezone helpers for turning calendar days into absolute instants.
+const DEFAULT_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Costa_Rica';
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of an instant in the given timezone.
+ * Bare YYYY-MM-DD strings are already local days and are returned as-is.
+ * @param {Date|string} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {string} Local calendar day
+ */
+function toLocalDay(date, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Get the UTC offset (e.g. "-06:00") of a timezone at a given instant.
+ * @param {Date|string} date - Instant the offset applies to
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {string} Offset in ±HH:MM form
+ */
+function getUtcOffset(date, timeZone = DEFAULT_TIMEZONE) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(date))
+    .find(p => p.type === 'timeZoneName');
+  const offset = part ? part.value.replace('GMT', '') : '';
+  return offset || '+00:00';
+}
+
+/**
+ * Build the instant at which a timezone's clocks show a time on a local day.
+ * The offset is taken at the instant itself, not at another time of the day,
+ * so days on which daylight saving time starts or ends get the right bounds.
+ * @param {string} day - Local calendar day (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM:SS.mmm)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Absolute instant
+ */
+function fromLocalTime(day, time, timeZone) {
+  // Guess with the offset at the wall-clock time read as UTC (a few hours away),
+  // then use the offset at the guessed instant
+  const guess = new Date(`${day}T${time}${getUtcOffset(`${day}T${time}Z`, timeZone)}`);
+  return new Date(`${day}T${time}${getUtcOffset(guess, timeZone)}`);
+}
+
+/**
+ * Build the instant for a wall-clock time on a local calendar day.
+ * @param {string} day - Local calendar day (YYYY-MM-DD)
+ * @param {number} hours - Local hour (0-23)
+ * @param {number} [minutes=0] - Local minutes
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {Date} Absolute instant
+ */
+function atLocalTime(day, hours, minutes = 0, timeZone = DEFAULT_TIMEZONE) {
+  const hh = String(hours).padStart(2, '0');
+  const mm = String(minutes).padStart(2, '0');
+  return fromLocalTime(day, `${hh}:${mm}:00.000`, timeZone);
+}
+
+/**
+ * Get the first and last instant of the local day containing `date`.
+ * @param {Date|string} date - Any instant within the day
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {{ dayStart: Date, dayEnd: Date }} Day bounds
+ */
+function getLocalDayBounds(date, timeZone = DEFAULT_TIMEZONE) {
+  const day = toLocalDay(date, timeZone);
+  return {
+    dayStart: fromLocalTime(day, '00:00:00.000', timeZone),
+    dayEnd: fromLocalTime(day, '23:59:59.999', timeZone)
+  };
+}
+
+/**
+ * Add a number of days to a local calendar day.
+ * @param {string} day - Local calendar day (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting calendar day
+ */
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day of the week of a local calendar day (0 = Sunday).
+ * @param {string} day - Local calendar day (YYYY-MM-DD)
+ * @returns {number} Day of the week
+ */
+function getWeekday(day) {
+  return new Date(`${day}T12:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * Get the local hour (0-23) of an instant in the given timezone.
+ * @param {Date|string} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {number} Local hour
+ */
+function getLocalHour(date, timeZone = DEFAULT_TIMEZONE) {
+  return parseInt(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date(date)));
+}
+
+/**
+ * Check whether a string is an IANA timezone name known to the runtime.
+ * @param {string} timeZone - Timezone name to check
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  toLocalDay,
+  getUtcOffset,
+  atLocalTime,
+  getLocalDayBounds,
+  addDays,
+  getWeekday,
+  getLocalHour
+};
@@ -1,11 +1,20 @@
 // useAuth.ts
 // Composable for managing Firebase authentication state and user info in Vue 3.
-// Provides currentUser, isAdmin, loading, logout, and token as reactive/computed properties.
+// Provides currentUser, role, isAdmin, can, loading, logout, and token as reactive/computed properties.
+// The role and its permissions come from the API (GET /api/users/me).
 
 import { ref, computed, onUnmounted } from 'vue';
+import axios from 'axios';
 import { User, onAuthStateChanged, signOut, getIdTokenResult } from 'firebase/auth';
 import { auth } from '../config/firebase';
 
+// Role of the signed-in user at one site, as returned by GET /api/users/me
+interface SiteAccess {
+  site: string;
+  role: string;
+  permissions: string[];
+}
+
 /**
  * Check if a token is expired
  * @param token - The JWT token to check
@@ -24,16 +33,55 @@ function isTokenExpired(token: string): boolean {
 // --- Reactive state ---
 // Reactive variables to store authentication state and user information
 const currentUser = ref<User | null>(null); // Stores the currently authenticated user
-const isAdmin = ref(false); // Indicates if the user has admin privileges
+const role = ref('user'); // The user's highest role: user, facility-manager, site-admin or super-admin
+const permissions = ref<string[]>([]); // Every permission the user holds, at one site at least
+const sites = ref<SiteAccess[]>([]); // The sites a facility manager or site admin looks after
 const loading = ref(true); // Tracks the loading state of authentication
 const token = ref<string | null>(null); // Stores the authentication token
 
 let unsubscribe: (() => void) | null = null; // Holds the unsubscribe function for auth state listener
 
+/**
+ * Load the role and permissions of the signed-in user from the API.
+ * @param idToken - The user's Firebase ID token
+ */
+async function loadAccess(idToken: string) {
+  try {
+    const res = await axios.get('/api/users/me', { headers: { Authorization: `Bearer ${idToken}` } });
+    role.value = res.data.role;
+    permissions.value = res.data.permissions;
+    sites.value = res.data.sites;
+  } catch (error) {
+    console.error('Error loading user role:', error);
+    resetAccess();
+  }
+}
+
+/**
+ * Reset the role to a plain user's
+ */
+function resetAccess() {
+  role.value = 'user';
+  permissions.value = [];
+  sites.value = [];
+}
+
+/**
+ * Check whether the user holds a permission, at a site when one is given
+ * (mirrors the API's RoleService) or at one site at least otherwise.
+ * @param permission - Permission name, e.g. 'reports:manage'
+ * @param site - Building ID
+ */
+function can(permission: string, site?: string | null): boolean {
+  if (!site || role.value === 'super-admin') return permissions.value.includes(permission);
+  const entry = sites.value.find(s => s.site === site);
+  return !!entry && entry.permissions.includes(permission);
+}
+
 /**
  * useAuth composable
- * Handles Firebase auth state, admin detection, and token management.
- * Returns currentUser, isAdmin, loading, logout, and token as computed properties.
+ * Handles Firebase auth state, role and permission loading, and token management.
+ * Returns currentUser, role, isAdmin, can, loading, logout, and token.
  */
 function useAuth() {
   // Subscribe to Firebase auth state changes (singleton)
@@ -45,13 +93,11 @@ function useAuth() {
         currentUser.value = user;
         try {
           const idTokenResult = await getIdTokenResult(user);
-          // Detect admin from custom claims
-          isAdmin.value = !!idTokenResult.claims.admin; // Check if user has admin claim
           token.value = idTokenResult.token; // Store the authentication token
           // Check token expiration
           if (isTokenExpired(idTokenResult.token)) {
             await signOut(auth); // Sign out the user
-            isAdmin.value = false; // Reset admin state
+            resetAccess(); // Reset role state
             currentUser.value = null; // Clear user state
             token.value = null; // Clear token
             localStorage.removeItem('auth_token'); // Remove token from localStorage
@@ -59,16 +105,17 @@ function useAuth() {
             return; // Exit early if token is expired
           }
           localStorage.setItem('auth_token', idTokenResult.token); // Keep token in sync with localStorage
+          await loadAccess(idTokenResult.token); // Load the user's role and permissions
         } catch (error) {
           console.error('Error getting token:', error);
-          isAdmin.value = false; // Reset admin state on error
+          resetAccess(); // Reset role state on error
           token.value = null; // Clear token on error
           localStorage.removeItem('auth_token'); // Remove token from localStorage
         }
       } else {
         // User is signed out
         currentUser.value = null; // Clear user state
-        isAdmin.value = false; // Reset admin state
+        resetAccess(); // Reset role state
         token.value = null; // Clear token
         localStorage.removeItem('auth_token'); // Remove token from localStorage
       }
@@ -89,7 +136,7 @@ function useAuth() {
    */
   const logout = async () => {
     await signOut(auth); // Sign out the user
-    isAdmin.value = false; // Reset admin state
+    resetAccess(); // Reset role state
     currentUser.value = null; // Clear user state
     token.value = null; // Clear token
     localStorage.removeItem('auth_token'); // Remove token from localStorage
@@ -97,7 +144,9 @@ function useAuth() {
 
   return {
     currentUser: computed(() => currentUser.value), // Computed property for current user
-    isAdmin: computed(() => isAdmin.value), // Computed property for admin state
+    role: computed(() => role.value), // Computed property for the user's highest role
+    isAdmin: computed(() => role.value === 'super-admin'), // Whether the user is a super admin
+    can, // Permission check, optionally at a site
     loading: computed(() => loading.value), // Computed property for loading state
     logout, // Logout function
     token: computed(() => token.value), // Computed property for authentication token
@@ -8,7 +8,6 @@ interface ImportMetaEnv {
   readonly VITE_MESSAGING_SENDER_ID: string;
   readonly VITE_APP_ID: string;
   readonly VITE_MEASUREMENT_ID?: string;
-  readonly VITE_ADMIN_UIDS?: string;
   readonly VITE_SENTRY_DSN?: string;
 }
 
@@ -12,6 +12,7 @@ export default defineConfig(({ mode }) => {
         '/users': apiBase,
         '/cubicles': apiBase,
         '/reserve': apiBase,
+        '/reservations': apiBase,
         '/report': apiBase,
         '/api': apiBase,
         '/test-stats-update': apiBase,